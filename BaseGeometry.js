@@ -0,0 +1,95 @@
+/**
+ * BaseGeometry.js - Abstract 4D Geometry Base Class
+ *
+ * Defines the interface shared by the CPU-side geometry generators
+ * (HypersphereGeometry, TorusGeometry, KleinBottleGeometry, ...).
+ * Vertices are stored as flat xyzw arrays.
+ *
+ * Part of Phase 2: Visualizer Rendering & Geometry
+ */
+
+class BaseGeometry {
+    constructor() {
+        if (this.constructor === BaseGeometry) {
+            throw new Error("Abstract classes can't be instantiated.");
+        }
+        this.vertices = [];
+        this.indices = [];
+        this.normals = []; // For lighting
+        this.uvs = [];     // For texturing
+    }
+
+    /**
+     * @abstract
+     * Generates the geometry data (vertices, indices, etc.).
+     * This method must be implemented by subclasses.
+     */
+    generate() {
+        throw new Error("Method 'generate()' must be implemented.");
+    }
+
+    /**
+     * Updates the geometry based on provided parameters.
+     * This method can be overridden by subclasses if specific updates are needed.
+     * @param {object} params - Parameters to update the geometry.
+     */
+    update(params) {
+        // Optional: Common update logic can go here
+    }
+
+    /**
+     * Returns the vertices of the geometry (flat xyzw).
+     * @returns {Array<number>}
+     */
+    getVertices() {
+        return this.vertices;
+    }
+
+    /**
+     * Returns the indices of the geometry.
+     * @returns {Array<number>}
+     */
+    getIndices() {
+        return this.indices;
+    }
+
+    /**
+     * Returns the normals of the geometry.
+     * @returns {Array<number>}
+     */
+    getNormals() {
+        return this.normals;
+    }
+
+    /**
+     * Returns the UV coordinates of the geometry.
+     * @returns {Array<number>}
+     */
+    getUVs() {
+        return this.uvs;
+    }
+
+    /**
+     * Creates and returns a WebGL buffer for the geometry's vertex normals.
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @returns {WebGLBuffer | null} The created buffer, or null if no normals.
+     */
+    getNormalsBuffer(gl) {
+        if (!this.normals || this.normals.length === 0) {
+            return null;
+        }
+        if (!this.normalBuffer) {
+            this.normalBuffer = gl.createBuffer();
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.normals), gl.STATIC_DRAW);
+        return this.normalBuffer;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseGeometry;
+} else {
+    window.BaseGeometry = BaseGeometry;
+}
@@ -0,0 +1,255 @@
+/**
+ * CrossSectionSlicer.js - 4D Hyperplane Cross-Sections
+ *
+ * Intersects a registry geometry (xyz positions + wCoords + indices) with the
+ * hyperplane w = offset after applying a 4D rotation, producing the 3D slice:
+ * - triangle meshes: every triangle crossing the hyperplane gives a segment
+ * - wireframes whose geometry supplies its 2-faces (`faces`: the hypercube,
+ *   hypertetrahedron and regular polytopes): every face crossing the
+ *   hyperplane gives a segment, outlining the 3D cross-section
+ * - other wireframes: every edge crossing the hyperplane gives a point
+ * - point clouds: the points within a thin slab around the hyperplane
+ *
+ * Part of Phase 2: Visualizer Rendering & Geometry
+ */
+
+class CrossSectionSlicer {
+    constructor(options = {}) {
+        this.version = '1.0.0';
+
+        // Half-width of the slab kept from point clouds
+        this.pointSlab = options.pointSlab || 0.04;
+
+        // Faces per vertex data object, derived once
+        this.topologyCache = new WeakMap();
+
+        this.warnedOverflow = new WeakSet();
+    }
+
+    /**
+     * Get the polygons to slice: the geometry's own `faces` (arrays of vertex
+     * indices) when it supplies them, otherwise a mesh's triangles
+     */
+    getFaces(geometry) {
+        const key = geometry.vertices;
+        if (this.topologyCache.has(key)) {
+            return this.topologyCache.get(key);
+        }
+
+        let faces = [];
+        if (Array.isArray(geometry.faces)) {
+            faces = geometry.faces;
+        } else if (geometry.primitive === 'triangles' && geometry.indices) {
+            for (let i = 0; i + 2 < geometry.indices.length; i += 3) {
+                faces.push([geometry.indices[i], geometry.indices[i + 1], geometry.indices[i + 2]]);
+            }
+        }
+
+        this.topologyCache.set(key, faces);
+        return faces;
+    }
+
+    /**
+     * Slice a geometry by the hyperplane w = offset after rotating it
+     * @param {object} geometry - Registry geometry (vertices.positions/wCoords/uvs, indices, primitive)
+     * @param {Float32Array|Array<number>} rotation - Column-major 4x4 rotation (u_rotation4D)
+     * @param {number} offset - Hyperplane position along W
+     * @param {number} morph - Blend toward the geometry's morph targets (u_morphTargetBlend)
+     * @returns {{positions: Float32Array, wCoords: Float32Array, uvs: Float32Array|null,
+     *            indices: Uint16Array|null, primitive: string, vertexCount: number}}
+     */
+    slice(geometry, rotation, offset, morph = 0) {
+        const rotated = this.rotateVertices(geometry.vertices, rotation, morph);
+
+        if (geometry.primitive === 'points' || !geometry.indices) {
+            return this.slicePoints(geometry, rotated, offset);
+        }
+        if (geometry.primitive === 'lines' && !Array.isArray(geometry.faces)) {
+            return this.sliceEdges(geometry, rotated, offset);
+        }
+
+        return this.sliceFaces(geometry, rotated, offset);
+    }
+
+    /**
+     * Apply a 4D rotation to every vertex (after blending toward any morph
+     * targets, as the vertex shader does); returns flat xyzw
+     */
+    rotateVertices(vertices, m, morph = 0) {
+        const { positions, wCoords, morphTargets } = vertices;
+        const count = wCoords.length;
+        const out = new Float32Array(count * 4);
+        const blend = morphTargets ? morph : 0;
+
+        for (let i = 0; i < count; i++) {
+            let x = positions[i * 3];
+            let y = positions[i * 3 + 1];
+            let z = positions[i * 3 + 2];
+            let w = wCoords[i];
+            if (blend > 0) {
+                x += (morphTargets[i * 4] - x) * blend;
+                y += (morphTargets[i * 4 + 1] - y) * blend;
+                z += (morphTargets[i * 4 + 2] - z) * blend;
+                w += (morphTargets[i * 4 + 3] - w) * blend;
+            }
+            out[i * 4] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+            out[i * 4 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+            out[i * 4 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+            out[i * 4 + 3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+        }
+
+        return out;
+    }
+
+    /**
+     * Keep the points of a cloud that lie within the slab around the hyperplane
+     */
+    slicePoints(geometry, rotated, offset) {
+        const count = rotated.length / 4;
+        const uvSource = geometry.vertices.uvs;
+        const positions = [];
+        const uvs = [];
+
+        for (let i = 0; i < count; i++) {
+            if (Math.abs(rotated[i * 4 + 3] - offset) > this.pointSlab) continue;
+            positions.push(rotated[i * 4], rotated[i * 4 + 1], rotated[i * 4 + 2]);
+            if (uvSource) uvs.push(uvSource[i * 2], uvSource[i * 2 + 1]);
+        }
+
+        const vertexCount = positions.length / 3;
+        return {
+            positions: new Float32Array(positions),
+            wCoords: new Float32Array(vertexCount).fill(offset),
+            uvs: uvSource ? new Float32Array(uvs) : null,
+            indices: null,
+            primitive: 'points',
+            vertexCount
+        };
+    }
+
+    /**
+     * Turn every edge of a wireframe crossing the hyperplane into the point
+     * where it crosses (its faces are unknown, so no segments join them)
+     */
+    sliceEdges(geometry, rotated, offset) {
+        const { indices } = geometry;
+        const uvSource = geometry.vertices.uvs;
+        const positions = [];
+        const uvs = [];
+
+        for (let i = 0; i + 1 < indices.length; i += 2) {
+            const a = indices[i];
+            const b = indices[i + 1];
+            // Half-open test so a vertex on the hyperplane is counted once
+            if ((rotated[a * 4 + 3] >= offset) === (rotated[b * 4 + 3] >= offset)) continue;
+
+            const da = rotated[a * 4 + 3] - offset;
+            const db = rotated[b * 4 + 3] - offset;
+            const t = da / (da - db);
+            for (let k = 0; k < 3; k++) {
+                positions.push(rotated[a * 4 + k] + (rotated[b * 4 + k] - rotated[a * 4 + k]) * t);
+            }
+            if (uvSource) {
+                uvs.push(
+                    uvSource[a * 2] + (uvSource[b * 2] - uvSource[a * 2]) * t,
+                    uvSource[a * 2 + 1] + (uvSource[b * 2 + 1] - uvSource[a * 2 + 1]) * t
+                );
+            }
+        }
+
+        const vertexCount = positions.length / 3;
+        return {
+            positions: new Float32Array(positions),
+            wCoords: new Float32Array(vertexCount).fill(offset),
+            uvs: uvSource ? new Float32Array(uvs) : null,
+            indices: null,
+            primitive: 'points',
+            vertexCount
+        };
+    }
+
+    /**
+     * Turn every face crossing the hyperplane into a segment between the
+     * points where two of its edges cross it. Crossing points are shared
+     * between faces through their edge.
+     */
+    sliceFaces(geometry, rotated, offset) {
+        const faces = this.getFaces(geometry);
+        const uvSource = geometry.vertices.uvs;
+        const vertexCount = rotated.length / 4;
+
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+        const crossingIndex = new Map(); // edge key → slice vertex
+
+        const crossing = (a, b) => {
+            const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+            if (crossingIndex.has(key)) return crossingIndex.get(key);
+
+            const da = rotated[a * 4 + 3] - offset;
+            const db = rotated[b * 4 + 3] - offset;
+            const t = da / (da - db);
+            const index = positions.length / 3;
+
+            for (let k = 0; k < 3; k++) {
+                positions.push(rotated[a * 4 + k] + (rotated[b * 4 + k] - rotated[a * 4 + k]) * t);
+            }
+            if (uvSource) {
+                uvs.push(
+                    uvSource[a * 2] + (uvSource[b * 2] - uvSource[a * 2]) * t,
+                    uvSource[a * 2 + 1] + (uvSource[b * 2 + 1] - uvSource[a * 2 + 1]) * t
+                );
+            }
+
+            crossingIndex.set(key, index);
+            return index;
+        };
+
+        for (let f = 0; f < faces.length; f++) {
+            const face = faces[f];
+            const hits = [];
+
+            for (let i = 0; i < face.length; i++) {
+                const a = face[i];
+                const b = face[(i + 1) % face.length];
+                // Half-open test so a vertex on the hyperplane is counted once
+                if ((rotated[a * 4 + 3] >= offset) !== (rotated[b * 4 + 3] >= offset)) {
+                    hits.push(crossing(a, b));
+                }
+            }
+
+            // Convex faces cross a hyperplane at exactly two edges
+            for (let i = 0; i + 1 < hits.length; i += 2) {
+                indices.push(hits[i], hits[i + 1]);
+            }
+        }
+
+        const sliceVertexCount = positions.length / 3;
+        if (sliceVertexCount > 65536) {
+            if (!this.warnedOverflow.has(geometry)) {
+                console.warn(`⚠️ Cross-section of ${geometry.name} has ${sliceVertexCount} vertices; segments beyond the 16-bit index range are dropped`);
+                this.warnedOverflow.add(geometry);
+            }
+            for (let i = indices.length - 2; i >= 0; i -= 2) {
+                if (indices[i] > 65535 || indices[i + 1] > 65535) indices.splice(i, 2);
+            }
+        }
+
+        return {
+            positions: new Float32Array(positions),
+            wCoords: new Float32Array(sliceVertexCount).fill(offset),
+            uvs: uvSource ? new Float32Array(uvs) : null,
+            indices: new Uint16Array(indices),
+            primitive: 'lines',
+            vertexCount: sliceVertexCount
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrossSectionSlicer;
+} else {
+    window.CrossSectionSlicer = CrossSectionSlicer;
+}
@@ -210,3 +210,10 @@ console.log("Crystal Lattice Edges Count:", crystal.getEdgeIndices().length / 2)
 // Rendering this would typically use gl.POINTS for lattice sites
 // and gl.LINES for edges.
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrystalGeometry;
+} else {
+    window.CrystalGeometry = CrystalGeometry;
+}
@@ -0,0 +1,129 @@
+/**
+ * DuoprismGeometry: Generates true 4D tori as (u, v) surface grids:
+ * - 'clifford': the flat Clifford torus (r1 cos u, r1 sin u, r2 cos v, r2 sin v),
+ *   which lies on the 3-sphere of radius sqrt(r1² + r2²)
+ * - 'duoprism': the p-q duoprism, the same torus with each circle replaced by
+ *   a regular polygon (its p·q square faces)
+ *
+ * Both shapes share one grid, with polygon corners on grid lines, so each
+ * geometry also carries the other shape as morph targets; the vertex shader
+ * blends toward them as u_morphFactor rises (see VisualizerPool).
+ */
+class DuoprismGeometry extends BaseGeometry {
+    constructor(options = {}) {
+        super();
+        this.parameters = {
+            shape: options.shape || 'duoprism', // 'duoprism' or 'clifford'
+            radius1: options.radius1 || 1.0,    // Circumradius in the XY plane
+            radius2: options.radius2 || 1.0,    // Circumradius in the ZW plane
+            sides1: options.sides1 || 6,        // p: polygon sides in the XY plane
+            sides2: options.sides2 || 4,        // q: polygon sides in the ZW plane
+            segments1: options.segments1 || 48, // Grid segments around the XY circle
+            segments2: options.segments2 || 24  // Grid segments around the ZW circle
+        };
+        this.morphTargets = [];
+        this.uvs = [];
+        this.generate();
+    }
+
+    generate() {
+        this.vertices = [];
+        this.indices = [];
+        this.morphTargets = [];
+        this.uvs = [];
+
+        const { shape, radius1, radius2, sides1, sides2 } = this.parameters;
+
+        // Round the segment counts to whole subdivisions of each polygon edge
+        const divisionsU = this.getDivisions(sides1, this.parameters.segments1);
+        const divisionsV = this.getDivisions(sides2, this.parameters.segments2);
+
+        for (let j = 0; j <= divisionsV; j++) {
+            const v = j / divisionsV;
+            const circle2 = this.circlePoint(v, radius2);
+            const polygon2 = this.polygonPoint(v, sides2, radius2);
+
+            for (let i = 0; i <= divisionsU; i++) {
+                const u = i / divisionsU;
+                const circle1 = this.circlePoint(u, radius1);
+                const polygon1 = this.polygonPoint(u, sides1, radius1);
+
+                const clifford = [...circle1, ...circle2];
+                const duoprism = [...polygon1, ...polygon2];
+
+                this.vertices.push(...(shape === 'clifford' ? clifford : duoprism));
+                this.morphTargets.push(...(shape === 'clifford' ? duoprism : clifford));
+                this.uvs.push(u, v);
+            }
+        }
+
+        // One layer of HypersphereGeometry's (u, v) grid triangulation
+        HypersphereGeometry.prototype.generateSurfaceIndices.call(this, 0, divisionsU, divisionsV, 1, false);
+    }
+
+    /**
+     * Smallest multiple of the side count that reaches the requested segments
+     */
+    getDivisions(sides, segments) {
+        return sides * Math.max(1, Math.round(segments / sides));
+    }
+
+    /**
+     * Point at fraction t around a circle
+     */
+    circlePoint(t, radius) {
+        const angle = t * 2 * Math.PI;
+        return [radius * Math.cos(angle), radius * Math.sin(angle)];
+    }
+
+    /**
+     * Point at fraction t around the boundary of a regular polygon
+     * (corners at the same angles as the circle's grid lines)
+     */
+    polygonPoint(t, sides, radius) {
+        const position = t * sides;
+        const edge = Math.min(Math.floor(position), sides - 1);
+        const fraction = position - edge;
+
+        const [x0, y0] = this.circlePoint(edge / sides, radius);
+        const [x1, y1] = this.circlePoint((edge + 1) / sides, radius);
+        return [x0 + (x1 - x0) * fraction, y0 + (y1 - y0) * fraction];
+    }
+
+    get4DVertices() {
+        return this.vertices;
+    }
+
+    getUVs() {
+        return this.uvs;
+    }
+
+    /**
+     * The other shape, vertex for vertex (flat xyzw)
+     * @returns {Array<number>}
+     */
+    getMorphTargets() {
+        return this.morphTargets;
+    }
+
+    update(params) {
+        let needsRegeneration = false;
+        for (const key in params) {
+            if (this.parameters.hasOwnProperty(key) && this.parameters[key] !== params[key]) {
+                this.parameters[key] = params[key];
+                needsRegeneration = true;
+            }
+        }
+
+        if (needsRegeneration) {
+            this.generate();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuoprismGeometry;
+} else {
+    window.DuoprismGeometry = DuoprismGeometry;
+}
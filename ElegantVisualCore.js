@@ -45,7 +45,7 @@ class ElegantVisualCore {
         }`;
         
         // Sophisticated fragment shader with organic flows
-        this.fragmentShader = `#version 100
+        this.fragmentShader = ShaderChunkLibrary.getShared().assemble(`#version 100
         precision highp float;
         
         varying vec2 v_uv;
@@ -92,6 +92,10 @@ class ElegantVisualCore {
             return value;
         }
         
+        // Shared 4D projection and lattice chunks
+        #include <projection4d>
+        #include <lattice>
+        
         // Elegant 4D rotation with smooth interpolation
         mat4 rotate4D(float time, float elegance) {
             float smooth_time = time * u_flowSpeed;
@@ -117,8 +121,7 @@ class ElegantVisualCore {
         // Graceful 4D to 3D projection
         vec3 project4D(vec4 p4d) {
             float w_offset = 3.0 + sin(u_time * 0.1) * 0.5; // Gentle breathing
-            float perspective = 1.0 / (w_offset + p4d.w * 0.5);
-            return p4d.xyz * perspective;
+            return projectPerspective4D(p4d, w_offset, 0.5);
         }
         
         // Elegant particle field
@@ -163,11 +166,10 @@ class ElegantVisualCore {
             
             // Create elegant lattice structure
             vec3 lattice_p = projected * u_dimensionBlend;
-            vec3 grid = abs(fract(lattice_p) - 0.5);
             
             // Smooth, flowing edges
             float edge_thickness = 0.05 + sin(time * 0.2) * 0.02;
-            float edges = min(min(grid.x, grid.y), grid.z) - edge_thickness;
+            float edges = latticePlaneDistance(lattice_p) - edge_thickness;
             
             // Add organic flow distortion
             float flow_distortion = fbm(projected.xy + time * 0.1) * 0.1;
@@ -307,7 +309,7 @@ class ElegantVisualCore {
             final_color *= vignette;
             
             gl_FragColor = vec4(final_color, 1.0);
-        }`;
+        }`);
         
         // Simple geometry for fullscreen rendering
         this.vertices = new Float32Array([
@@ -240,3 +240,10 @@ console.log("Fractal Points Count:", fractal.get4DVertices().length / 4);
 // To render this, you would typically use gl.POINTS in your draw call.
 // And the shader would take 4D positions and project them.
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FractalGeometry;
+} else {
+    window.FractalGeometry = FractalGeometry;
+}
@@ -3,6 +3,10 @@
  * 
  * Manages the 8 core VIB34D geometries by loading definitions from visuals.json
  * and mapping geometry names to their respective GLSL shader implementations.
+ * The six regular 4-polytopes (RegularPolytopeGeometry) register themselves
+ * alongside them. Meshes are generated in a GeometryWorkerPool when one is
+ * loaded; regenerated geometries keep their previous mesh until the new one
+ * arrives (see regenerateGeometry / whenGeometryReady).
  * 
  * Part of Phase 2: Visualizer Rendering & Geometry
  */
@@ -15,12 +19,70 @@ class GeometryRegistry {
         // Geometry definitions loaded from visuals.json
         this.geometries = new Map();
         
-        // Shader cache for loaded GLSL files
+        // Shader sources by hash, with the compile/link errors reported for them
         this.shaderCache = new Map();
         
+        // .glsl files (geometry shaderFiles and #include chunks) by path
+        this.shaderConfig = { basePath: 'shaders/', hotReload: false, pollInterval: 1000 };
+        this.shaderFileCache = new Map();
+        this.shaderReloadListeners = new Set();
+        this.shaderWatchTimer = null;
+        this.isCheckingShaderFiles = false;
+        
         // Default parameters for each geometry type
         this.defaultParameters = new Map();
         
+        // Level-of-detail names, cheapest first. A geometry's visuals.json
+        // `complexity` is its LOD budget: the level it starts at and the
+        // highest one the adaptive LOD in VisualizerPool raises it back to.
+        this.lodLevels = ['low', 'medium', 'high', 'extreme'];
+        
+        // BaseGeometry subclasses that generate each geometry's mesh.
+        // `lod` maps each level to the update(params) that regenerates it.
+        this.meshGeometryClasses = {
+            tetrahedron: { className: 'HypertetrahedronGeometry', primitive: 'lines' },
+            sphere: {
+                className: 'HypersphereGeometry',
+                primitive: 'triangles',
+                lod: {
+                    low: { divisionsU: 16, divisionsV: 8, divisionsW: 4 },
+                    medium: { divisionsU: 32, divisionsV: 16, divisionsW: 8 },
+                    high: { divisionsU: 40, divisionsV: 20, divisionsW: 10 },
+                    extreme: { divisionsU: 48, divisionsV: 24, divisionsW: 12 }
+                }
+            },
+            torus: { className: 'TorusGeometry', primitive: 'triangles' },
+            klein: {
+                className: 'KleinBottleGeometry',
+                primitive: 'triangles',
+                lod: {
+                    low: { divisionsU: 20, divisionsV: 20 },
+                    medium: { divisionsU: 35, divisionsV: 35 },
+                    high: { divisionsU: 50, divisionsV: 50 },
+                    extreme: { divisionsU: 70, divisionsV: 70 }
+                }
+            },
+            fractal: {
+                className: 'FractalGeometry',
+                primitive: 'points',
+                lod: {
+                    low: { iterations: 1 },
+                    medium: { iterations: 2 },
+                    high: { iterations: 3 },
+                    extreme: { iterations: 4 }
+                }
+            },
+            wave: { className: 'WaveGeometry', primitive: 'triangles' },
+            crystal: { className: 'CrystalGeometry', primitive: 'lines' },
+            'clifford-torus': { className: 'DuoprismGeometry', primitive: 'triangles', options: { shape: 'clifford' } },
+            duoprism: { className: 'DuoprismGeometry', primitive: 'triangles', options: { shape: 'duoprism' } }
+        };
+        
+        // Off-main-thread mesh generation and the regenerations in flight
+        this.workerPool = null;
+        this.regenerations = new Map(); // geometry name → Promise<boolean>
+        this.geometryUpdateListeners = new Set();
+        
         // Performance metrics
         this.metrics = {
             geometriesLoaded: 0,
@@ -56,11 +118,24 @@ class GeometryRegistry {
             // Load geometry definitions
             await this.loadGeometryDefinitions(visualsConfig);
             
+            // Load each geometry's shaderFile (inline shaders remain the fallback)
+            Object.assign(this.shaderConfig, visualsConfig.shaders || {});
+            await this.loadShaderFiles();
+            
             // Load default parameters
             this.loadDefaultParameters(visualsConfig);
             
+            // Mesh generation runs in workers when available (visuals.json workers)
+            if (!this.workerPool && typeof GeometryWorkerPool === 'function') {
+                this.workerPool = new GeometryWorkerPool(visualsConfig.workers || {});
+            }
+            
             // Initialize built-in geometries (for shaders we'll create inline)
-            this.initializeBuiltInGeometries();
+            await this.initializeBuiltInGeometries();
+            
+            if (this.shaderConfig.hotReload) {
+                this.startShaderWatch();
+            }
             
             this.metrics.loadTime = performance.now() - startTime;
             this.isInitialized = true;
@@ -80,7 +155,10 @@ class GeometryRegistry {
      * Load geometry definitions from visuals.json
      */
     async loadGeometryDefinitions(visualsConfig) {
-        const geometryDefs = visualsConfig.geometries || [];
+        const geometryDefs = [
+            ...(visualsConfig.geometries || []),
+            ...this.getPolytopeDefinitions(visualsConfig.geometries || [])
+        ];
         
         for (const geometryDef of geometryDefs) {
             try {
@@ -90,7 +168,10 @@ class GeometryRegistry {
                     description: geometryDef.description || '',
                     shaderFile: geometryDef.shaderFile,
                     category: geometryDef.category || 'standard',
+                    type: geometryDef.type || 'wireframe',
                     complexity: geometryDef.complexity || 'medium',
+                    lodBudget: null,
+                    lodLevel: null,
                     defaultParams: geometryDef.defaultParams || {},
                     
                     // WebGL shader programs (will be compiled later)
@@ -107,6 +188,17 @@ class GeometryRegistry {
                     loadTime: null
                 };
                 
+                // Polytope geometries are generated by RegularPolytopeGeometry
+                if (geometryDef.polytope) {
+                    this.meshGeometryClasses[geometryDef.name] = {
+                        className: 'RegularPolytopeGeometry',
+                        primitive: 'lines',
+                        options: typeof geometryDef.polytope === 'string' ?
+                            { polytope: geometryDef.polytope } :
+                            { ...geometryDef.polytope, polytope: geometryDef.polytope.type }
+                    };
+                }
+                
                 this.geometries.set(geometryDef.name, geometry);
                 this.metrics.geometriesLoaded++;
                 
@@ -118,6 +210,33 @@ class GeometryRegistry {
         }
     }
     
+    /**
+     * Definitions for the regular polytopes visuals.json does not declare itself.
+     * visuals.json can also add variants, e.g.
+     * `{ "name": "rectified-24-cell", "polytope": { "type": "24-cell", "truncation": 0.5 } }`
+     */
+    getPolytopeDefinitions(declaredDefs) {
+        const PolytopeClass = this.resolveGeometryClass('RegularPolytopeGeometry');
+        if (!PolytopeClass) return [];
+        
+        const declared = new Set(declaredDefs.map(geometryDef => geometryDef.name));
+        
+        return Object.entries(PolytopeClass.POLYTOPES)
+            .filter(([name]) => !declared.has(name))
+            .map(([name, definition]) => ({
+                name,
+                displayName: definition.displayName,
+                description: `Regular 4-polytope {${definition.schlafli.join(',')}}`,
+                category: 'polytope',
+                type: 'wireframe',
+                complexity: name === '120-cell' || name === '600-cell' ? 'high' : 'medium',
+                polytope: name,
+                defaultParams: {
+                    u_lineThickness: 0.02
+                }
+            }));
+    }
+    
     /**
      * Load default parameters from visuals.json
      */
@@ -140,17 +259,280 @@ class GeometryRegistry {
         console.log(`📐 Loaded ${this.defaultParameters.size} default parameters`);
     }
     
+    /**
+     * Load the shaderFile of every geometry that declares one
+     */
+    async loadShaderFiles() {
+        const geometries = Array.from(this.geometries.values()).filter(geometry => geometry.shaderFile);
+        const results = await Promise.all(geometries.map(geometry => this.loadGeometryShaders(geometry)));
+        
+        console.log(`📐 Loaded ${results.filter(Boolean).length}/${geometries.length} shader files`);
+    }
+    
+    /**
+     * Load a geometry's vertex and fragment stages from its shaderFile.
+     * On failure the geometry keeps its current (or built-in) shaders.
+     */
+    async loadGeometryShaders(geometry) {
+        try {
+            const shaders = await this.loadShaderFile(geometry.shaderFile);
+            
+            geometry.vertexShader = shaders.vertexShader;
+            geometry.fragmentShader = shaders.fragmentShader;
+            geometry.shaderDependencies = shaders.dependencies;
+            geometry.shaderSource = 'file';
+            
+            return true;
+            
+        } catch (error) {
+            console.warn(`⚠️ Could not load ${geometry.shaderFile} for ${geometry.name}, keeping built-in shaders:`, error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Fetch a .glsl file, split it into stages and resolve its #include chunks
+     */
+    async loadShaderFile(path) {
+        const source = await this.fetchShaderSource(path);
+        const stages = this.splitShaderStages(source, path);
+        const dependencies = new Set([path]);
+        const chunks = ShaderChunkLibrary.getShared();
+        
+        // File includes first, then `#include <name>` library chunks; each stage gets its own include-once set
+        const vertexShader = chunks.assemble(await this.resolveShaderIncludes(stages.vertex, path, new Set(), dependencies));
+        const fragmentShader = chunks.assemble(await this.resolveShaderIncludes(stages.fragment, path, new Set(), dependencies));
+        
+        return {
+            vertexShader,
+            fragmentShader,
+            dependencies: Array.from(dependencies)
+        };
+    }
+    
+    /**
+     * Fetch a .glsl file relative to shaders.basePath (cached until reloaded)
+     */
+    fetchShaderSource(path) {
+        if (!this.shaderFileCache.has(path)) {
+            const request = this.requestShaderSource(path).catch((error) => {
+                this.shaderFileCache.delete(path);
+                throw error;
+            });
+            this.shaderFileCache.set(path, request);
+        }
+        
+        return this.shaderFileCache.get(path);
+    }
+    
+    /**
+     * Uncached fetch of a .glsl file
+     */
+    async requestShaderSource(path) {
+        if (typeof fetch === 'undefined') {
+            throw new Error('fetch is not available');
+        }
+        
+        const response = await fetch(`${this.shaderConfig.basePath}${path}`, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${path}: ${response.status} ${response.statusText}`);
+        }
+        
+        return response.text();
+    }
+    
+    /**
+     * Split a shader file on its `#pragma vertex` / `#pragma fragment` markers.
+     * Lines before the first marker are prepended to both stages.
+     */
+    splitShaderStages(source, path) {
+        const stages = { common: [], vertex: null, fragment: null };
+        let current = 'common';
+        
+        source.split('\n').forEach((line) => {
+            const marker = line.match(/^\s*#pragma\s+(vertex|fragment)\s*$/);
+            if (marker) {
+                current = marker[1];
+                stages[current] = stages[current] || [];
+                return;
+            }
+            stages[current].push(line);
+        });
+        
+        if (!stages.vertex || !stages.fragment) {
+            throw new Error(`${path} needs both '#pragma vertex' and '#pragma fragment' sections`);
+        }
+        
+        return {
+            vertex: [...stages.common, ...stages.vertex].join('\n'),
+            fragment: [...stages.common, ...stages.fragment].join('\n')
+        };
+    }
+    
+    /**
+     * Inline `#include "chunk.glsl"` directives (paths relative to the including file).
+     * A chunk is included once per stage, which also breaks include cycles.
+     * `#include <name>` lines are left for ShaderChunkLibrary.
+     */
+    async resolveShaderIncludes(source, fromPath, included, dependencies) {
+        const output = [];
+        
+        for (const line of source.split('\n')) {
+            const match = line.match(/^\s*#include\s+"([^"]+)"\s*$/);
+            if (!match) {
+                output.push(line);
+                continue;
+            }
+            
+            const includePath = this.resolveShaderPath(match[1], fromPath);
+            if (included.has(includePath)) continue;
+            
+            included.add(includePath);
+            dependencies.add(includePath);
+            
+            let chunk;
+            try {
+                chunk = await this.fetchShaderSource(includePath);
+            } catch (error) {
+                throw new Error(`${fromPath}: cannot include '${match[1]}' (${error.message})`);
+            }
+            
+            output.push(await this.resolveShaderIncludes(chunk, includePath, included, dependencies));
+        }
+        
+        return output.join('\n');
+    }
+    
+    /**
+     * Resolve an include path against the directory of the including file
+     */
+    resolveShaderPath(includePath, fromPath) {
+        const directory = fromPath.includes('/') ? fromPath.slice(0, fromPath.lastIndexOf('/') + 1) : '';
+        const segments = [];
+        
+        `${directory}${includePath}`.split('/').forEach((segment) => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+        
+        return segments.join('/');
+    }
+    
+    /**
+     * Re-fetch shader files and update the geometries that depend on them.
+     * Without a path every file is refreshed. Returns the updated geometry names.
+     */
+    async reloadShaderFiles(changedPath = null) {
+        if (changedPath) {
+            this.shaderFileCache.delete(changedPath);
+        } else {
+            this.shaderFileCache.clear();
+        }
+        
+        const reloaded = [];
+        for (const geometry of this.geometries.values()) {
+            if (!geometry.shaderFile) continue;
+            
+            const dependencies = geometry.shaderDependencies || [geometry.shaderFile];
+            if (changedPath && !dependencies.includes(changedPath)) continue;
+            
+            if (await this.loadGeometryShaders(geometry)) {
+                reloaded.push(geometry.name);
+            }
+        }
+        
+        // Built-in shaders are reassembled too, picking up replaced library chunks
+        const hypercube = this.geometries.get('hypercube');
+        if (!changedPath && hypercube && hypercube.shaderSource === 'inline') {
+            this.applyInlineHypercubeShaders(hypercube);
+            reloaded.push('hypercube');
+        }
+        
+        // Geometries borrowing the hypercube shaders follow it
+        if (hypercube && reloaded.includes('hypercube')) {
+            this.geometries.forEach((geometry, name) => {
+                if (geometry.shaderSource === 'hypercube') {
+                    geometry.vertexShader = hypercube.vertexShader;
+                    geometry.fragmentShader = hypercube.fragmentShader;
+                    reloaded.push(name);
+                }
+            });
+        }
+        
+        if (reloaded.length > 0) {
+            this.pruneShaderCache();
+            console.log(`📐 Reloaded shaders${changedPath ? ` (${changedPath})` : ''} for: ${reloaded.join(', ')}`);
+            this.shaderReloadListeners.forEach(listener => listener(reloaded));
+        }
+        
+        return reloaded;
+    }
+    
+    /**
+     * Subscribe to shader reloads. Returns an unsubscribe function.
+     */
+    onShaderReload(listener) {
+        this.shaderReloadListeners.add(listener);
+        return () => this.shaderReloadListeners.delete(listener);
+    }
+    
+    /**
+     * Poll the loaded .glsl files and reload whichever changed (development aid)
+     */
+    startShaderWatch(interval = this.shaderConfig.pollInterval) {
+        this.stopShaderWatch();
+        this.shaderWatchTimer = setInterval(() => this.checkShaderFiles(), interval);
+        console.log(`📐 Watching shader files every ${interval}ms`);
+    }
+    
+    /**
+     * Stop polling shader files
+     */
+    stopShaderWatch() {
+        if (this.shaderWatchTimer) {
+            clearInterval(this.shaderWatchTimer);
+            this.shaderWatchTimer = null;
+        }
+    }
+    
+    /**
+     * Compare every cached .glsl file with the server copy
+     */
+    async checkShaderFiles() {
+        if (this.isCheckingShaderFiles) return;
+        this.isCheckingShaderFiles = true;
+        
+        try {
+            const changed = [];
+            for (const [path, cached] of Array.from(this.shaderFileCache.entries())) {
+                try {
+                    const [previous, current] = await Promise.all([cached, this.requestShaderSource(path)]);
+                    if (previous !== current) changed.push(path);
+                } catch (error) {
+                    // Keep the last good source while a file is missing or mid-save
+                }
+            }
+            
+            for (const path of changed) {
+                await this.reloadShaderFiles(path);
+            }
+        } finally {
+            this.isCheckingShaderFiles = false;
+        }
+    }
+    
     /**
      * Initialize built-in geometries with inline shaders (Phase 2.3)
      */
-    initializeBuiltInGeometries() {
+    async initializeBuiltInGeometries() {
         // Initialize hypercube geometry with inline shaders
         this.initializeHypercubeGeometry();
         
-        // Initialize other basic geometries
-        this.initializeTetrahedronGeometry();
-        this.initializeSphereGeometry();
-        this.initializeTorusGeometry();
+        // Initialize geometries generated by the BaseGeometry subclasses
+        await this.initializeMeshGeometries();
         
         // Initialize any remaining geometries with fallback shaders
         this.initializeFallbackGeometries();
@@ -179,120 +561,36 @@ class GeometryRegistry {
             this.geometries.set('hypercube', hypercube);
         }
         
-        // Vertex shader for 4D hypercube projection
-        hypercube.vertexShader = `
-            precision highp float;
-            attribute vec4 a_position;
-            attribute float a_w; // 4th dimension coordinate
-            
-            uniform mat4 u_modelViewMatrix;
-            uniform mat4 u_projectionMatrix;
-            uniform float u_time;
-            uniform float u_dimension; // 3.0 to 5.0
-            uniform float u_rotationSpeed;
-            
-            varying vec3 v_position;
-            varying float v_depth;
-            varying float v_w;
-            
-            // 4D rotation matrices
-            mat4 rotateXW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0.0, 0.0, -s,
-                    0.0, 1.0, 0.0, 0.0,
-                    0.0, 0.0, 1.0, 0.0,
-                    s, 0.0, 0.0, c
-                );
-            }
-            
-            mat4 rotateYW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1.0, 0.0, 0.0, 0.0,
-                    0.0, c, 0.0, -s,
-                    0.0, 0.0, 1.0, 0.0,
-                    0.0, s, 0.0, c
-                );
-            }
-            
-            void main() {
-                // Create 4D position
-                vec4 pos4d = vec4(a_position.xyz, a_w);
-                
-                // Apply 4D rotations
-                float time = u_time * u_rotationSpeed * 0.001;
-                pos4d = rotateXW(time) * pos4d;
-                pos4d = rotateYW(time * 0.7) * pos4d;
-                
-                // Project from 4D to 3D
-                float w = pos4d.w;
-                float perspective4d = 1.0 / (2.0 - w * 0.5);
-                vec3 pos3d = pos4d.xyz * perspective4d;
-                
-                // Apply dimension morphing
-                float morphFactor = (u_dimension - 3.0) / 2.0;
-                pos3d = mix(a_position.xyz, pos3d, morphFactor);
-                
-                v_position = pos3d;
-                v_depth = pos3d.z;
-                v_w = w;
-                
-                gl_Position = u_projectionMatrix * u_modelViewMatrix * vec4(pos3d, 1.0);
-            }
-        `;
-        
-        // Fragment shader for hypercube
-        hypercube.fragmentShader = `
-            precision highp float;
-            
-            uniform float u_time;
-            uniform float u_gridDensity;
-            uniform float u_lineThickness;
-            uniform float u_patternIntensity;
-            uniform float u_colorShift;
-            uniform vec3 u_primaryColor;
-            uniform vec3 u_secondaryColor;
-            
-            varying vec3 v_position;
-            varying float v_depth;
-            varying float v_w;
-            
-            void main() {
-                // Create grid pattern
-                vec2 grid = fract(v_position.xy * u_gridDensity);
-                float gridLines = smoothstep(0.0, u_lineThickness, grid.x) * 
-                                 smoothstep(0.0, u_lineThickness, grid.y);
-                
-                // Color based on 4D position and time
-                float hue = v_w * 0.5 + u_time * 0.0001 + u_colorShift;
-                vec3 color = mix(u_primaryColor, u_secondaryColor, sin(hue) * 0.5 + 0.5);
-                
-                // Depth-based intensity
-                float intensity = (1.0 - abs(v_depth) * 0.5) * u_patternIntensity;
-                
-                // Combine grid and color
-                vec3 finalColor = color * intensity * (0.3 + gridLines * 0.7);
-                
-                // 4D depth effects
-                float alpha = 0.7 + v_w * 0.3;
-                
-                gl_FragColor = vec4(finalColor, alpha);
-            }
-        `;
+        // Built-in shaders, used when hypercube.glsl could not be loaded
+        if (hypercube.shaderSource !== 'file') {
+            this.applyInlineHypercubeShaders(hypercube);
+        }
         
         // Generate hypercube vertices (8 vertices of 3D cube, extended to 4D)
         hypercube.vertices = this.generateHypercubeVertices();
         hypercube.indices = this.generateHypercubeIndices();
+        hypercube.faces = this.generateHypercubeFaces();
+        hypercube.primitive = 'lines';
         
         // Mark shaders as loaded and geometry as ready
         hypercube.hasShaders = true;
         hypercube.isLoaded = true;
         this.metrics.shadersLoaded++;
         
-        console.log('📐 Hypercube geometry initialized with 4D shaders');
+        console.log(`📐 Hypercube geometry initialized with 4D shaders (${hypercube.shaderSource})`);
+    }
+    
+    /**
+     * Built-in hypercube shaders: the standard stages from ShaderChunkLibrary,
+     * as the geometry .glsl files include them
+     */
+    applyInlineHypercubeShaders(hypercube) {
+        const chunks = ShaderChunkLibrary.getShared();
+        
+        hypercube.vertexShader = chunks.assemble('precision highp float;\n#include <standard-vertex>');
+        hypercube.fragmentShader = chunks.assemble('precision highp float;\n#include <standard-fragment>');
+        
+        hypercube.shaderSource = 'inline';
     }
     
     /**
@@ -358,60 +656,410 @@ class GeometryRegistry {
     }
     
     /**
-     * Initialize other basic geometries (simplified for Phase 2)
+     * Generate the 24 square faces of the hypercube as vertex loops (for the
+     * cross-section slicer): for each pair of axes, the squares spanned by
+     * them from every vertex that has both bits clear
      */
-    initializeTetrahedronGeometry() {
-        const tetrahedron = this.geometries.get('tetrahedron');
-        if (!tetrahedron) return;
+    generateHypercubeFaces() {
+        const faces = [];
         
-        // Use hypercube shaders as fallback for now
+        for (let a = 0; a < 4; a++) {
+            for (let b = a + 1; b < 4; b++) {
+                const bitA = 1 << a;
+                const bitB = 1 << b;
+                for (let v = 0; v < 16; v++) {
+                    if (v & (bitA | bitB)) continue;
+                    faces.push([v, v | bitA, v | bitA | bitB, v | bitB]);
+                }
+            }
+        }
+        
+        return faces;
+    }
+    
+    /**
+     * Initialize geometries backed by BaseGeometry subclasses
+     * (shapes come from the CPU generators, shaders from the hypercube).
+     * The meshes are generated in parallel when workers are available.
+     */
+    async initializeMeshGeometries() {
         const hypercube = this.geometries.get('hypercube');
-        if (hypercube && hypercube.vertexShader && hypercube.fragmentShader) {
-            tetrahedron.vertexShader = hypercube.vertexShader;
-            tetrahedron.fragmentShader = hypercube.fragmentShader;
-            tetrahedron.vertices = hypercube.vertices;
-            tetrahedron.indices = hypercube.indices;
+        if (!hypercube || !hypercube.vertexShader || !hypercube.fragmentShader) {
+            console.warn('⚠️ Cannot initialize mesh geometries - hypercube shaders not available');
+            return;
         }
         
-        tetrahedron.isLoaded = true;
-        this.metrics.shadersLoaded++;
-        console.log('📐 Tetrahedron geometry initialized with hypercube shaders');
+        const builds = Object.entries(this.meshGeometryClasses).map(async ([name, definition]) => {
+            const geometry = this.geometries.get(name);
+            if (!geometry) return;
+            
+            if (!this.resolveGeometryClass(definition.className)) {
+                console.warn(`⚠️ ${definition.className} not loaded - ${name} will use fallback geometry`);
+                return;
+            }
+            
+            try {
+                // Start at the LOD budget given by the geometry's complexity
+                const lodBudget = this.getLODBudget(geometry);
+                const generator = {
+                    className: definition.className,
+                    primitive: definition.primitive,
+                    options: {
+                        ...(definition.options || {}),
+                        ...(definition.lod ? definition.lod[lodBudget] : {})
+                    }
+                };
+                const meshData = await this.generateMesh(name, generator);
+                
+                // Geometries without their own shader file borrow the hypercube shaders
+                if (geometry.shaderSource !== 'file') {
+                    geometry.vertexShader = hypercube.vertexShader;
+                    geometry.fragmentShader = hypercube.fragmentShader;
+                    geometry.shaderSource = 'hypercube';
+                }
+                geometry.generator = generator;
+                this.applyMeshData(geometry, meshData);
+                geometry.primitive = meshData.indices ? definition.primitive : 'points';
+                if (definition.lod) {
+                    geometry.lodBudget = lodBudget;
+                    geometry.lodLevel = lodBudget;
+                }
+                geometry.isLoaded = true;
+                geometry.loadTime = performance.now();
+                
+                this.metrics.shadersLoaded++;
+                console.log(`📐 ${name} geometry initialized from ${definition.className} (${meshData.vertexCount} vertices)`);
+                
+            } catch (error) {
+                console.error(`❌ Failed to build ${name} from ${definition.className}:`, error);
+            }
+        });
+        
+        await Promise.all(builds);
     }
     
-    initializeSphereGeometry() {
-        const sphere = this.geometries.get('sphere');
-        if (!sphere) return;
+    /**
+     * Generate a mesh in the worker pool, or on the main thread without one.
+     * `params` go to the update() of the geometry's existing instance.
+     */
+    generateMesh(name, generator, params = null) {
+        if (this.workerPool) {
+            return this.workerPool.generate(name, generator, params);
+        }
         
-        // Use hypercube shaders as fallback for now
-        const hypercube = this.geometries.get('hypercube');
-        if (hypercube && hypercube.vertexShader && hypercube.fragmentShader) {
-            sphere.vertexShader = hypercube.vertexShader;
-            sphere.fragmentShader = hypercube.fragmentShader;
-            sphere.vertices = hypercube.vertices;
-            sphere.indices = hypercube.indices;
+        return Promise.resolve().then(() => {
+            const GeometryClass = this.resolveGeometryClass(generator.className);
+            if (!GeometryClass) {
+                throw new Error(`${generator.className} is not loaded`);
+            }
+            return this.createMeshData(new GeometryClass({ ...generator.options, ...(params || {}) }), generator.primitive);
+        });
+    }
+    
+    /**
+     * Adopt generated mesh data (new objects, so GPU buffers keyed by the old ones are rebuilt)
+     */
+    applyMeshData(geometry, meshData) {
+        geometry.vertices = meshData.vertices;
+        geometry.indices = meshData.indices;
+        geometry.wireframeIndices = meshData.wireframeIndices;
+        geometry.faces = meshData.faces;
+    }
+    
+    /**
+     * Regenerate a geometry through its update(params), off the main thread when
+     * workers are available. The current mesh stays in place until the new one
+     * arrives; a later call for the same geometry supersedes this one.
+     * Resolves true once the new mesh is in place, false if it was superseded or failed.
+     */
+    regenerateGeometry(name, params = {}) {
+        const geometry = this.geometries.get(name);
+        if (!geometry || !geometry.generator) {
+            console.warn(`⚠️ Geometry '${name}' is not generated by a geometry class`);
+            return Promise.resolve(false);
         }
         
-        sphere.isLoaded = true;
-        this.metrics.shadersLoaded++;
-        console.log('📐 Sphere geometry initialized with hypercube shaders');
+        const token = (geometry.regenerationToken || 0) + 1;
+        geometry.regenerationToken = token;
+        
+        const regeneration = this.generateMesh(name, geometry.generator, params)
+            .then(meshData => {
+                if (geometry.regenerationToken !== token) return false;
+                
+                geometry.generator.options = { ...geometry.generator.options, ...params };
+                this.applyMeshData(geometry, meshData);
+                this.geometryUpdateListeners.forEach(listener => listener(name));
+                return true;
+            })
+            .catch(error => {
+                console.error(`❌ Failed to regenerate ${name}:`, error);
+                return false;
+            })
+            .finally(() => {
+                if (this.regenerations.get(name) === regeneration) {
+                    this.regenerations.delete(name);
+                }
+            });
+        
+        this.regenerations.set(name, regeneration);
+        return regeneration;
     }
     
-    initializeTorusGeometry() {
-        const torus = this.geometries.get('torus');
-        if (!torus) return;
+    /**
+     * Whether a regenerated mesh for the geometry is still on its way
+     */
+    isRegenerating(name) {
+        return this.regenerations.has(name);
+    }
+    
+    /**
+     * Resolves with the geometry once its latest regeneration is in place
+     */
+    async whenGeometryReady(name) {
+        while (this.regenerations.has(name)) {
+            await this.regenerations.get(name);
+        }
+        return this.geometries.get(name) || null;
+    }
+    
+    /**
+     * Subscribe to regenerated meshes (called with the geometry name).
+     * Returns an unsubscribe function.
+     */
+    onGeometryUpdate(listener) {
+        this.geometryUpdateListeners.add(listener);
+        return () => this.geometryUpdateListeners.delete(listener);
+    }
+    
+    /**
+     * LOD level named by a geometry's complexity ('medium' when it names none)
+     */
+    getLODBudget(geometry) {
+        return this.lodLevels.includes(geometry.complexity) ? geometry.complexity : 'medium';
+    }
+    
+    /**
+     * Names of the geometries that can be regenerated at another level of detail
+     */
+    getLODGeometryNames() {
+        return Object.keys(this.meshGeometryClasses).filter(name => {
+            const geometry = this.geometries.get(name);
+            return this.meshGeometryClasses[name].lod && geometry && geometry.generator;
+        });
+    }
+    
+    /**
+     * Regenerate a geometry at another level of detail (see regenerateGeometry).
+     * Resolves true once the mesh at the new level is in place.
+     */
+    async setGeometryLOD(name, level) {
+        const geometry = this.geometries.get(name);
+        const definition = this.meshGeometryClasses[name];
+        if (!geometry || !geometry.generator || !definition || !definition.lod) {
+            console.warn(`⚠️ Geometry '${name}' has no level of detail`);
+            return false;
+        }
+        if (!definition.lod[level]) {
+            console.warn(`⚠️ Unknown LOD level '${level}' for ${name}`);
+            return false;
+        }
+        if (geometry.lodLevel === level && !this.isRegenerating(name)) {
+            return false;
+        }
         
-        // Use hypercube shaders as fallback for now
-        const hypercube = this.geometries.get('hypercube');
-        if (hypercube && hypercube.vertexShader && hypercube.fragmentShader) {
-            torus.vertexShader = hypercube.vertexShader;
-            torus.fragmentShader = hypercube.fragmentShader;
-            torus.vertices = hypercube.vertices;
-            torus.indices = hypercube.indices;
+        const previousLevel = geometry.lodLevel;
+        if (!await this.regenerateGeometry(name, definition.lod[level])) {
+            return false;
         }
         
-        torus.isLoaded = true;
-        this.metrics.shadersLoaded++;
-        console.log('📐 Torus geometry initialized with hypercube shaders');
+        geometry.lodLevel = level;
+        console.log(`📐 ${name} LOD ${previousLevel} → ${level}`);
+        return true;
+    }
+    
+    /**
+     * Look up a geometry class loaded as a global script
+     */
+    resolveGeometryClass(className) {
+        if (typeof window !== 'undefined' && typeof window[className] === 'function') {
+            return window[className];
+        }
+        return null;
+    }
+    
+    /**
+     * Convert a BaseGeometry instance into GPU-ready typed arrays.
+     * Vertices are scaled to the same extent as the built-in hypercube.
+     * Triangle meshes also get 4D surface tangents and their edge list for the
+     * surface render mode.
+     * GeometryWorker.js calls this through the prototype, so it must not use registry state.
+     */
+    createMeshData(instance, primitive = null) {
+        const source = instance.getVertices();
+        const vertexCount = Math.floor(source.length / 4);
+        
+        let extent = 0;
+        for (let i = 0; i < vertexCount * 4; i++) {
+            extent = Math.max(extent, Math.abs(source[i]));
+        }
+        const scale = extent > 0 ? 0.5 / extent : 1.0;
+        
+        const positions = new Float32Array(vertexCount * 3);
+        const wCoords = new Float32Array(vertexCount);
+        for (let i = 0; i < vertexCount; i++) {
+            positions[i * 3] = source[i * 4] * scale;
+            positions[i * 3 + 1] = source[i * 4 + 1] * scale;
+            positions[i * 3 + 2] = source[i * 4 + 2] * scale;
+            wCoords[i] = source[i * 4 + 3] * scale;
+        }
+        
+        // UVs may be uv or uvw per vertex; the shaders only consume uv
+        let uvs = null;
+        const uvSource = typeof instance.getUVs === 'function' ? instance.getUVs() : [];
+        const uvStride = vertexCount > 0 ? Math.floor(uvSource.length / vertexCount) : 0;
+        if (uvStride >= 2) {
+            uvs = new Float32Array(vertexCount * 2);
+            for (let i = 0; i < vertexCount; i++) {
+                uvs[i * 2] = uvSource[i * uvStride];
+                uvs[i * 2 + 1] = uvSource[i * uvStride + 1];
+            }
+        }
+        
+        // Optional second shape (xyzw per vertex) the shaders blend toward, at the same scale
+        let morphTargets = null;
+        const morphSource = typeof instance.getMorphTargets === 'function' ? instance.getMorphTargets() : [];
+        if (morphSource.length === vertexCount * 4) {
+            morphTargets = new Float32Array(vertexCount * 4);
+            for (let i = 0; i < vertexCount * 4; i++) {
+                morphTargets[i] = morphSource[i] * scale;
+            }
+        }
+        
+        // 32-bit indices only when the vertices exceed the 16-bit range (see VisualizerPool.drawGeometry)
+        const indexSource = instance.getIndices();
+        const IndexArray = vertexCount > GeometryRegistry.MAX_UINT16_VERTICES ? Uint32Array : Uint16Array;
+        const indices = indexSource && indexSource.length > 0 ? new IndexArray(indexSource) : null;
+        
+        // Polygon loops for the cross-section slicer, where the generator knows them
+        const faces = typeof instance.getFaces === 'function' ? instance.getFaces() : undefined;
+        
+        // Lighting and wireframe overlay data for surfaces
+        const isSurface = primitive === 'triangles' && indices !== null;
+        const tangents = isSurface ? GeometryRegistry.computeSurfaceTangents(positions, wCoords, indices) : {};
+        const wireframeIndices = isSurface ? GeometryRegistry.computeEdgeIndices(indices, vertexCount) : null;
+        
+        return {
+            vertexCount,
+            vertices: {
+                positions,
+                wCoords,
+                uvs,
+                morphTargets,
+                tangentsU: tangents.tangentsU || null,
+                tangentsV: tangents.tangentsV || null
+            },
+            indices,
+            wireframeIndices,
+            faces
+        };
+    }
+    
+    /**
+     * Per-vertex pair of 4D tangents spanning a triangle mesh's surface.
+     * A surface in 4D has no single normal, so each triangle adds its oriented
+     * tangent plane (the bivector e1 ∧ e2, area weighted) to its corners, and
+     * two orthonormal vectors spanning each vertex's summed plane are kept.
+     * The vertex shader rotates and projects them to find the 3D normal.
+     */
+    static computeSurfaceTangents(positions, wCoords, indices) {
+        const vertexCount = wCoords.length;
+        
+        // Bivector components in the order xy, xz, xw, yz, yw, zw
+        const planes = new Float64Array(vertexCount * 6);
+        const e1 = new Float64Array(4);
+        const e2 = new Float64Array(4);
+        
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+            for (let k = 0; k < 3; k++) {
+                e1[k] = positions[b * 3 + k] - positions[a * 3 + k];
+                e2[k] = positions[c * 3 + k] - positions[a * 3 + k];
+            }
+            e1[3] = wCoords[b] - wCoords[a];
+            e2[3] = wCoords[c] - wCoords[a];
+            
+            const plane = [
+                e1[0] * e2[1] - e1[1] * e2[0],
+                e1[0] * e2[2] - e1[2] * e2[0],
+                e1[0] * e2[3] - e1[3] * e2[0],
+                e1[1] * e2[2] - e1[2] * e2[1],
+                e1[1] * e2[3] - e1[3] * e2[1],
+                e1[2] * e2[3] - e1[3] * e2[2]
+            ];
+            for (let p = 0; p < 6; p++) {
+                planes[a * 6 + p] += plane[p];
+                planes[b * 6 + p] += plane[p];
+                planes[c * 6 + p] += plane[p];
+            }
+        }
+        
+        const tangentsU = new Float32Array(vertexCount * 4);
+        const tangentsV = new Float32Array(vertexCount * 4);
+        
+        for (let vertex = 0; vertex < vertexCount; vertex++) {
+            const [xy, xz, xw, yz, yw, zw] = planes.subarray(vertex * 6, vertex * 6 + 6);
+            
+            // The plane as an antisymmetric matrix M (M·x lies in the plane for any x).
+            // u: its longest column; v = -M·u completes the pair with the plane's orientation.
+            const columns = [[0, -xy, -xz, -xw], [xy, 0, -yz, -yw], [xz, yz, 0, -zw], [xw, yw, zw, 0]];
+            let u = columns[0];
+            let uLength = Math.hypot(...u);
+            for (let k = 1; k < 4; k++) {
+                const length = Math.hypot(...columns[k]);
+                if (length > uLength) {
+                    u = columns[k];
+                    uLength = length;
+                }
+            }
+            if (uLength < 1e-12) continue;
+            
+            const v = [
+                -(xy * u[1] + xz * u[2] + xw * u[3]),
+                -(-xy * u[0] + yz * u[2] + yw * u[3]),
+                -(-xz * u[0] - yz * u[1] + zw * u[3]),
+                -(-xw * u[0] - yw * u[1] - zw * u[2])
+            ];
+            const vLength = Math.hypot(...v);
+            if (vLength < 1e-12) continue;
+            
+            for (let k = 0; k < 4; k++) {
+                tangentsU[vertex * 4 + k] = u[k] / uLength;
+                tangentsV[vertex * 4 + k] = v[k] / vLength;
+            }
+        }
+        
+        return { tangentsU, tangentsV };
+    }
+    
+    /**
+     * Unique edges of a triangle mesh as line indices (same index width)
+     */
+    static computeEdgeIndices(indices, vertexCount) {
+        const seen = new Set();
+        const edges = [];
+        
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            for (let corner = 0; corner < 3; corner++) {
+                const a = indices[i + corner];
+                const b = indices[i + (corner + 1) % 3];
+                const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+                if (a === b || seen.has(key)) continue;
+                seen.add(key);
+                edges.push(a, b);
+            }
+        }
+        
+        return new indices.constructor(edges);
     }
     
     /**
@@ -424,15 +1072,19 @@ class GeometryRegistry {
             return;
         }
         
-        // Find all geometries that don't have shaders loaded
+        // Find all geometries that aren't ready yet (shader-file-only geometries keep their shaders)
         this.geometries.forEach((geometry, name) => {
-            if (name !== 'hypercube' && (!geometry.vertexShader || !geometry.fragmentShader)) {
-                console.log(`📐 Initializing ${name} with hypercube fallback shaders...`);
+            if (name !== 'hypercube' && !geometry.isLoaded) {
+                console.log(`📐 Initializing ${name} with hypercube fallback geometry...`);
                 
-                geometry.vertexShader = hypercube.vertexShader;
-                geometry.fragmentShader = hypercube.fragmentShader;
+                if (geometry.shaderSource !== 'file') {
+                    geometry.vertexShader = hypercube.vertexShader;
+                    geometry.fragmentShader = hypercube.fragmentShader;
+                    geometry.shaderSource = 'hypercube';
+                }
                 geometry.vertices = hypercube.vertices;
                 geometry.indices = hypercube.indices;
+                geometry.primitive = hypercube.primitive;
                 geometry.isLoaded = true;
                 
                 this.metrics.shadersLoaded++;
@@ -498,7 +1150,9 @@ class GeometryRegistry {
         return {
             ...this.metrics,
             totalGeometries: this.geometries.size,
-            loadedGeometries: Array.from(this.geometries.values()).filter(g => g.isLoaded).length
+            loadedGeometries: Array.from(this.geometries.values()).filter(g => g.isLoaded).length,
+            regenerating: Array.from(this.regenerations.keys()),
+            workers: this.workerPool ? this.workerPool.getMetrics() : null
         };
     }
     
@@ -511,6 +1165,8 @@ class GeometryRegistry {
         this.geometries.clear();
         this.defaultParameters.clear();
         this.shaderCache.clear();
+        this.shaderFileCache.clear();
+        this.stopShaderWatch();
         this.metrics = { geometriesLoaded: 0, shadersLoaded: 0, loadTime: 0 };
         this.isInitialized = false;
         
@@ -520,17 +1176,133 @@ class GeometryRegistry {
     }
     
     /**
-     * Validate geometry configuration
+     * Hash a geometry's shader pair (FNV-1a over the exact source text). Only
+     * computes the key; registerShaderSources() adds the pair to the shader cache.
      */
-    validateGeometry(geometryName) {
+    getShaderHash(geometry) {
+        const source = `${geometry.vertexShader}\u0000${geometry.fragmentShader}`;
+        
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${(hash >>> 0).toString(16).padStart(8, '0')}-${source.length.toString(16)}`;
+    }
+    
+    /**
+     * Register a geometry's shader pair in the shader cache (when a program is
+     * built from it) and return its hash
+     */
+    registerShaderSources(geometry) {
+        const shaderHash = this.getShaderHash(geometry);
+        
+        if (!this.shaderCache.has(shaderHash)) {
+            this.shaderCache.set(shaderHash, {
+                hash: shaderHash,
+                vertexShader: geometry.vertexShader,
+                fragmentShader: geometry.fragmentShader,
+                geometries: new Set(),
+                errors: []
+            });
+        }
+        this.shaderCache.get(shaderHash).geometries.add(geometry.name);
+        
+        return shaderHash;
+    }
+    
+    /**
+     * Drop shader cache entries no geometry uses any more (replaced by a
+     * reload), and geometries from the entries they have left
+     */
+    pruneShaderCache() {
+        const users = new Map();
+        this.geometries.forEach((geometry, name) => {
+            if (!geometry.vertexShader || !geometry.fragmentShader) return;
+            
+            const shaderHash = this.getShaderHash(geometry);
+            if (!users.has(shaderHash)) users.set(shaderHash, new Set());
+            users.get(shaderHash).add(name);
+        });
+        
+        this.shaderCache.forEach((entry, shaderHash) => {
+            if (users.has(shaderHash)) {
+                entry.geometries = new Set([...entry.geometries].filter(name => users.get(shaderHash).has(name)));
+            } else {
+                this.shaderCache.delete(shaderHash);
+            }
+        });
+    }
+    
+    /**
+     * Record the structured compile/link errors for a shader pair (empty once it links)
+     */
+    recordShaderErrors(shaderHash, errors) {
+        const entry = this.shaderCache.get(shaderHash);
+        if (!entry) return;
+        
+        entry.errors = errors;
+        if (errors.length > 0) {
+            console.warn(`⚠️ Shader errors for ${Array.from(entry.geometries).join(', ')}:`, errors);
+        }
+    }
+    
+    /**
+     * Structured shader errors for a geometry, or for every geometry that has any
+     */
+    getShaderErrors(geometryName = null) {
+        if (geometryName) {
+            const geometry = this.geometries.get(geometryName);
+            if (!geometry || !geometry.vertexShader || !geometry.fragmentShader) return [];
+            
+            const entry = this.shaderCache.get(this.getShaderHash(geometry));
+            if (!entry) return [];
+            return entry.errors.map(error => ({ ...error, geometry: geometryName }));
+        }
+        
+        const errors = {};
+        this.geometries.forEach((geometry, name) => {
+            const geometryErrors = this.getShaderErrors(name);
+            if (geometryErrors.length > 0) {
+                errors[name] = geometryErrors;
+            }
+        });
+        return errors;
+    }
+    
+    /**
+     * Validate geometry configuration. Given a GL context, the issues also
+     * include a mesh that needs 32-bit indices the context cannot draw
+     * (VisualizerPool then splits it into chunks); without one, a mesh that
+     * exceeds 16-bit indices at all.
+     */
+    validateGeometry(geometryName, gl = null) {
         const geometry = this.getGeometry(geometryName);
         if (!geometry) return false;
         
         const issues = [];
         
+        const vertexCount = geometry.vertices && geometry.vertices.positions ? geometry.vertices.positions.length / 3 : 0;
+        if (geometry.indices && vertexCount > GeometryRegistry.MAX_UINT16_VERTICES) {
+            const uint32Supported = gl && ((typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) ||
+                !!gl.getExtension('OES_element_index_uint'));
+            if (!uint32Supported) {
+                issues.push(`${vertexCount} vertices are more than 16-bit indices can draw${gl ? ' in this context' : ''}` +
+                    ' without WebGL2 or OES_element_index_uint - drawn in chunks');
+            }
+        }
+        
         if (!geometry.vertexShader) issues.push('Missing vertex shader');
         if (!geometry.fragmentShader) issues.push('Missing fragment shader');
         if (!geometry.vertices) issues.push('Missing vertex data');
+        if (geometry.primitive !== 'points' && !geometry.indices) issues.push('Missing index data');
+        
+        // Compile/link errors reported by the visualizers that built this shader pair
+        this.getShaderErrors(geometryName).forEach(error => {
+            const location = error.line !== null ? ` at line ${error.line}${error.column !== null ? `:${error.column}` : ''}` : '';
+            const label = error.stage === 'link' ? 'Program link error' : `${error.stage} shader ${error.severity}`;
+            issues.push(`${label}${location}: ${error.message}`);
+        });
         
         if (issues.length > 0) {
             console.warn(`⚠️ Geometry '${geometryName}' validation issues:`, issues);
@@ -541,6 +1313,9 @@ class GeometryRegistry {
     }
 }
 
+// Vertices addressable by 16-bit indices
+GeometryRegistry.MAX_UINT16_VERTICES = 65536;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GeometryRegistry;
@@ -0,0 +1,51 @@
+/**
+ * GeometryWorker.js - Worker side of GeometryWorkerPool
+ *
+ * Holds one geometry instance per key, runs its constructor or update(params)
+ * and posts the mesh back with the typed arrays as transferables.
+ */
+
+// The geometry scripts export themselves onto window
+self.window = self;
+
+importScripts(
+    'BaseGeometry.js',
+    'HypertetrahedronGeometry.js',
+    'HypersphereGeometry.js',
+    'TorusGeometry.js',
+    'DuoprismGeometry.js',
+    'KleinBottleGeometry.js',
+    'FractalGeometry.js',
+    'WaveGeometry.js',
+    'CrystalGeometry.js',
+    'RegularPolytopeGeometry.js',
+    'GeometryRegistry.js',
+    'GeometryWorkerPool.js'
+);
+
+const instances = new Map();
+
+self.onmessage = (event) => {
+    const { id, key, generator, params } = event.data;
+    const { className, options, primitive } = generator;
+
+    try {
+        let instance = instances.get(key);
+        if (!instance || !params || instance.constructor.name !== className) {
+            const GeometryClass = self[className];
+            if (typeof GeometryClass !== 'function') {
+                throw new Error(`${className} is not available in the geometry worker`);
+            }
+            instance = new GeometryClass(options);
+            instances.set(key, instance);
+        }
+
+        if (params) instance.update(params);
+
+        const meshData = GeometryRegistry.prototype.createMeshData(instance, primitive);
+        self.postMessage({ id, meshData }, GeometryWorkerPool.getTransferables(meshData));
+
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
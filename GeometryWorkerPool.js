@@ -0,0 +1,207 @@
+/**
+ * GeometryWorkerPool - Runs BaseGeometry generate()/update() off the main thread
+ *
+ * Each geometry is generated under a key (its registry name). A job without
+ * params constructs the geometry class in a worker (GeometryWorker.js); jobs
+ * with params call update(params) on that same instance, so every key stays
+ * with one worker. Meshes come back as GeometryRegistry.createMeshData output
+ * with the typed arrays transferred, not copied.
+ *
+ * Without Worker support, or once a worker fails to load, jobs run on the main
+ * thread with the same results.
+ */
+class GeometryWorkerPool {
+    constructor(options = {}) {
+        this.scriptPath = options.scriptPath || 'GeometryWorker.js';
+        this.size = options.size || GeometryWorkerPool.getDefaultSize();
+        this.isAvailable = options.enabled !== false && typeof Worker !== 'undefined';
+
+        this.workers = [];          // { worker, keys }
+        this.affinity = new Map();  // key → worker slot holding its instance
+        this.pending = new Map();   // job id → job
+        this.nextJobId = 1;
+
+        // Main-thread instances (fallback)
+        this.instances = new Map();
+
+        this.metrics = {
+            workerJobs: 0,
+            mainThreadJobs: 0,
+            failedJobs: 0
+        };
+    }
+
+    /**
+     * One worker per spare core, at most four
+     */
+    static getDefaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    /**
+     * Transferable buffers of a createMeshData result
+     */
+    static getTransferables(meshData) {
+        const { positions, wCoords, uvs, morphTargets, tangentsU, tangentsV } = meshData.vertices;
+        return [positions, wCoords, uvs, morphTargets, tangentsU, tangentsV, meshData.indices, meshData.wireframeIndices]
+            .filter(array => array && array.buffer)
+            .map(array => array.buffer);
+    }
+
+    /**
+     * Generate a geometry from its generator ({ className, options, primitive }),
+     * or, given `params`, update the key's existing instance (constructed from
+     * the generator first if there is none).
+     * Resolves with GeometryRegistry.createMeshData output.
+     */
+    generate(key, generator, params = null) {
+        const job = { key, generator, params };
+
+        if (!this.isAvailable) {
+            return Promise.resolve().then(() => this.generateOnMainThread(job));
+        }
+
+        return new Promise((resolve, reject) => {
+            const slot = this.getWorkerSlot(key);
+            if (!slot) {
+                resolve(this.generateOnMainThread(job));
+                return;
+            }
+
+            Object.assign(job, { id: this.nextJobId++, slot, resolve, reject });
+            this.pending.set(job.id, job);
+            slot.worker.postMessage({ id: job.id, key, generator, params });
+        });
+    }
+
+    /**
+     * Worker slot for a key: the one already holding its instance, else the least loaded
+     */
+    getWorkerSlot(key) {
+        if (this.affinity.has(key)) {
+            return this.affinity.get(key);
+        }
+
+        if (this.workers.length < this.size && !this.startWorker()) {
+            return null;
+        }
+
+        const slot = this.workers.reduce((best, candidate) =>
+            candidate.keys.size < best.keys.size ? candidate : best);
+        slot.keys.add(key);
+        this.affinity.set(key, slot);
+        return slot;
+    }
+
+    /**
+     * Start one more worker; returns false (and falls back) when workers cannot run here
+     */
+    startWorker() {
+        try {
+            const slot = { worker: new Worker(this.scriptPath), keys: new Set() };
+            slot.worker.onmessage = (event) => this.handleMessage(event.data);
+            slot.worker.onerror = (event) => this.handleWorkerFailure(event.message || 'worker error');
+            this.workers.push(slot);
+            return true;
+
+        } catch (error) {
+            this.handleWorkerFailure(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Settle a job with the worker's mesh or generation error
+     */
+    handleMessage({ id, meshData, error }) {
+        const job = this.pending.get(id);
+        if (!job) return;
+        this.pending.delete(id);
+
+        if (error) {
+            this.metrics.failedJobs++;
+            job.reject(new Error(error));
+            return;
+        }
+
+        this.metrics.workerJobs++;
+        job.resolve(meshData);
+    }
+
+    /**
+     * A worker that cannot load or crashes disables the pool; its jobs and all
+     * later ones run on the main thread
+     */
+    handleWorkerFailure(message) {
+        if (!this.isAvailable) return;
+
+        console.warn(`⚠️ Geometry workers unavailable (${message}) - generating on the main thread`);
+        this.isAvailable = false;
+        this.terminate();
+
+        // Instances held by the workers are gone; rebuild them from each job's options
+        const jobs = Array.from(this.pending.values());
+        this.pending.clear();
+        jobs.forEach(job => {
+            try {
+                job.resolve(this.generateOnMainThread(job));
+            } catch (error) {
+                job.reject(error);
+            }
+        });
+    }
+
+    /**
+     * Generate a job synchronously with the globally loaded geometry classes
+     */
+    generateOnMainThread({ key, generator, params }) {
+        const { className, options, primitive } = generator;
+        let instance = this.instances.get(key);
+        if (!instance || !params || instance.constructor.name !== className) {
+            const GeometryClass = typeof window !== 'undefined' ? window[className] : undefined;
+            if (typeof GeometryClass !== 'function') {
+                this.metrics.failedJobs++;
+                throw new Error(`${className} is not loaded`);
+            }
+            instance = new GeometryClass(options);
+            this.instances.set(key, instance);
+        }
+
+        try {
+            if (params) instance.update(params);
+            const meshData = GeometryRegistry.prototype.createMeshData(instance, primitive);
+            this.metrics.mainThreadJobs++;
+            return meshData;
+
+        } catch (error) {
+            this.metrics.failedJobs++;
+            throw error;
+        }
+    }
+
+    /**
+     * Stop all workers
+     */
+    terminate() {
+        this.workers.forEach(({ worker }) => worker.terminate());
+        this.workers = [];
+        this.affinity.clear();
+    }
+
+    getMetrics() {
+        return {
+            ...this.metrics,
+            workers: this.workers.length,
+            pendingJobs: this.pending.size,
+            usingWorkers: this.isAvailable
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeometryWorkerPool;
+} else {
+    window.GeometryWorkerPool = GeometryWorkerPool;
+}
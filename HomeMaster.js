@@ -22,12 +22,30 @@ class HomeMaster {
         this.isTransitioning = false;
         this.transitionProgress = 0;
         
-        // State definitions from state-map.json
+        // State definitions from state-map.json; nested states are flattened
+        // to ids like 'tech/shaders' that inherit from their parent
         this.stateDefinitions = {};
         this.stateSequence = [];
+        
+        // Orthogonal regions (e.g. 'focus'): each has one active state, layered
+        // over the page state and changed independently of it
+        this.regions = {};               // regionId → { initialState, states }
+        this.regionStates = {};          // regionId → active region state
+        this.regionBaseline = {};        // state-level values of region-overridden parameters
+        
+        // States whose entry hooks have run and exit hooks have not
+        // (page state path root first, then 'region:state' entries)
+        this.activeConfiguration = [];
+        this.hookTarget = null;          // { stateId, regionStates } while a navigation's hooks run
         this.navigationConfig = {};
         this.transitionConfig = {};
         
+        // Theme definitions from visuals.json
+        this.themes = {};
+        
+        // Projection specs (state `projection`, per-card `cardProjections`) resolve to uniforms here
+        this.projectionManager = ProjectionManager.getShared();
+        
         // Global parameters (current state + interpolation)
         this.globalParameters = {
             // Master dimensional controls
@@ -41,6 +59,49 @@ class HomeMaster {
             u_glitchIntensity: 0.0,
             u_universeModifier: 1.0,
             
+            // 4D rotation: angle offset (radians) and angular velocity (rad/s,
+            // scaled by u_rotationSpeed) for each of the six planes
+            u_rotXY: 0.0,
+            u_rotXZ: 0.0,
+            u_rotYZ: 0.0,
+            u_rotXW: 0.0,
+            u_rotYW: 0.0,
+            u_rotZW: 0.0,
+            u_rotSpeedXY: 0.0,
+            u_rotSpeedXZ: 0.0,
+            u_rotSpeedYZ: 0.0,
+            u_rotSpeedXW: 1.0,
+            u_rotSpeedYW: 0.7,
+            u_rotSpeedZW: 0.0,
+            
+            // 4D → 3D projection (see ProjectionManager); weights blend
+            // perspective, stereographic and orthographic
+            u_projectionWeights: [1.0, 0.0, 0.0],
+            u_projectionDistance: 2.0,
+            u_projectionWScale: -0.5,
+            u_projectionFov: 45,
+            u_stereoRadius: 1.5,
+            u_stereoPoleSign: 1,
+            u_orthoSize: 0.83,
+            
+            // 4D cross-section: above 0.5 cards draw the slice of their
+            // (rotated) geometry by the hyperplane w = u_sliceOffset
+            u_crossSection: 0.0,
+            u_sliceOffset: 0.0,
+            
+            // Lighting for surface-type geometries (light direction in view
+            // space) and the opacity of the edges drawn over them
+            u_lightDirection: [0.577, 0.577, 0.577],
+            u_specularStrength: 0.5,
+            u_materialShininess: 32.0,
+            u_wireframeOpacity: 0.35,
+            
+            // Theme colors as RGBA (filled from visuals.json themes)
+            u_primaryColor: [0.0, 1.0, 1.0, 1.0],
+            u_secondaryColor: [1.0, 0.0, 1.0, 1.0],
+            u_accentColor: [1.0, 1.0, 1.0, 1.0],
+            u_backgroundColor: [0.0, 0.0, 0.0, 1.0],
+            
             // State information
             activeTheme: 'dark_matter',
             backgroundGeometry: 'hypercube',
@@ -48,6 +109,9 @@ class HomeMaster {
             description: 'Polytonal Visualizer System'
         };
         
+        // Values before any state applied; what getStateDefaultParameters builds on
+        this.defaultParameters = JSON.parse(JSON.stringify(this.globalParameters));
+        
         // Parameter history for interpolation
         this.parameterHistory = [];
         this.maxHistorySize = 10;
@@ -56,10 +120,35 @@ class HomeMaster {
         this.activeCards = new Map();
         this.cardTransitions = new Map();
         
+        // Per-card parameter layers (see getCardParameters)
+        this.cardParameters = new Map();        // Persistent overrides per card
+        this.cardInteractionDeltas = new Map(); // Transient deltas from interactions
+        
+        // Per-card orbit camera (see OrbitCameraController): 3D yaw/pitch/distance
+        // plus XW/YW/ZW offsets added to the 4D rotation
+        this.cardCameras = new Map();
+        this.cameraDefaults = { yaw: 0, pitch: 0, distance: 2, xw: 0, yw: 0, zw: 0 };
+        this.cameraLimits = { minDistance: 0.75, maxDistance: 8, maxPitch: Math.PI / 2 - 0.01 };
+        
         // Transition state management
+        this.transitionTarget = null;
         this.transitionStartTime = null;
+        this.transitionEndpoints = null; // { start, target } global parameters of the running transition
+        this.transitionRegions = null;   // region states the running transition is heading for
         this.transitionDuration = 800;
         this.transitionCurve = 'easeInOut';
+        this.activeTransition = null;    // { stateId, frame, resolve, promise }
+        
+        // Navigation requested mid-transition either retargets the running
+        // transition or waits in this queue (globalSettings.transitionInterruption)
+        this.transitionInterruption = 'retarget';
+        this.navigationQueue = [];       // { stateId, regionStates, options, resolve, promise }
+        this.maxQueuedNavigations = 5;
+        
+        // Card under the pointer or keyboard focus (set by InteractionCoordinator;
+        // transition guards can require one) and why the last navigation failed
+        this.focusedCard = null;
+        this.lastNavigationError = null; // { fromState, toState, reason }
         
         // Event system
         this.eventBus = new EventTarget();
@@ -68,6 +157,8 @@ class HomeMaster {
         this.metrics = {
             stateChanges: 0,
             transitionTime: 0,
+            interruptedTransitions: 0,
+            queuedNavigations: 0,
             parameterUpdates: 0,
             lastUpdate: performance.now()
         };
@@ -95,6 +186,9 @@ class HomeMaster {
             // Load layout definitions for card information
             await this.loadLayoutDefinitions();
             
+            // Load theme colors for shader uniforms
+            this.loadThemeDefinitions();
+            
             // Set initial state
             this.setInitialState();
             
@@ -121,16 +215,114 @@ class HomeMaster {
         }
         
         // Load state definitions
-        this.stateDefinitions = stateMapConfig.states || {};
-        this.stateSequence = stateMapConfig.stateSequence || Object.keys(this.stateDefinitions);
+        this.stateDefinitions = this.flattenStateDefinitions(stateMapConfig.states || {});
+        this.stateSequence = stateMapConfig.stateSequence || Object.keys(stateMapConfig.states || {});
+        this.loadRegions(stateMapConfig.regions || {});
         this.navigationConfig = stateMapConfig.navigation || {};
         this.transitionConfig = stateMapConfig.transitions || {};
         
         // Store global settings
         this.globalSettings = stateMapConfig.globalSettings || {};
+        this.transitionInterruption = this.globalSettings.transitionInterruption === 'queue' ? 'queue' : 'retarget';
+        this.maxQueuedNavigations = this.globalSettings.maxQueuedNavigations || this.maxQueuedNavigations;
         
         console.log(`🏠 Loaded ${Object.keys(this.stateDefinitions).length} state definitions`);
         console.log(`🏠 State sequence: ${this.stateSequence.join(' → ')}`);
+        if (Object.keys(this.regions).length > 0) {
+            console.log(`🏠 Regions: ${Object.keys(this.regions).join(', ')}`);
+        }
+    }
+    
+    /**
+     * Flatten nested `states` into one map keyed by path ('tech/shaders').
+     * Each sub-state inherits its parent's definition (see mergeStateDefinitions)
+     * and gets `id`, `parent` and `children`; hooks are not inherited.
+     */
+    flattenStateDefinitions(states, parent = null, flattened = {}) {
+        Object.entries(states).forEach(([name, definition]) => {
+            const stateId = parent ? `${parent.id}/${name}` : name;
+            const { states: children, ...own } = definition;
+            
+            const resolved = parent ? this.mergeStateDefinitions(parent, own) : { ...own };
+            resolved.id = stateId;
+            resolved.parent = parent ? parent.id : null;
+            resolved.children = Object.keys(children || {}).map(child => `${stateId}/${child}`);
+            resolved.onEntry = own.onEntry || [];
+            resolved.onExit = own.onExit || [];
+            
+            flattened[stateId] = resolved;
+            if (children) {
+                this.flattenStateDefinitions(children, resolved, flattened);
+            }
+        });
+        
+        return flattened;
+    }
+    
+    /**
+     * Overlay one state definition on another: overlay fields win, while
+     * parameterOverrides, cardProjections, cardParameters and cardPositions
+     * merge (the last two per card)
+     */
+    mergeStateDefinitions(base, overlay) {
+        const mergePerCard = (baseCards = {}, overlayCards = {}) => {
+            const merged = { ...baseCards };
+            Object.entries(overlayCards).forEach(([cardId, values]) => {
+                merged[cardId] = { ...(baseCards[cardId] || {}), ...values };
+            });
+            return merged;
+        };
+        
+        return {
+            ...base,
+            ...overlay,
+            parameterOverrides: { ...base.parameterOverrides, ...overlay.parameterOverrides },
+            cardProjections: { ...base.cardProjections, ...overlay.cardProjections },
+            cardParameters: mergePerCard(base.cardParameters, overlay.cardParameters),
+            cardPositions: mergePerCard(base.cardPositions, overlay.cardPositions)
+        };
+    }
+    
+    /**
+     * Load orthogonal regions; each starts in its initialState (default: its first state)
+     */
+    loadRegions(regions) {
+        this.regions = {};
+        this.regionStates = {};
+        
+        Object.entries(regions).forEach(([regionId, region]) => {
+            const states = region.states || {};
+            const initialState = region.initialState || Object.keys(states)[0];
+            if (!states[initialState]) {
+                console.warn(`⚠️ Region '${regionId}' has no state '${initialState}', skipping`);
+                return;
+            }
+            
+            this.regions[regionId] = { initialState, states };
+            this.regionStates[regionId] = initialState;
+        });
+    }
+    
+    /**
+     * A page state's definition with region states layered over it (default:
+     * the active ones). Region parameterOverrides are kept apart in
+     * `regionOverrides`; see applyRegionOverrides.
+     */
+    getStateDefinition(stateId, regionStates = this.regionStates) {
+        const stateDefinition = this.stateDefinitions[stateId];
+        if (!stateDefinition) return null;
+        
+        let composed = { ...stateDefinition, regionOverrides: {} };
+        Object.entries(regionStates).forEach(([regionId, regionStateId]) => {
+            const regionState = this.regions[regionId]?.states[regionStateId];
+            if (!regionState) return;
+            
+            const { parameterOverrides, onEntry, onExit, ...layout } = regionState;
+            composed = this.mergeStateDefinitions(composed, layout);
+            composed.regionOverrides = { ...composed.regionOverrides, ...parameterOverrides };
+        });
+        
+        return composed;
     }
     
     /**
@@ -152,6 +344,77 @@ class HomeMaster {
         console.log(`🏠 Loaded ${this.cardDefinitions.size} card definitions`);
     }
     
+    /**
+     * Load theme definitions from visuals.json
+     */
+    loadThemeDefinitions() {
+        const visualsConfig = this.jsonConfigSystem.getConfig('visuals');
+        this.themes = visualsConfig?.themes || {};
+        
+        console.log(`🏠 Loaded ${Object.keys(this.themes).length} themes`);
+    }
+    
+    /**
+     * Get a theme's colors as RGBA uniform values
+     */
+    getThemeColors(themeName) {
+        const theme = this.themes[themeName];
+        if (!theme) return {};
+        
+        const colors = {};
+        const uniformMap = {
+            primary: 'u_primaryColor',
+            secondary: 'u_secondaryColor',
+            accent: 'u_accentColor',
+            background: 'u_backgroundColor'
+        };
+        
+        Object.entries(uniformMap).forEach(([key, uniformName]) => {
+            const rgba = this.parseColor(theme[key]);
+            if (rgba) colors[uniformName] = rgba;
+        });
+        
+        return colors;
+    }
+    
+    /**
+     * Parse a CSS hex or rgb()/rgba() color into normalized [r, g, b, a]
+     */
+    parseColor(color) {
+        if (typeof color !== 'string') return null;
+        const value = color.trim();
+        
+        const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length <= 4) {
+                digits = digits.split('').map(d => d + d).join('');
+            }
+            const channels = digits.match(/../g).map(pair => parseInt(pair, 16) / 255);
+            if (channels.length === 3) channels.push(1.0);
+            return channels;
+        }
+        
+        const rgb = value.match(/^rgba?\(([^)]+)\)$/i);
+        if (rgb) {
+            const parts = rgb[1].split(/[\s,\/]+/).filter(Boolean);
+            if (parts.length < 3) return null;
+            
+            const channels = parts.slice(0, 3).map(part =>
+                part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / 255
+            );
+            const alpha = parts.length > 3 ?
+                (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3])) :
+                1.0;
+            channels.push(alpha);
+            
+            return channels.some(c => isNaN(c)) ? null : channels.map(c => Math.min(Math.max(c, 0), 1));
+        }
+        
+        console.warn(`⚠️ Unsupported color format: ${color}`);
+        return null;
+    }
+    
     /**
      * Set the initial state from configuration
      */
@@ -171,16 +434,20 @@ class HomeMaster {
     }
     
     /**
-     * Set state immediately without transition
+     * Set state immediately without transition (optionally with new region states)
      */
-    setStateImmediate(stateId) {
-        const stateDefinition = this.stateDefinitions[stateId];
-        if (!stateDefinition) {
+    setStateImmediate(stateId, regionStates = this.regionStates) {
+        if (!this.getStateDefinition(stateId, regionStates)) {
             console.error(`❌ State '${stateId}' not found`);
             return false;
         }
         
+        const hookTarget = { stateId: stateId, regionStates: regionStates };
+        regionStates = this.runNavigationHooks(stateId, regionStates, hookTarget);
+        const stateDefinition = this.getStateDefinition(stateId, regionStates);
+        
         this.currentState = stateId;
+        this.regionStates = { ...regionStates };
         this.updateParametersFromState(stateDefinition);
         this.updateActiveCards(stateDefinition);
         
@@ -194,31 +461,77 @@ class HomeMaster {
             detail: {
                 newState: stateId,
                 stateDefinition: stateDefinition,
+                regionStates: { ...this.regionStates },
                 immediate: true
             }
         }));
         
+        // Page navigation asked for by the hooks
+        hookTarget.resolve?.('completed');
+        this.processNavigationQueue();
+        
         return true;
     }
     
     /**
-     * Navigate to a new state with transition
+     * Navigate to a new state with transition.
+     * Resolves 'completed' once the state is reached, 'interrupted' when a
+     * later navigation retargets the transition, 'cancelled' when a queued
+     * navigation is dropped, or false for an unknown state or a transition
+     * the graph does not allow (reason in lastNavigationError).
      */
     async navigateTo(stateId, options = {}) {
-        if (this.isTransitioning) {
-            console.warn('⚠️ Already transitioning, ignoring navigation request');
-            return false;
+        if (!this.stateDefinitions[stateId]) {
+            return this.rejectNavigation(stateId, `State '${stateId}' not found`);
         }
         
-        const stateDefinition = this.stateDefinitions[stateId];
-        if (!stateDefinition) {
-            console.error(`❌ State '${stateId}' not found`);
-            return false;
+        return this.requestTransition(stateId, this.getPendingRegionStates(), options);
+    }
+    
+    /**
+     * Switch one region to another of its states, keeping the page state.
+     * Resolves like navigateTo.
+     */
+    async setRegionState(regionId, regionStateId, options = {}) {
+        if (!this.regions[regionId]?.states[regionStateId]) {
+            return this.rejectNavigation(this.currentState, `Region state '${regionId}:${regionStateId}' not found`);
+        }
+        
+        const regionStates = { ...this.getPendingRegionStates(), [regionId]: regionStateId };
+        return this.requestTransition(this.getNavigationDestination(), regionStates, options);
+    }
+    
+    /**
+     * Transition to a page state and region states, retargeting or queueing
+     * behind a running transition
+     */
+    async requestTransition(stateId, regionStates, options = {}) {
+        if (this.hookTarget) {
+            return this.foldHookNavigation(stateId, regionStates, options);
         }
         
-        if (stateId === this.currentState) {
+        if (this.isTransitioning) {
+            if (this.transitionInterruption === 'queue') {
+                return this.queueNavigation(stateId, regionStates, options);
+            }
+            
+            if (stateId === this.transitionTarget && this.isSameRegionStates(regionStates, this.transitionRegions)) {
+                return this.activeTransition?.promise || 'completed';
+            }
+            
+        } else if (stateId === this.currentState && this.isSameRegionStates(regionStates, this.regionStates)) {
             console.log(`🏠 Already in state '${stateId}'`);
-            return true;
+            return 'completed';
+        }
+        
+        // History navigation does not follow edges (options.bypassGraph, see StateRouter)
+        const blocker = options.bypassGraph ? null : this.getNavigationBlocker(stateId);
+        if (blocker) {
+            return this.rejectNavigation(stateId, blocker);
+        }
+        
+        if (this.isTransitioning) {
+            this.interruptTransition(stateId);
         }
         
         console.log(`🏠 Navigating: ${this.currentState} → ${stateId}`);
@@ -228,29 +541,384 @@ class HomeMaster {
             detail: {
                 fromState: this.currentState,
                 toState: stateId,
-                fromDefinition: this.stateDefinitions[this.currentState],
-                toDefinition: stateDefinition
+                fromDefinition: this.getStateDefinition(this.currentState),
+                toDefinition: this.getStateDefinition(stateId, regionStates),
+                regionStates: { ...regionStates },
+                actions: [...(this.getTransitionEdge(this.currentState, stateId).actions || [])]
             }
         }));
         
+        // Hooks run as the transition starts; region states they switch are part of its target
+        const hookTarget = { stateId: stateId, regionStates: regionStates };
+        regionStates = this.runNavigationHooks(stateId, regionStates, hookTarget);
+        
         // Start transition
-        return await this.performStateTransition(stateId, stateDefinition, options);
+        const promise = this.performStateTransition(stateId, this.getStateDefinition(stateId, regionStates), options, regionStates);
+        hookTarget.resolve?.(promise);
+        return await promise;
+    }
+    
+    /**
+     * Record and announce a navigation that cannot happen; resolves navigateTo with false
+     */
+    rejectNavigation(stateId, reason) {
+        this.lastNavigationError = { fromState: this.currentState, toState: stateId, reason: reason };
+        console.warn(`⚠️ Navigation to '${stateId}' failed: ${reason}`);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('navigationBlocked', {
+            detail: { ...this.lastNavigationError }
+        }));
+        
+        return false;
+    }
+    
+    /**
+     * Whether navigateTo(stateId) would be allowed right now: { allowed, reason }
+     */
+    canNavigateTo(stateId) {
+        const reason = !this.stateDefinitions[stateId] ? `State '${stateId}' not found` :
+            this.getNavigationBlocker(stateId);
+        return { allowed: !reason, reason: reason };
+    }
+    
+    /**
+     * Why navigating to a page state now would break the transition graph, or
+     * null. The edge from the committed state is checked, and while a
+     * transition runs the edge from its target too: retargeting must be as
+     * allowed as queueing behind it (which leaves from the target) would be.
+     * Returning to the committed state is always allowed.
+     */
+    getNavigationBlocker(stateId) {
+        if (stateId === this.currentState) return null;
+        
+        const blocker = this.getTransitionBlocker(this.currentState, stateId);
+        if (blocker || !this.isTransitioning || !this.transitionTarget || stateId === this.transitionTarget) {
+            return blocker;
+        }
+        return this.getTransitionBlocker(this.transitionTarget, stateId);
+    }
+    
+    /**
+     * The stateSpecific entry for an edge ('from->to'): duration, curve,
+     * effects, guard and actions
+     */
+    getTransitionEdge(fromState, toState) {
+        return this.transitionConfig.stateSpecific?.[`${fromState}->${toState}`] || {};
+    }
+    
+    /**
+     * Why the edge between two page states cannot be taken, or null. With
+     * transitions.edges ({ from: [to, ...] }, '*' matching any state) only
+     * listed edges exist; without it every edge does. The edge's guard must
+     * also pass.
+     */
+    getTransitionBlocker(fromState, toState) {
+        const edges = this.transitionConfig.edges;
+        if (edges) {
+            const targets = [...(edges[fromState] || []), ...(edges['*'] || [])];
+            if (!targets.includes(toState) && !targets.includes('*')) {
+                return `No transition from '${fromState}' to '${toState}'`;
+            }
+        }
+        
+        const guard = this.getTransitionEdge(fromState, toState).guard;
+        return guard ? this.checkTransitionGuard(guard, `${fromState}->${toState}`) : null;
+    }
+    
+    /**
+     * Evaluate a guard: { parameters: { name: { min, max } }, focusedCard:
+     * true | false | cardId, regions: { regionId: state } }. Returns the
+     * first failed condition, or null.
+     */
+    checkTransitionGuard(guard, edgeKey) {
+        for (const [paramName, range] of Object.entries(guard.parameters || {})) {
+            const value = this.globalParameters[paramName];
+            if (typeof value !== 'number') {
+                return `Guard on '${edgeKey}' needs numeric parameter '${paramName}'`;
+            }
+            if (typeof range.min === 'number' && value < range.min) {
+                return `Guard on '${edgeKey}' needs ${paramName} ≥ ${range.min} (is ${value.toFixed(2)})`;
+            }
+            if (typeof range.max === 'number' && value > range.max) {
+                return `Guard on '${edgeKey}' needs ${paramName} ≤ ${range.max} (is ${value.toFixed(2)})`;
+            }
+        }
+        
+        const focus = guard.focusedCard;
+        if (focus === true && !this.focusedCard) {
+            return `Guard on '${edgeKey}' needs a focused card`;
+        }
+        if (focus === false && this.focusedCard) {
+            return `Guard on '${edgeKey}' needs no focused card ('${this.focusedCard}' is focused)`;
+        }
+        if (typeof focus === 'string' && this.focusedCard !== focus) {
+            return `Guard on '${edgeKey}' needs card '${focus}' focused`;
+        }
+        
+        for (const [regionId, regionStateId] of Object.entries(guard.regions || {})) {
+            if (this.regionStates[regionId] !== regionStateId) {
+                return `Guard on '${edgeKey}' needs region '${regionId}' in '${regionStateId}'`;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Set the focused card (null for none)
+     */
+    setFocusedCard(cardId) {
+        if (cardId === this.focusedCard) return;
+        
+        const previousCard = this.focusedCard;
+        this.focusedCard = cardId;
+        
+        this.eventBus.dispatchEvent(new CustomEvent('cardFocusChanged', {
+            detail: {
+                cardId: cardId,
+                previousCard: previousCard
+            }
+        }));
+    }
+    
+    /**
+     * Check whether two region state maps select the same states
+     */
+    isSameRegionStates(a, b) {
+        return Object.keys(this.regions).every(regionId => a?.[regionId] === b?.[regionId]);
+    }
+    
+    /**
+     * Region states navigation is heading for (see getNavigationDestination)
+     */
+    getPendingRegionStates() {
+        const queued = this.navigationQueue[this.navigationQueue.length - 1];
+        return { ...(queued?.regionStates || this.hookTarget?.regionStates || this.transitionRegions || this.regionStates) };
+    }
+    
+    /**
+     * Navigation requested by a hook while a navigation's hooks run: region
+     * changes join that navigation (no transition of their own), page-state
+     * changes wait in the queue until it completes. Resolves as that navigation
+     * or the queued one does.
+     */
+    foldHookNavigation(stateId, regionStates, options) {
+        const hookTarget = this.hookTarget;
+        if (stateId !== hookTarget.stateId) {
+            return this.queueNavigation(stateId, regionStates, options);
+        }
+        
+        hookTarget.regionStates = { ...regionStates };
+        if (!hookTarget.promise) {
+            hookTarget.promise = new Promise(resolve => { hookTarget.resolve = resolve; });
+        }
+        return hookTarget.promise;
+    }
+    
+    /**
+     * Hold a navigation until the running transition (and those queued
+     * before it) complete; the oldest is dropped past maxQueuedNavigations
+     */
+    queueNavigation(stateId, regionStates, options) {
+        const last = this.navigationQueue[this.navigationQueue.length - 1];
+        if (last?.stateId === stateId && this.isSameRegionStates(last.regionStates, regionStates)) {
+            return last.promise;
+        }
+        if (!last && stateId === this.transitionTarget && this.isSameRegionStates(regionStates, this.transitionRegions)) {
+            return this.activeTransition?.promise || 'completed';
+        }
+        
+        const entry = { stateId, regionStates, options };
+        entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+        this.navigationQueue.push(entry);
+        this.metrics.queuedNavigations++;
+        
+        if (this.navigationQueue.length > this.maxQueuedNavigations) {
+            const dropped = this.navigationQueue.shift();
+            console.warn(`⚠️ Navigation queue full, dropping '${dropped.stateId}'`);
+            dropped.resolve('cancelled');
+        }
+        
+        console.log(`🏠 Queued navigation to '${stateId}' (${this.navigationQueue.length} waiting)`);
+        return entry.promise;
+    }
+    
+    /**
+     * Start queued navigations until one of them begins a transition
+     */
+    processNavigationQueue() {
+        while (this.navigationQueue.length > 0 && !this.isTransitioning) {
+            const { stateId, regionStates, options, resolve } = this.navigationQueue.shift();
+            resolve(this.requestTransition(stateId, regionStates, options));
+        }
+    }
+    
+    /**
+     * The active configuration for a page state and region states: the state's
+     * path from the root ('tech', 'tech/shaders'), then 'region:state' entries
+     */
+    getConfiguration(stateId, regionStates = this.regionStates) {
+        return [
+            ...this.getStatePath(stateId),
+            ...Object.entries(regionStates).map(([regionId, regionStateId]) => `${regionId}:${regionStateId}`)
+        ];
+    }
+    
+    /**
+     * A state's ancestors and itself, root first
+     */
+    getStatePath(stateId) {
+        const path = [];
+        for (let id = stateId; id && this.stateDefinitions[id]; id = this.stateDefinitions[id].parent) {
+            path.unshift(id);
+        }
+        return path;
+    }
+    
+    /**
+     * Run the hooks of a navigation before it takes effect: exit hooks of the
+     * states it leaves, then entry hooks of those it enters. Region changes the
+     * hooks request are folded in (see foldHookNavigation), which can exit and
+     * enter further region states. Returns the region states to head for.
+     */
+    runNavigationHooks(stateId, regionStates, hookTarget = { stateId: stateId, regionStates: regionStates }) {
+        hookTarget.regionStates = { ...regionStates };
+        this.hookTarget = hookTarget;
+        
+        try {
+            for (let pass = 0; pass < 10; pass++) {
+                const configuration = this.getConfiguration(stateId, hookTarget.regionStates);
+                if (configuration.length === this.activeConfiguration.length &&
+                    configuration.every(id => this.activeConfiguration.includes(id))) {
+                    break;
+                }
+                
+                // Exit hooks that switch a region exit its old state before anything is entered
+                const regionStates = hookTarget.regionStates;
+                this.exitStates(configuration);
+                if (regionStates === hookTarget.regionStates) {
+                    this.enterStates(configuration);
+                }
+                if (pass === 9) console.warn(`⚠️ State hooks of '${stateId}' keep switching regions`);
+            }
+        } finally {
+            this.hookTarget = null;
+        }
+        
+        return hookTarget.regionStates;
+    }
+    
+    /**
+     * Run exit hooks (innermost first) of active states not in the given configuration
+     */
+    exitStates(configuration) {
+        const exiting = this.activeConfiguration.filter(id => !configuration.includes(id));
+        this.activeConfiguration = this.activeConfiguration.filter(id => configuration.includes(id));
+        exiting.reverse().forEach(id => this.runStateHooks('exit', id));
+    }
+    
+    /**
+     * Run entry hooks (outermost first) of the configuration's states not yet active
+     */
+    enterStates(configuration) {
+        const entering = configuration.filter(id => !this.activeConfiguration.includes(id));
+        this.activeConfiguration = [...configuration];
+        entering.forEach(id => this.runStateHooks('entry', id));
+    }
+    
+    /**
+     * Emit 'stateEntered' / 'stateExited' for a page state or 'region:state'
+     * with its onEntry / onExit commands (run by InteractionCoordinator)
+     */
+    runStateHooks(hook, id) {
+        const [regionId, regionStateId] = id.includes(':') ? id.split(':') : [null, null];
+        const definition = regionId ? this.regions[regionId]?.states[regionStateId] : this.stateDefinitions[id];
+        const commands = (hook === 'entry' ? definition?.onEntry : definition?.onExit) || [];
+        
+        this.eventBus.dispatchEvent(new CustomEvent(hook === 'entry' ? 'stateEntered' : 'stateExited', {
+            detail: {
+                stateId: regionId ? regionStateId : id,
+                region: regionId,
+                commands: [...commands]
+            }
+        }));
+    }
+    
+    /**
+     * Call back when a state (or, with 'region:state', a region state) is entered
+     */
+    onStateEntry(id, callback) {
+        return this.addEventListener('stateEntered', (event) => {
+            const { stateId, region } = event.detail;
+            if ((region ? `${region}:${stateId}` : stateId) === id) callback(event.detail);
+        });
+    }
+    
+    /**
+     * Call back when a state (or, with 'region:state', a region state) is exited
+     */
+    onStateExit(id, callback) {
+        return this.addEventListener('stateExited', (event) => {
+            const { stateId, region } = event.detail;
+            if ((region ? `${region}:${stateId}` : stateId) === id) callback(event.detail);
+        });
+    }
+    
+    /**
+     * Stop the running transition where it is; its promise resolves 'interrupted'.
+     * Parameters, card positions and per-card overrides stay at their current
+     * blend, which the next transition starts from.
+     */
+    interruptTransition(nextStateId = null) {
+        const transition = this.activeTransition;
+        if (!transition) return;
+        
+        cancelAnimationFrame(transition.frame);
+        this.activeTransition = null;
+        this.metrics.interruptedTransitions++;
+        
+        console.log(`🏠 Transition to '${transition.stateId}' interrupted at ${(this.transitionProgress * 100).toFixed(0)}%` +
+            (nextStateId ? `, retargeting to '${nextStateId}'` : ''));
+        
+        this.eventBus.dispatchEvent(new CustomEvent('transitionInterrupted', {
+            detail: {
+                fromState: this.previousState,
+                interruptedState: transition.stateId,
+                toState: nextStateId,
+                progress: this.transitionProgress
+            }
+        }));
+        
+        transition.resolve('interrupted');
     }
     
     /**
-     * Perform state transition with interpolation
+     * Perform state transition with interpolation. Started while another
+     * transition runs (retargeting), it picks up from the interpolated values.
+     * `options.parameters` are extra target values that, like the edge's
+     * parameter actions, still hold once the state's own are applied.
      */
-    async performStateTransition(newStateId, newStateDefinition, options = {}) {
-        return new Promise((resolve) => {
+    async performStateTransition(newStateId, newStateDefinition, options = {}, regionStates = this.regionStates) {
+        // Per-card state overrides mid-blend, captured before the target changes
+        const cardStart = this.isTransitioning ? this.captureStateCardParameters() : null;
+        const transition = { stateId: newStateId, frame: null, resolve: null, promise: null };
+        
+        const promise = new Promise((resolve) => {
+            if (!this.isTransitioning) {
+                this.previousState = this.currentState;
+            }
             this.isTransitioning = true;
-            this.previousState = this.currentState;
+            this.transitionTarget = newStateId;
+            this.transitionRegions = { ...regionStates };
             this.transitionStartTime = performance.now();
             
             // Get transition configuration
             const transitionKey = `${this.currentState}->${newStateId}`;
-            const transitionConfig = this.transitionConfig.stateSpecific?.[transitionKey] || 
-                                    this.transitionConfig.default || 
-                                    { duration: 800, curve: 'easeInOut' };
+            // (an edge entry may hold only a guard or actions; the default fills in the rest)
+            const transitionConfig = {
+                ...(this.transitionConfig.default || { duration: 800, curve: 'easeInOut' }),
+                ...(this.transitionConfig.stateSpecific?.[transitionKey] || {})
+            };
             
             this.transitionDuration = options.duration || transitionConfig.duration || 800;
             this.transitionCurve = options.curve || transitionConfig.curve || 'easeInOut';
@@ -259,12 +927,32 @@ class HomeMaster {
             const startParameters = { ...this.globalParameters };
             const targetParameters = this.calculateTargetParameters(newStateDefinition);
             
+            // The edge's parameter actions and the caller's parameters become part of the target
+            const heldParameters = {};
+            (this.getTransitionEdge(this.currentState, newStateId).actions || [])
+                .concat({ parameters: options.parameters || {} })
+                .forEach(action => {
+                    Object.entries(action.parameters || {}).forEach(([paramName, value]) => {
+                        if (this.globalParameters.hasOwnProperty(paramName)) heldParameters[paramName] = value;
+                    });
+                });
+            Object.assign(targetParameters, heldParameters);
+            this.transitionEndpoints = {
+                start: startParameters,
+                target: targetParameters,
+                held: heldParameters,
+                cardStart: cardStart
+            };
+            
             // Store target card states
             const startCardStates = this.getCardStates();
             const targetCardStates = this.calculateTargetCardStates(newStateDefinition);
             
             console.log(`🏠 Transition started: ${this.transitionDuration}ms with ${this.transitionCurve} curve`);
             
+            transition.resolve = resolve;
+            this.activeTransition = transition;
+            
             // Interpolate over time
             const startTime = performance.now();
             const interpolate = () => {
@@ -293,28 +981,39 @@ class HomeMaster {
                 
                 // Continue or complete
                 if (progress < 1.0) {
-                    requestAnimationFrame(interpolate);
+                    transition.frame = requestAnimationFrame(interpolate);
                 } else {
+                    this.activeTransition = null;
                     this.completeTransition(newStateId, newStateDefinition);
-                    resolve(true); // Resolve the promise when transition completes
+                    resolve('completed'); // Resolve the promise when transition completes
+                    this.processNavigationQueue();
                 }
             };
             
             // Start interpolation
-            requestAnimationFrame(interpolate);
+            transition.frame = requestAnimationFrame(interpolate);
         });
+        
+        transition.promise = promise;
+        return promise;
     }
     
     /**
      * Complete the state transition
      */
     completeTransition(newStateId, newStateDefinition) {
+        const heldParameters = this.transitionEndpoints?.held || {};
         this.currentState = newStateId;
+        this.regionStates = this.transitionRegions || this.regionStates;
         this.isTransitioning = false;
+        this.transitionTarget = null;
+        this.transitionRegions = null;
+        this.transitionEndpoints = null;
         this.transitionProgress = 0;
         
         // Ensure final parameters are exact
         this.updateParametersFromState(newStateDefinition);
+        Object.assign(this.globalParameters, heldParameters);
         this.updateActiveCards(newStateDefinition);
         
         // Save to parameter history
@@ -332,6 +1031,7 @@ class HomeMaster {
                 newState: newStateId,
                 previousState: this.previousState,
                 stateDefinition: newStateDefinition,
+                regionStates: { ...this.regionStates },
                 transitionTime: this.metrics.transitionTime
             }
         }));
@@ -346,10 +1046,9 @@ class HomeMaster {
         // Start with current global parameters
         const targetParameters = { ...this.globalParameters };
         
-        // Apply state-specific parameter overrides
-        if (stateDefinition.parameterOverrides) {
-            Object.assign(targetParameters, stateDefinition.parameterOverrides);
-        }
+        // Apply state-specific parameter overrides, then the regions'
+        Object.assign(targetParameters, this.getStateParameterOverrides(stateDefinition));
+        this.applyRegionOverrides(targetParameters, stateDefinition);
         
         // Update state-specific properties
         targetParameters.activeTheme = stateDefinition.activeTheme || targetParameters.activeTheme;
@@ -357,9 +1056,81 @@ class HomeMaster {
         targetParameters.title = stateDefinition.title || targetParameters.title;
         targetParameters.description = stateDefinition.description || targetParameters.description;
         
+        // Theme colors interpolate along with the numeric parameters
+        Object.assign(targetParameters, this.getThemeColors(targetParameters.activeTheme));
+        
         return targetParameters;
     }
     
+    /**
+     * Lay a composed definition's region parameter overrides (see
+     * getStateDefinition) over parameters that already have the state's own.
+     * The state-level value of each overridden parameter is kept in
+     * regionBaseline and comes back once no region overrides it; `commit`
+     * forgets released ones (at the end of a transition).
+     */
+    applyRegionOverrides(parameters, stateDefinition, commit = false) {
+        const stateOverrides = this.getStateParameterOverrides(stateDefinition);
+        const regionOverrides = stateDefinition.regionOverrides || {};
+        
+        new Set([...Object.keys(this.regionBaseline), ...Object.keys(regionOverrides)]).forEach(paramName => {
+            const stateValue = paramName in stateOverrides || !(paramName in this.regionBaseline) ?
+                parameters[paramName] : this.regionBaseline[paramName];
+            
+            if (paramName in regionOverrides) {
+                this.regionBaseline[paramName] = stateValue;
+                parameters[paramName] = regionOverrides[paramName];
+            } else {
+                parameters[paramName] = stateValue;
+                if (commit) delete this.regionBaseline[paramName];
+            }
+        });
+    }
+    
+    /**
+     * A state's parameter overrides, with its `projection` spec expanded to
+     * projection uniforms (explicit parameterOverrides win)
+     */
+    getStateParameterOverrides(stateDefinition) {
+        return {
+            ...(stateDefinition.projection ? this.projectionManager.getParameters(stateDefinition.projection) : {}),
+            ...(stateDefinition.parameterOverrides || {})
+        };
+    }
+    
+    /**
+     * Global parameters as entering a state (with region states) from scratch
+     * leaves them: the defaults, the state's theme colors and its and the
+     * regions' overrides. Anything else in globalParameters was set since.
+     */
+    getStateDefaultParameters(stateId, regionStates = this.regionStates) {
+        const stateDefinition = this.getStateDefinition(stateId, regionStates);
+        if (!stateDefinition) return null;
+        
+        const parameters = JSON.parse(JSON.stringify(this.defaultParameters));
+        Object.assign(parameters, this.getStateParameterOverrides(stateDefinition), stateDefinition.regionOverrides || {});
+        parameters.activeTheme = stateDefinition.activeTheme || parameters.activeTheme;
+        Object.assign(parameters, this.getThemeColors(parameters.activeTheme));
+        
+        return parameters;
+    }
+    
+    /**
+     * A state's overrides for one card (with region states layered in): its
+     * `cardProjections[cardId]` spec expanded to projection uniforms, then
+     * `cardParameters[cardId]`
+     */
+    getStateCardOverrides(stateId, cardId, regionStates = this.regionStates) {
+        const stateDefinition = this.getStateDefinition(stateId, regionStates);
+        if (!stateDefinition) return {};
+        
+        const projection = stateDefinition.cardProjections?.[cardId];
+        return {
+            ...(projection ? this.projectionManager.getParameters(projection) : {}),
+            ...(stateDefinition.cardParameters?.[cardId] || {})
+        };
+    }
+    
     /**
      * Calculate target card states for a state
      */
@@ -416,6 +1187,12 @@ class HomeMaster {
             
             if (typeof startValue === 'number' && typeof targetValue === 'number') {
                 this.globalParameters[paramName] = startValue + (targetValue - startValue) * progress;
+            } else if (this.isNumericVector(startValue) && this.isNumericVector(targetValue) &&
+                       startValue.length === targetValue.length) {
+                // Vectors (theme colors) interpolate per component
+                this.globalParameters[paramName] = targetValue.map((value, i) =>
+                    startValue[i] + (value - startValue[i]) * progress
+                );
             } else {
                 // For non-numeric values, switch at 50% progress
                 this.globalParameters[paramName] = progress < 0.5 ? startValue : targetValue;
@@ -425,6 +1202,13 @@ class HomeMaster {
         this.metrics.parameterUpdates++;
     }
     
+    /**
+     * Check whether a value is an array of numbers
+     */
+    isNumericVector(value) {
+        return Array.isArray(value) && value.every(component => typeof component === 'number');
+    }
+    
     /**
      * Interpolate card states
      */
@@ -472,16 +1256,18 @@ class HomeMaster {
      * Update parameters from state definition
      */
     updateParametersFromState(stateDefinition) {
-        // Apply parameter overrides
-        if (stateDefinition.parameterOverrides) {
-            Object.assign(this.globalParameters, stateDefinition.parameterOverrides);
-        }
+        // Apply parameter overrides, then the regions'
+        Object.assign(this.globalParameters, this.getStateParameterOverrides(stateDefinition));
+        this.applyRegionOverrides(this.globalParameters, stateDefinition, true);
         
         // Update state properties
         this.globalParameters.activeTheme = stateDefinition.activeTheme || this.globalParameters.activeTheme;
         this.globalParameters.backgroundGeometry = stateDefinition.backgroundGeometry || this.globalParameters.backgroundGeometry;
         this.globalParameters.title = stateDefinition.title || this.globalParameters.title;
         this.globalParameters.description = stateDefinition.description || this.globalParameters.description;
+        
+        // Apply the active theme's colors
+        Object.assign(this.globalParameters, this.getThemeColors(this.globalParameters.activeTheme));
     }
     
     /**
@@ -506,33 +1292,75 @@ class HomeMaster {
     }
     
     /**
-     * Navigate to next state in sequence
+     * Navigate to next state in sequence (among its siblings for a sub-state)
      */
     navigateNext() {
+        return this.navigateSibling(1);
+    }
+    
+    /**
+     * Navigate to previous state in sequence (among its siblings for a sub-state)
+     */
+    navigatePrevious() {
+        return this.navigateSibling(-1);
+    }
+    
+    /**
+     * Step through the sequence holding the navigation destination: its
+     * parent's children, or stateSequence for a top-level state
+     */
+    navigateSibling(offset) {
         if (!this.currentState) return false;
         
-        const currentIndex = this.stateSequence.indexOf(this.currentState);
-        if (currentIndex === -1) return false;
+        const destination = this.getNavigationDestination();
+        const parent = this.stateDefinitions[destination]?.parent;
+        const sequence = parent ? this.stateDefinitions[parent].children : this.stateSequence;
         
-        const nextIndex = (currentIndex + 1) % this.stateSequence.length;
-        const nextState = this.stateSequence[nextIndex];
+        const currentIndex = sequence.indexOf(destination);
+        if (currentIndex === -1) return false;
         
-        return this.navigateTo(nextState);
+        const nextIndex = (currentIndex + offset + sequence.length) % sequence.length;
+        return this.navigateTo(sequence[nextIndex]);
     }
     
     /**
-     * Navigate to previous state in sequence
+     * Navigate to the parent of the current (or pending) state
      */
-    navigatePrevious() {
-        if (!this.currentState) return false;
+    navigateUp() {
+        const parent = this.stateDefinitions[this.getNavigationDestination()]?.parent;
+        if (!parent) {
+            console.log('🏠 Already at a top-level state');
+            return false;
+        }
         
-        const currentIndex = this.stateSequence.indexOf(this.currentState);
-        if (currentIndex === -1) return false;
+        return this.navigateTo(parent);
+    }
+    
+    /**
+     * Navigate to a sub-state of the current (or pending) state by name
+     * (default: its first)
+     */
+    navigateToChild(childName = null) {
+        const destination = this.getNavigationDestination();
+        const children = this.stateDefinitions[destination]?.children || [];
+        const childId = childName ? `${destination}/${childName}` : children[0];
         
-        const prevIndex = (currentIndex - 1 + this.stateSequence.length) % this.stateSequence.length;
-        const prevState = this.stateSequence[prevIndex];
+        if (!children.includes(childId)) {
+            console.warn(`⚠️ State '${destination}' has no sub-state '${childName || ''}'`);
+            return false;
+        }
         
-        return this.navigateTo(prevState);
+        return this.navigateTo(childId);
+    }
+    
+    /**
+     * The state navigation is heading for: the last queued one, else the
+     * running transition's target, else the current state. Next/previous
+     * step from here, so repeated key presses keep advancing mid-transition.
+     */
+    getNavigationDestination() {
+        const queued = this.navigationQueue[this.navigationQueue.length - 1];
+        return queued?.stateId || this.hookTarget?.stateId || this.transitionTarget || this.currentState;
     }
     
     /**
@@ -577,6 +1405,11 @@ class HomeMaster {
             previousState: this.previousState,
             isTransitioning: this.isTransitioning,
             transitionProgress: this.transitionProgress,
+            transitionTarget: this.transitionTarget,
+            queuedStates: this.navigationQueue.map(entry => entry.stateId),
+            statePath: this.getStatePath(this.currentState),
+            regionStates: { ...this.regionStates },
+            focusedCard: this.focusedCard,
             availableStates: Object.keys(this.stateDefinitions),
             stateSequence: this.stateSequence
         };
@@ -633,6 +1466,286 @@ class HomeMaster {
         return false;
     }
     
+    /**
+     * Resolve the parameters for one card's visualizer. Layers, lowest first:
+     * base (geometry defaults) → global (incl. state parameterOverrides) →
+     * state cardParameters[cardId] → card overrides → interaction deltas
+     */
+    getCardParameters(cardId, baseParameters = {}) {
+        const resolved = {
+            ...baseParameters,
+            ...this.globalParameters,
+            ...this.getStateCardParameters(cardId),
+            ...(this.cardParameters.get(cardId) || {})
+        };
+        
+        const deltas = this.cardInteractionDeltas.get(cardId);
+        if (deltas) {
+            Object.entries(deltas).forEach(([paramName, delta]) => {
+                if (typeof resolved[paramName] === 'number') {
+                    resolved[paramName] += delta;
+                }
+            });
+        }
+        
+        return resolved;
+    }
+    
+    /**
+     * Get the current state's per-card overrides, blended while transitioning
+     */
+    getStateCardParameters(cardId) {
+        const committed = this.getStateCardOverrides(this.currentState, cardId);
+        if (!this.isTransitioning || !this.transitionTarget) {
+            return committed;
+        }
+        
+        // A retargeted transition blends from where the interrupted one was
+        const current = this.transitionEndpoints?.cardStart?.get(cardId) || committed;
+        const target = this.getStateCardOverrides(this.transitionTarget, cardId, this.transitionRegions || this.regionStates);
+        const { start, target: targetGlobals } = this.transitionEndpoints || {};
+        const progress = this.transitionProgress;
+        const blended = {};
+        new Set([...Object.keys(current), ...Object.keys(target)]).forEach(paramName => {
+            // Missing on one side: blend from/to the global value at that end of the transition
+            const from = current[paramName] ?? start?.[paramName] ?? this.globalParameters[paramName];
+            const to = target[paramName] ?? targetGlobals?.[paramName] ?? this.globalParameters[paramName];
+            if (typeof from === 'number' && typeof to === 'number') {
+                blended[paramName] = from + (to - from) * progress;
+            } else if (this.isNumericVector(from) && this.isNumericVector(to) && from.length === to.length) {
+                blended[paramName] = to.map((value, i) => from[i] + (value - from[i]) * progress);
+            } else {
+                blended[paramName] = progress < 0.5 ? from : to;
+            }
+        });
+        
+        return blended;
+    }
+    
+    /**
+     * Snapshot the blended state overrides of every card that has any
+     */
+    captureStateCardParameters() {
+        const cardIds = new Set(this.cardDefinitions ? this.cardDefinitions.keys() : []);
+        [
+            this.getStateDefinition(this.currentState),
+            this.getStateDefinition(this.transitionTarget, this.transitionRegions || this.regionStates)
+        ].forEach(stateDefinition => {
+            Object.keys({ ...stateDefinition?.cardParameters, ...stateDefinition?.cardProjections })
+                .forEach(cardId => cardIds.add(cardId));
+        });
+        this.transitionEndpoints?.cardStart?.forEach((overrides, cardId) => cardIds.add(cardId));
+        
+        return new Map(Array.from(cardIds, cardId => [cardId, this.getStateCardParameters(cardId)]));
+    }
+    
+    /**
+     * Set persistent parameter overrides for a card
+     */
+    setCardParameters(cardId, parameters) {
+        const overrides = { ...(this.cardParameters.get(cardId) || {}), ...parameters };
+        this.cardParameters.set(cardId, overrides);
+        this.metrics.parameterUpdates++;
+        
+        this.eventBus.dispatchEvent(new CustomEvent('cardParameterUpdated', {
+            detail: {
+                cardId: cardId,
+                parameters: { ...parameters },
+                overrides: { ...overrides }
+            }
+        }));
+        
+        return true;
+    }
+    
+    /**
+     * Remove a card's persistent overrides (all, or the named ones)
+     */
+    clearCardParameters(cardId, paramNames = null) {
+        const overrides = this.cardParameters.get(cardId);
+        if (!overrides) return;
+        
+        if (paramNames) {
+            paramNames.forEach(paramName => delete overrides[paramName]);
+        } else {
+            this.cardParameters.delete(cardId);
+        }
+    }
+    
+    /**
+     * Give a card its own projection, e.g. { type: 'stereographic', radius: 1.2 }
+     */
+    setCardProjection(cardId, projection) {
+        return this.setCardParameters(cardId, this.projectionManager.getParameters(projection));
+    }
+    
+    /**
+     * Return a card to the state's projection
+     */
+    clearCardProjection(cardId) {
+        this.clearCardParameters(cardId, this.projectionManager.getParameterNames());
+    }
+    
+    /**
+     * Describe the projection in effect globally or for one card
+     * (dominant mode, blend weights and uniforms)
+     */
+    getProjection(cardId = null) {
+        const parameters = cardId ? this.getCardParameters(cardId) : this.globalParameters;
+        return this.projectionManager.describe(parameters);
+    }
+    
+    /**
+     * Set a transient interaction delta for a card (0 removes it)
+     */
+    setCardInteractionDelta(cardId, paramName, delta) {
+        const deltas = this.cardInteractionDeltas.get(cardId) || {};
+        
+        if (!delta) {
+            delete deltas[paramName];
+        } else {
+            deltas[paramName] = delta;
+        }
+        
+        if (Object.keys(deltas).length > 0) {
+            this.cardInteractionDeltas.set(cardId, deltas);
+        } else {
+            this.cardInteractionDeltas.delete(cardId);
+        }
+    }
+    
+    /**
+     * Get a card's orbit camera (defaults when the card has none)
+     */
+    getCardCamera(cardId) {
+        return { ...this.cameraDefaults, ...(this.cardCameras.get(cardId) || {}) };
+    }
+    
+    /**
+     * Update a card's orbit camera; pitch and distance are clamped
+     */
+    setCardCamera(cardId, camera) {
+        const { minDistance, maxDistance, maxPitch } = this.cameraLimits;
+        const updated = { ...this.getCardCamera(cardId) };
+        
+        Object.keys(this.cameraDefaults).forEach(key => {
+            if (Number.isFinite(camera[key])) {
+                updated[key] = camera[key];
+            }
+        });
+        updated.pitch = Math.min(Math.max(updated.pitch, -maxPitch), maxPitch);
+        updated.distance = Math.min(Math.max(updated.distance, minDistance), maxDistance);
+        
+        this.cardCameras.set(cardId, updated);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('cardCameraUpdated', {
+            detail: {
+                cardId: cardId,
+                camera: { ...updated }
+            }
+        }));
+        
+        return { ...updated };
+    }
+    
+    /**
+     * Return a card's orbit camera to the default view
+     */
+    resetCardCamera(cardId) {
+        this.cardCameras.delete(cardId);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('cardCameraUpdated', {
+            detail: {
+                cardId: cardId,
+                camera: this.getCardCamera(cardId),
+                reset: true
+            }
+        }));
+    }
+    
+    /**
+     * Serialize the view into a plain-JSON preset: state, numeric global
+     * parameters, card positions, per-card overrides and orbit cameras
+     */
+    exportPreset() {
+        const parameters = {};
+        Object.entries(this.globalParameters).forEach(([paramName, value]) => {
+            if (typeof value === 'number' || this.isNumericVector(value)) {
+                parameters[paramName] = Array.isArray(value) ? [...value] : value;
+            }
+        });
+        
+        return {
+            version: 1,
+            state: this.currentState,
+            regions: { ...this.regionStates },
+            parameters: parameters,
+            cardPositions: Object.fromEntries(
+                Array.from(this.activeCards, ([cardId, cardState]) => [cardId, { ...cardState }])
+            ),
+            cardParameters: Object.fromEntries(
+                Array.from(this.cardParameters, ([cardId, overrides]) => [cardId, { ...overrides }])
+            ),
+            cardCameras: Object.fromEntries(
+                Array.from(this.cardCameras, ([cardId, camera]) => [cardId, { ...camera }])
+            )
+        };
+    }
+    
+    /**
+     * Apply a preset from exportPreset(); unknown parameters, and positions
+     * of cards the state does not show, are ignored. Presets can come from
+     * imported files, so a parameter is only set when its value has the
+     * current value's type: a finite number, or a numeric vector of the same
+     * length
+     */
+    applyPreset(preset) {
+        if (!preset || typeof preset !== 'object') {
+            throw new Error('Preset must be an object');
+        }
+        
+        const stateId = this.stateDefinitions[preset.state] ? preset.state : this.currentState;
+        const regionStates = { ...this.regionStates };
+        Object.entries(preset.regions || {}).forEach(([regionId, regionStateId]) => {
+            if (this.regions[regionId]?.states[regionStateId]) regionStates[regionId] = regionStateId;
+        });
+        if (stateId !== this.currentState || !this.isSameRegionStates(regionStates, this.regionStates)) {
+            this.setStateImmediate(stateId, regionStates);
+        }
+        
+        Object.entries(preset.parameters || {}).forEach(([paramName, value]) => {
+            if (!this.globalParameters.hasOwnProperty(paramName)) return;
+            
+            const current = this.globalParameters[paramName];
+            if (typeof current === 'number' && Number.isFinite(value)) {
+                this.updateParameter(paramName, value);
+            } else if (this.isNumericVector(current) && this.isNumericVector(value) &&
+                       value.length === current.length && value.every(Number.isFinite)) {
+                this.updateParameter(paramName, [...value]);
+            } else {
+                console.warn(`⚠️ Preset parameter '${paramName}' does not match the current value's type, skipped`);
+            }
+        });
+        
+        Object.entries(preset.cardPositions || {}).forEach(([cardId, cardState]) => {
+            if (this.activeCards.has(cardId)) {
+                this.activeCards.set(cardId, { ...this.activeCards.get(cardId), ...cardState });
+            }
+        });
+        
+        this.cardParameters.clear();
+        Object.entries(preset.cardParameters || {}).forEach(([cardId, overrides]) => {
+            this.setCardParameters(cardId, overrides);
+        });
+        
+        this.cardCameras.clear();
+        Object.entries(preset.cardCameras || {}).forEach(([cardId, camera]) => {
+            this.setCardCamera(cardId, camera);
+        });
+        
+        return true;
+    }
+    
     /**
      * Subscribe to HomeMaster events
      */
@@ -650,8 +1763,13 @@ class HomeMaster {
     shutdown() {
         console.log('🏠 HomeMaster shutdown initiated...');
         
+        this.navigationQueue.splice(0).forEach(entry => entry.resolve('cancelled'));
+        this.interruptTransition();
         this.isTransitioning = false;
         this.activeCards.clear();
+        this.cardParameters.clear();
+        this.cardInteractionDeltas.clear();
+        this.cardCameras.clear();
         this.parameterHistory.length = 0;
         this.isInitialized = false;
         
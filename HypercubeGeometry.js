@@ -278,3 +278,10 @@ console.log("Rotated 4D Vertices:", hypercube.getVertices()); // getVertices() n
 // const ibo = hypercube.getIndexBuffer(gl);
 // ... setup shader attributes, bind buffers, and drawElements with gl.LINES ...
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HypercubeGeometry;
+} else {
+    window.HypercubeGeometry = HypercubeGeometry;
+}
@@ -312,3 +312,10 @@ console.log("Hypersphere Indices Count:", hypersphere.getIndices().length);
 // hypersphere.update({ radius: 1.2, shellWidth: 0.03 });
 // console.log("Updated Hypersphere Vertices Count:", hypersphere.get4DVertices().length / 4);
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HypersphereGeometry;
+} else {
+    window.HypersphereGeometry = HypersphereGeometry;
+}
@@ -95,6 +95,21 @@ class HypertetrahedronGeometry extends BaseGeometry {
         return this.indices;
     }
 
+    /**
+     * The 10 triangular 2-faces: every triple of vertices (cross-section slicing)
+     */
+    getFaces() {
+        const faces = [];
+        for (let i = 0; i < 5; i++) {
+            for (let j = i + 1; j < 5; j++) {
+                for (let k = j + 1; k < 5; k++) {
+                    faces.push([i, j, k]);
+                }
+            }
+        }
+        return faces;
+    }
+
     update(params) {
         let needsRegeneration = false;
         if (params.size !== undefined && params.size !== this.parameters.size) {
@@ -207,3 +222,10 @@ console.log("Hypertetrahedron Edge Indices:", hypertetra.getEdgeIndices());
 hypertetra.update({ size: 1.5, rotations: { xw: Math.PI / 8 } });
 console.log("Updated Hypertetrahedron Vertices:", hypertetra.getVertices());
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HypertetrahedronGeometry;
+} else {
+    window.HypertetrahedronGeometry = HypertetrahedronGeometry;
+}
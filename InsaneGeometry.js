@@ -75,7 +75,7 @@ class InsaneGeometry {
         }`;
         
         // ABSOLUTELY INSANE fragment shader
-        this.fragmentShader = `#version 100
+        this.fragmentShader = ShaderChunkLibrary.getShared().assemble(`#version 100
         precision highp float;
         
         varying vec2 v_uv;
@@ -129,6 +129,10 @@ class InsaneGeometry {
             return value;
         }
         
+        // Shared 4D projection and lattice chunks
+        #include <projection4d>
+        #include <lattice>
+        
         // INSANE 8D rotation matrices
         mat4 rotateHyperChaos(float time, float chaos) {
             float t = time * u_timeWarp + chaos * 10.0;
@@ -149,8 +153,7 @@ class InsaneGeometry {
         
         // Project 4D to 3D with reality bending
         vec3 projectChaos4D(vec4 p4d, float bend) {
-            float w_factor = 2.0 + p4d.w * bend * 0.1;
-            vec3 projected = p4d.xyz / w_factor;
+            vec3 projected = projectPerspective4D(p4d, 2.0, bend * 0.1);
             
             // Reality bending distortion
             float bendAmount = bend * 0.01;
@@ -190,8 +193,7 @@ class InsaneGeometry {
                 vec3 projected = projectChaos4D(p4d, u_realityBend);
                 
                 // Hypercube edges in 3D
-                vec3 hyperCube = abs(fract(projected + 0.5) - 0.5);
-                float edges = min(min(hyperCube.x, hyperCube.y), hyperCube.z);
+                float edges = latticePlaneDistance(projected + 0.5);
                 
                 // Add fractal noise for chaos
                 float chaos = fractalNoise(scaledP + time * 0.1, 4.0) * u_chaosLevel * 0.1;
@@ -379,7 +381,7 @@ class InsaneGeometry {
             finalColor = clamp(finalColor, 0.0, 3.0);
             
             gl_FragColor = vec4(finalColor, 1.0);
-        }`;
+        }`);
         
         // Geometry for fullscreen quad
         this.vertices = new Float32Array([
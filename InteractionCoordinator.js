@@ -16,6 +16,7 @@ class InteractionCoordinator {
         // Core dependencies
         this.jsonConfigSystem = null;
         this.homeMaster = null;
+        this.visualizerPool = null;
         
         // Interaction state
         this.isEnabled = true;
@@ -25,6 +26,7 @@ class InteractionCoordinator {
         
         // Navigation configuration from state-map.json
         this.keyboardNavigation = {};
+        this.defaultKeyboardNavigation = {};
         this.mouseNavigation = {};
         this.touchNavigation = {};
         
@@ -56,11 +58,21 @@ class InteractionCoordinator {
         this.handleTouchStart = this.handleTouchStart.bind(this);
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        
+        // Orbit camera per card canvas (cardId → OrbitCameraController)
+        this.orbitCameras = new Map();
+        
+        // Unsubscribers for HomeMaster state hook and transition action events
+        this.stateHookUnsubscribers = [];
         
         // Gesture detection
         this.gestureStartPosition = null;
         this.gestureThreshold = 50; // pixels
         
+        // Event system (keyboardBindingsChanged)
+        this.eventBus = new EventTarget();
+        
         // Performance metrics
         this.metrics = {
             keyboardEvents: 0,
@@ -76,7 +88,7 @@ class InteractionCoordinator {
     /**
      * Initialize InteractionCoordinator with dependencies
      */
-    async initialize(jsonConfigSystem, homeMaster) {
+    async initialize(jsonConfigSystem, homeMaster, visualizerPool = null) {
         if (this.isInitialized) {
             console.warn('⚠️ InteractionCoordinator already initialized');
             return;
@@ -87,6 +99,7 @@ class InteractionCoordinator {
             
             this.jsonConfigSystem = jsonConfigSystem;
             this.homeMaster = homeMaster;
+            this.visualizerPool = visualizerPool;
             
             // Load navigation configuration
             await this.loadNavigationConfiguration();
@@ -125,8 +138,9 @@ class InteractionCoordinator {
         
         const navConfig = stateMapConfig.navigation;
         
-        // Load keyboard navigation
-        this.keyboardNavigation = navConfig.keyboard || {};
+        // Load keyboard navigation (the configured bindings are kept to tell user changes apart)
+        this.defaultKeyboardNavigation = { ...(navConfig.keyboard || {}) };
+        this.keyboardNavigation = { ...this.defaultKeyboardNavigation };
         
         // Load mouse navigation
         this.mouseNavigation = navConfig.mouse || {};
@@ -253,8 +267,15 @@ class InteractionCoordinator {
      * Get WebGL parameters for a canvas element
      */
     getWebGLParameters(canvas) {
-        // This would interface with VisualizerPool to get current shader uniforms
-        // For now, return default values
+        // Baseline for per-card interaction deltas: the card's resolved parameters
+        const card = canvas.closest('.adaptive-card');
+        if (this.homeMaster && card) {
+            const resolved = this.homeMaster.getCardParameters(card.id);
+            return Object.fromEntries(
+                Object.entries(resolved).filter(([name, value]) => name.startsWith('u_') && typeof value === 'number')
+            );
+        }
+        
         return {
             u_patternIntensity: 1.0,
             u_morphFactor: 0.5,
@@ -450,17 +471,26 @@ class InteractionCoordinator {
      * Update WebGL shader parameter
      */
     updateWebGLParameter(target, parameter, value) {
-        // Interface with HomeMaster to update global parameters
-        if (this.homeMaster) {
-            this.homeMaster.updateParameter(parameter, value);
-        }
-        
-        // Also update local element state if it's a card
-        const elementData = this.elementRegistry.get(target.id);
+        // Update local element state
+        const elementData = target === 'global' ? null : this.elementRegistry.get(target.id);
         if (elementData) {
             elementData.currentState.webglParams = elementData.currentState.webglParams || {};
             elementData.currentState.webglParams[parameter] = value;
         }
+        
+        if (!this.homeMaster) return;
+        
+        // Cards render their own visualizer: write a transient per-card delta
+        // relative to the captured baseline instead of touching the globals
+        if (elementData?.type === 'card') {
+            const baseline = elementData.initialState.webglParams?.[parameter];
+            const delta = typeof value === 'number' && typeof baseline === 'number' ? value - baseline : 0;
+            this.homeMaster.setCardInteractionDelta(target.id, parameter, delta);
+            return;
+        }
+        
+        // Interface with HomeMaster to update global parameters
+        this.homeMaster.updateParameter(parameter, value);
     }
     
     /**
@@ -589,6 +619,13 @@ class InteractionCoordinator {
      * Execute a single reaction with relational targeting (Phase 4.2)
      */
     executeReaction(reaction, sourceElement, eventData, stateModifiers) {
+        // Geometry swaps act on visualizers rather than on DOM targets
+        if (reaction.geometry) {
+            this.executeGeometryReaction(reaction.geometry, sourceElement);
+        }
+        
+        if (!reaction.animation) return;
+        
         // Resolve target elements based on relational targeting
         const targetElements = this.resolveRelationalTargets(reaction.target, sourceElement);
         
@@ -605,13 +642,36 @@ class InteractionCoordinator {
         });
     }
     
+    /**
+     * Execute a geometry swap reaction: { name, target }
+     * '$value' reads the subject's value, '$targetCard' its data-target-card
+     */
+    executeGeometryReaction(geometryConfig, sourceElement) {
+        if (!this.visualizerPool) {
+            console.warn('⚠️ Geometry reaction ignored - VisualizerPool not available');
+            return;
+        }
+        
+        const geometryName = geometryConfig.name === '$value' ? sourceElement?.value : geometryConfig.name;
+        const target = geometryConfig.target === '$targetCard' ?
+            (sourceElement?.dataset?.targetCard || 'all') :
+            (geometryConfig.target || 'all');
+        
+        if (!geometryName) {
+            console.warn('⚠️ Geometry reaction has no geometry name');
+            return;
+        }
+        
+        this.visualizerPool.switchGeometry(geometryName, target);
+    }
+    
     /**
      * Resolve relational targets (subject/parent/siblings/ecosystem/global) (Phase 4.2)
      */
     resolveRelationalTargets(targetType, sourceElement) {
         switch (targetType) {
             case 'subject':
-                return [sourceElement];
+                return sourceElement ? [sourceElement] : [];
                 
             case 'parent':
                 return sourceElement?.parentElement ? [sourceElement.parentElement] : [];
@@ -669,8 +729,13 @@ class InteractionCoordinator {
         // Get current value for interpolation
         const currentValue = this.getCurrentPropertyValue(targetElement, property);
         
-        // Parse target value
-        const targetValue = this.parseTargetValue(modifiedConfig.to, currentValue);
+        // Parse target value ('initial' on a card's WebGL parameter returns to its baseline)
+        let targetValue = this.parseTargetValue(modifiedConfig.to, currentValue);
+        if ((modifiedConfig.to === 'initial' || modifiedConfig.to === 'reset') &&
+            property.startsWith('u_') && targetElement !== 'global') {
+            const baseline = this.getElementData(targetElement)?.initialState.webglParams?.[property];
+            if (baseline !== undefined) targetValue = baseline;
+        }
         
         // Create animation object
         const animation = {
@@ -814,9 +879,42 @@ class InteractionCoordinator {
             document.addEventListener('touchend', this.handleTouchEnd, { passive: false });
         }
         
+        // Orbit cameras on the card canvases
+        if (this.mouseEnabled || this.touchEnabled) {
+            this.setupOrbitCameras();
+        }
+        
+        // State entry/exit hooks from state-map.json are navigation commands
+        const runHookCommands = (event) => event.detail.commands.forEach(command => this.executeNavigationCommand(command));
+        this.stateHookUnsubscribers = [
+            this.homeMaster.addEventListener('stateEntered', runHookCommands),
+            this.homeMaster.addEventListener('stateExited', runHookCommands),
+            this.homeMaster.addEventListener('stateWillChange', (event) => this.runTransitionActions(event.detail.actions || []))
+        ];
+        
+        // Focused card for transition guards (pointer tracking is in handleMouseMove)
+        document.addEventListener('focusin', this.handleFocusIn);
+        
         console.log('🎯 Event listeners registered');
     }
     
+    /**
+     * Attach an orbit camera to every card visualizer canvas
+     */
+    setupOrbitCameras() {
+        if (!this.visualizerPool || typeof OrbitCameraController === 'undefined') return;
+        
+        this.visualizerPool.visualizers.forEach(visualizer => {
+            const cardId = this.visualizerPool.getParameterKey(visualizer);
+            if (this.orbitCameras.has(cardId)) return;
+            
+            const controller = new OrbitCameraController(visualizer.canvas, cardId, this.homeMaster);
+            this.orbitCameras.set(cardId, controller.attach());
+        });
+        
+        console.log(`🎯 Orbit cameras attached to ${this.orbitCameras.size} cards`);
+    }
+    
     /**
      * Set up interaction blueprint event listeners (Phase 4.4 - CRITICAL)
      */
@@ -974,6 +1072,37 @@ class InteractionCoordinator {
         this.metrics.keyboardEvents++;
     }
     
+    /**
+     * Handle focus moving to an element (keyboard navigation between cards)
+     */
+    handleFocusIn(event) {
+        this.updateFocusedCard(event.target);
+    }
+    
+    /**
+     * Report the card containing an element (or none) to HomeMaster as focused
+     */
+    updateFocusedCard(element) {
+        if (!this.homeMaster) return;
+        
+        const card = element?.closest ? element.closest('.adaptive-card') : null;
+        this.homeMaster.setFocusedCard(card?.id || null);
+    }
+    
+    /**
+     * Run a transition edge's blueprint actions, with the focused card as subject
+     * (parameter actions are applied by HomeMaster)
+     */
+    runTransitionActions(actions) {
+        actions.forEach(action => {
+            if (!action.blueprint) return;
+            
+            const focusedCard = this.homeMaster.focusedCard;
+            const subject = focusedCard ? document.getElementById(focusedCard) : null;
+            this.executeInteractionBlueprint(action.blueprint, subject, { trigger: 'onTransition' });
+        });
+    }
+    
     /**
      * Handle keyboard shortcuts
      */
@@ -1007,6 +1136,7 @@ class InteractionCoordinator {
         this.mousePosition.y = event.clientY;
         this.lastInteraction = Date.now();
         this.metrics.mouseEvents++;
+        this.updateFocusedCard(event.target);
         
         // TODO: Phase 4 - Mouse position can influence parameters
     }
@@ -1059,6 +1189,7 @@ class InteractionCoordinator {
         
         this.lastInteraction = Date.now();
         this.metrics.touchEvents++;
+        this.updateFocusedCard(event.target);
         
         // Store gesture start position
         if (event.touches.length === 1) {
@@ -1167,6 +1298,23 @@ class InteractionCoordinator {
         } else if (command === 'cycleState()') {
             this.homeMaster.cycleState();
             this.metrics.navigations++;
+        } else if (command === 'navigateUp()') {
+            this.homeMaster.navigateUp();
+            this.metrics.navigations++;
+        } else if (command.includes('navigateToChild(')) {
+            // Extract the optional sub-state name from navigateToChild('name')
+            const match = command.match(/navigateToChild\((?:['"]([^'"]+)['"])?\)/);
+            if (match) {
+                this.homeMaster.navigateToChild(match[1] || null);
+                this.metrics.navigations++;
+            }
+        } else if (command.includes('setRegionState(')) {
+            // Extract region and state from setRegionState('region', 'state')
+            const match = command.match(/setRegionState\(['"]([^'"]+)['"], *['"]([^'"]+)['"]\)/);
+            if (match) {
+                this.homeMaster.setRegionState(match[1], match[2]);
+                this.metrics.navigations++;
+            }
         } else if (command.includes('increaseParameter(')) {
             // Extract parameter and amount from increaseParameter('param', amount)
             const match = command.match(/increaseParameter\(['"]([^'"]+)['"], *([0-9.]+)\)/);
@@ -1326,6 +1474,7 @@ class InteractionCoordinator {
     addKeyboardBinding(key, command) {
         this.keyboardNavigation[key] = command;
         console.log(`🎯 Added keyboard binding: ${key} → ${command}`);
+        this.dispatchBindingChange(key, command);
     }
     
     /**
@@ -1334,6 +1483,56 @@ class InteractionCoordinator {
     removeKeyboardBinding(key) {
         delete this.keyboardNavigation[key];
         console.log(`🎯 Removed keyboard binding: ${key}`);
+        this.dispatchBindingChange(key, null);
+    }
+    
+    dispatchBindingChange(key, command) {
+        this.eventBus.dispatchEvent(new CustomEvent('keyboardBindingsChanged', {
+            detail: { key: key, command: command }
+        }));
+    }
+    
+    /**
+     * The user's changes to the configured keyboard bindings:
+     * { key: command } for added or rebound keys, { key: null } for removed ones
+     */
+    getKeyboardBindingChanges() {
+        const changes = {};
+        Object.entries(this.keyboardNavigation).forEach(([key, command]) => {
+            if (this.defaultKeyboardNavigation[key] !== command) changes[key] = command;
+        });
+        Object.keys(this.defaultKeyboardNavigation).forEach(key => {
+            if (!(key in this.keyboardNavigation)) changes[key] = null;
+        });
+        return changes;
+    }
+    
+    /**
+     * Reset to the configured bindings, then apply changes from getKeyboardBindingChanges()
+     */
+    applyKeyboardBindingChanges(changes = {}) {
+        this.keyboardNavigation = { ...this.defaultKeyboardNavigation };
+        Object.entries(changes).forEach(([key, command]) => {
+            if (command === null) {
+                delete this.keyboardNavigation[key];
+            } else if (typeof command === 'string') {
+                this.keyboardNavigation[key] = command;
+            }
+        });
+        
+        console.log(`🎯 Applied ${Object.keys(changes).length} keyboard binding changes`);
+        this.dispatchBindingChange(null, null);
+    }
+    
+    /**
+     * Subscribe to InteractionCoordinator events
+     */
+    addEventListener(eventType, callback) {
+        this.eventBus.addEventListener(eventType, callback);
+        
+        return () => {
+            this.eventBus.removeEventListener(eventType, callback);
+        };
     }
     
     /**
@@ -1352,6 +1551,13 @@ class InteractionCoordinator {
         document.removeEventListener('touchstart', this.handleTouchStart);
         document.removeEventListener('touchmove', this.handleTouchMove);
         document.removeEventListener('touchend', this.handleTouchEnd);
+        document.removeEventListener('focusin', this.handleFocusIn);
+        
+        this.orbitCameras.forEach(controller => controller.detach());
+        this.orbitCameras.clear();
+        
+        this.stateHookUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.stateHookUnsubscribers = [];
         
         // Clear state
         this.activeKeys.clear();
@@ -135,10 +135,10 @@ class JsonConfigSystem {
         console.log('🔗 Validating cross-references between configurations...');
         
         // Validate that state-map references valid themes from visuals
-        const states = this.configs.stateMap?.states || {};
+        const states = this.getStateMapEntries();
         const themes = Object.keys(this.configs.visuals?.themes || {});
         
-        for (const [stateId, stateConfig] of Object.entries(states)) {
+        for (const [stateId, stateConfig] of states) {
             if (stateConfig.activeTheme && !themes.includes(stateConfig.activeTheme)) {
                 console.warn(`⚠️ State '${stateId}' references unknown theme '${stateConfig.activeTheme}'`);
             }
@@ -147,7 +147,7 @@ class JsonConfigSystem {
         // Validate that state-map references valid cards from layout-content
         const cardIds = (this.configs.layout?.cards || []).map(card => card.id);
         
-        for (const [stateId, stateConfig] of Object.entries(states)) {
+        for (const [stateId, stateConfig] of states) {
             const activeCards = stateConfig.activeCards || [];
             for (const cardId of activeCards) {
                 if (!cardIds.includes(cardId)) {
@@ -165,9 +165,44 @@ class JsonConfigSystem {
             }
         }
         
+        // Validate that transition edges connect known states
+        const pageStateIds = states.map(([stateId]) => stateId).filter(stateId => !stateId.includes(':'));
+        
+        for (const [fromState, targets] of Object.entries(this.configs.stateMap?.transitions?.edges || {})) {
+            for (const stateId of [fromState, ...targets]) {
+                if (stateId !== '*' && !pageStateIds.includes(stateId)) {
+                    console.warn(`⚠️ Transition edge '${fromState}' references unknown state '${stateId}'`);
+                }
+            }
+        }
+        
         console.log('✓ Cross-reference validation completed');
     }
 
+    /**
+     * Every state in the state map as [id, config]: nested states by path
+     * ('tech/shaders') and region states as 'region:state'
+     */
+    getStateMapEntries() {
+        const entries = [];
+        const collect = (states, prefix) => {
+            for (const [name, stateConfig] of Object.entries(states || {})) {
+                const stateId = prefix ? `${prefix}/${name}` : name;
+                entries.push([stateId, stateConfig]);
+                collect(stateConfig.states, stateId);
+            }
+        };
+        collect(this.configs.stateMap?.states, '');
+        
+        for (const [regionId, region] of Object.entries(this.configs.stateMap?.regions || {})) {
+            for (const [name, stateConfig] of Object.entries(region.states || {})) {
+                entries.push([`${regionId}:${name}`, stateConfig]);
+            }
+        }
+        
+        return entries;
+    }
+
     /**
      * Hot-reload a specific configuration file
      */
@@ -286,6 +321,7 @@ class JsonConfigSystem {
             required: ['states', 'navigation', 'initialState'],
             properties: {
                 states: { type: 'object' },
+                regions: { type: 'object' },
                 navigation: { type: 'object' },
                 initialState: { type: 'string' }
             }
@@ -303,6 +339,109 @@ class JsonConfigSystem {
         };
     }
 
+    /**
+     * Export the state map's transition graph as a Mermaid stateDiagram-v2,
+     * in the style of the architecture diagrams. Edges (all pairs without
+     * transitions.edges) are labelled "navigateTo('to') [guard] / actions";
+     * sub-states sit inside their parent and each region is its own
+     * composite state.
+     */
+    exportTransitionGraph() {
+        const stateMap = this.configs.stateMap || {};
+        const transitions = stateMap.transitions || {};
+        const nodeId = (stateId) => stateId.replace(/[^A-Za-z0-9_]/g, '_');
+        const lines = ['stateDiagram-v2'];
+        
+        if (stateMap.initialState) {
+            lines.push(`   [*] --> ${nodeId(stateMap.initialState)}: App Boot`);
+            lines.push('');
+        }
+        
+        // Parents with sub-states become composite states
+        const declare = (states, prefix, indent) => {
+            for (const [name, stateConfig] of Object.entries(states || {})) {
+                const stateId = prefix ? `${prefix}/${name}` : name;
+                if (stateConfig.states) {
+                    lines.push(`${indent}state ${nodeId(stateId)} {`);
+                    declare(stateConfig.states, stateId, `${indent}   `);
+                    lines.push(`${indent}}`);
+                } else if (prefix) {
+                    lines.push(`${indent}state "${name}" as ${nodeId(stateId)}`);
+                }
+            }
+        };
+        declare(stateMap.states, '', '   ');
+        
+        const stateIds = this.getStateMapEntries()
+            .map(([stateId]) => stateId)
+            .filter(stateId => !stateId.includes(':'));
+        const edges = transitions.edges;
+        
+        lines.push('');
+        for (const fromState of stateIds) {
+            const targets = edges ? [...(edges[fromState] || []), ...(edges['*'] || [])] : ['*'];
+            
+            for (const toState of stateIds) {
+                if (toState === fromState || (!targets.includes(toState) && !targets.includes('*'))) continue;
+                
+                const edge = transitions.stateSpecific?.[`${fromState}->${toState}`] || {};
+                lines.push(`   ${nodeId(fromState)} --> ${nodeId(toState)}: ${this.describeTransitionEdge(toState, edge)}`);
+            }
+        }
+        
+        // Regions change independently of the page state, between any two of their states
+        for (const [regionId, region] of Object.entries(stateMap.regions || {})) {
+            const regionStates = Object.keys(region.states || {});
+            const regionNode = (name) => `${nodeId(regionId)}_${nodeId(name)}`;
+            
+            lines.push('');
+            lines.push(`   state region_${nodeId(regionId)} {`);
+            regionStates.forEach(name => lines.push(`      state "${name}" as ${regionNode(name)}`));
+            lines.push(`      [*] --> ${regionNode(region.initialState || regionStates[0])}`);
+            regionStates.forEach(fromName => regionStates.forEach(toName => {
+                if (fromName !== toName) {
+                    lines.push(`      ${regionNode(fromName)} --> ${regionNode(toName)}: setRegionState('${regionId}', '${toName}')`);
+                }
+            }));
+            lines.push('   }');
+        }
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * Mermaid label for a transition edge
+     */
+    describeTransitionEdge(toState, edge) {
+        let label = `navigateTo('${toState}')`;
+        
+        const guard = edge.guard || {};
+        const conditions = [];
+        for (const [paramName, range] of Object.entries(guard.parameters || {})) {
+            if (typeof range.min === 'number') conditions.push(`${paramName} ≥ ${range.min}`);
+            if (typeof range.max === 'number') conditions.push(`${paramName} ≤ ${range.max}`);
+        }
+        if (guard.focusedCard === true) conditions.push('card focused');
+        if (guard.focusedCard === false) conditions.push('no card focused');
+        if (typeof guard.focusedCard === 'string') conditions.push(`${guard.focusedCard} focused`);
+        for (const [regionId, regionState] of Object.entries(guard.regions || {})) {
+            conditions.push(`${regionId} = ${regionState}`);
+        }
+        if (conditions.length > 0) {
+            label += ` [${conditions.join(', ')}]`;
+        }
+        
+        const actions = (edge.actions || []).flatMap(action => [
+            ...(action.blueprint ? [action.blueprint] : []),
+            ...Object.entries(action.parameters || {}).map(([paramName, value]) => `${paramName} = ${value}`)
+        ]);
+        if (actions.length > 0) {
+            label += ` / ${actions.join(', ')}`;
+        }
+        
+        return label;
+    }
+
     /**
      * Import configuration state from JSON
      */
@@ -217,3 +217,10 @@ console.log("Klein Bottle Indices Count:", klein.getIndices().length);
 klein.update({ scale: 0.6, rotations: { xy: Math.PI / 4 } });
 console.log("Updated Klein Bottle First Vertex:", klein.getVertices().slice(0,4));
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KleinBottleGeometry;
+} else {
+    window.KleinBottleGeometry = KleinBottleGeometry;
+}
@@ -49,7 +49,7 @@ class MVEPEnhancedGeometry {
         }`;
         
         // Advanced MVEP Fragment Shader (sophisticated 4D effects)
-        this.fragmentShader = `#version 100
+        this.fragmentShader = ShaderChunkLibrary.getShared().assemble(`#version 100
         precision highp float;
         
         varying vec2 v_uv;
@@ -72,56 +72,12 @@ class MVEPEnhancedGeometry {
         uniform float u_highLevel;
         uniform float u_pitchFactor;
         
-        // 4D Rotation Matrices (Six Independent Planes)
-        mat4 rotateXW(float theta) {
-            float c = cos(theta);
-            float s = sin(theta);
-            return mat4(
-                c, 0.0, 0.0, -s,
-                0.0, 1.0, 0.0, 0.0,
-                0.0, 0.0, 1.0, 0.0,
-                s, 0.0, 0.0, c
-            );
-        }
-        
-        mat4 rotateYW(float theta) {
-            float c = cos(theta);
-            float s = sin(theta);
-            return mat4(
-                1.0, 0.0, 0.0, 0.0,
-                0.0, c, 0.0, -s,
-                0.0, 0.0, 1.0, 0.0,
-                0.0, s, 0.0, c
-            );
-        }
-        
-        mat4 rotateZW(float theta) {
-            float c = cos(theta);
-            float s = sin(theta);
-            return mat4(
-                1.0, 0.0, 0.0, 0.0,
-                0.0, 1.0, 0.0, 0.0,
-                0.0, 0.0, c, -s,
-                0.0, 0.0, s, c
-            );
-        }
-        
-        mat4 rotateXY(float theta) {
-            float c = cos(theta);
-            float s = sin(theta);
-            return mat4(
-                c, -s, 0.0, 0.0,
-                s, c, 0.0, 0.0,
-                0.0, 0.0, 1.0, 0.0,
-                0.0, 0.0, 0.0, 1.0
-            );
-        }
-        
-        // Project 4D point to 3D
-        vec3 project4Dto3D(vec4 p4d) {
-            float w = p4d.w + 2.0; // Perspective factor
-            return p4d.xyz / w;
-        }
+        // Shared 4D rotation, projection, lattice, color and RGB split chunks
+        #include <rotation4d>
+        #include <projection4d>
+        #include <lattice>
+        #include <color>
+        #include <glitch>
         
         // Advanced Hypercube Lattice with 4D Mathematics
         float hypercubeLattice(vec3 p, float morphFactor, float gridSize) {
@@ -141,11 +97,10 @@ class MVEPEnhancedGeometry {
             p4d = rotateXY(timeFactor * 0.19 + u_highLevel * 0.3) * p4d;
             
             // Project back to 3D
-            vec3 distortedP = project4Dto3D(p4d);
+            vec3 distortedP = projectPerspective4D(p4d, 2.0, 1.0);
             
             // Create lattice structure
             vec3 gridP = distortedP * gridSize;
-            vec3 fractP = fract(gridP) - 0.5;
             
             // Edge thickness with audio modulation
             float edgeThickness = 0.03;
@@ -154,14 +109,10 @@ class MVEPEnhancedGeometry {
             }
             
             // Lattice edges
-            float edges = min(min(
-                length(fractP.yz),
-                length(fractP.xz)),
-                length(fractP.xy)
-            ) - edgeThickness;
+            float edges = latticeEdgeDistance(gridP, edgeThickness);
             
             // Vertices (4D hypercube has 16 vertices)
-            float vertices = length(fractP) - 0.08;
+            float vertices = latticeVertexDistance(gridP, 0.08);
             
             return max(edges, vertices);
         }
@@ -175,20 +126,7 @@ class MVEPEnhancedGeometry {
         
         // RGB Color Splitting Effect
         vec3 applyColorSplitting(vec2 uv, vec3 baseColor) {
-            float glitchAmount = u_glitchIntensity;
-            if (u_audioEnabled > 0.5) {
-                glitchAmount += u_highLevel * 0.1;
-            }
-            
-            vec2 rOffset = vec2(glitchAmount, glitchAmount * 0.5);
-            vec2 gOffset = vec2(-glitchAmount * 0.3, glitchAmount * 0.2);
-            vec2 bOffset = vec2(glitchAmount * 0.1, -glitchAmount * 0.4);
-            
-            float r = baseColor.r;
-            float g = baseColor.g * 0.9; // Slight offset sampling
-            float b = baseColor.b * 0.8;
-            
-            return vec3(r, g, b);
+            return rgbSplit(baseColor);
         }
         
         // Advanced Color Mapping with Audio
@@ -229,22 +167,7 @@ class MVEPEnhancedGeometry {
                 hueShift += sin(u_time + u_pitchFactor * 6.28) * 0.3;
             }
             
-            // Simple hue rotation
-            float cosShift = cos(hueShift);
-            float sinShift = sin(hueShift);
-            mat3 hueMatrix = mat3(
-                cosShift + (1.0 - cosShift) / 3.0,
-                (1.0 - cosShift) / 3.0 - sinShift * 0.577,
-                (1.0 - cosShift) / 3.0 + sinShift * 0.577,
-                (1.0 - cosShift) / 3.0 + sinShift * 0.577,
-                cosShift + (1.0 - cosShift) / 3.0,
-                (1.0 - cosShift) / 3.0 - sinShift * 0.577,
-                (1.0 - cosShift) / 3.0 - sinShift * 0.577,
-                (1.0 - cosShift) / 3.0 + sinShift * 0.577,
-                cosShift + (1.0 - cosShift) / 3.0
-            );
-            
-            return hueMatrix * color;
+            return hueRotate(color, hueShift);
         }
         
         void main() {
@@ -295,7 +218,7 @@ class MVEPEnhancedGeometry {
             }
             
             gl_FragColor = vec4(finalColor, 1.0);
-        }`;
+        }`);
         
         // Geometry data for fullscreen quad
         this.vertices = new Float32Array([
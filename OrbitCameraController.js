@@ -0,0 +1,354 @@
+/**
+ * OrbitCameraController.js - Per-Card Orbit Camera Input
+ *
+ * Turns pointer input on one card canvas into orbit-camera updates stored in
+ * HomeMaster (setCardCamera), which VisualizerPool reads every frame:
+ * - drag: yaw/pitch in 3D
+ * - shift-drag (or two-finger drag): XW/YW rotation in 4D
+ * - wheel / pinch: zoom; shift-wheel: ZW rotation
+ * - release while moving: inertia
+ * - double-click: reset
+ *
+ * Part of Phase 4: Interaction Physics
+ */
+
+class OrbitCameraController {
+    constructor(canvas, cardId, homeMaster, options = {}) {
+        this.canvas = canvas;
+        this.cardId = cardId;
+        this.homeMaster = homeMaster;
+
+        this.options = {
+            rotateSpeed: 0.008,   // Radians per pixel dragged
+            zoomSpeed: 0.0015,    // Distance factor per wheel delta unit
+            friction: 0.92,       // Velocity kept per 16ms of inertia
+            minVelocity: 0.00002, // Radians/ms below which inertia stops
+            clickTolerance: 4,    // Pixels a press may move and still count as a click
+            ...options
+        };
+
+        // Drag tracking
+        this.drag = null;      // { mode: '3d'|'4d', x, y, time, moved }
+        this.velocity = { a: 0, b: 0 }; // Radians/ms along the dragged axes
+        this.inertiaMode = null;
+        this.inertiaFrame = null;
+        this.inertiaTime = 0;
+        this.pinchDistance = null;
+        this.suppressClick = false;
+
+        // Event handlers (bound for proper context)
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.stepInertia = this.stepInertia.bind(this);
+    }
+
+    /**
+     * Start listening on the canvas
+     */
+    attach() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown);
+        this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick);
+        this.canvas.addEventListener('click', this.handleClick, true);
+        this.canvas.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd, { passive: false });
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd, { passive: false });
+        return this;
+    }
+
+    /**
+     * Stop listening and cancel any inertia
+     */
+    detach() {
+        this.stopInertia();
+        this.endMouseDrag();
+        this.canvas.removeEventListener('mousedown', this.handleMouseDown);
+        this.canvas.removeEventListener('wheel', this.handleWheel);
+        this.canvas.removeEventListener('dblclick', this.handleDoubleClick);
+        this.canvas.removeEventListener('click', this.handleClick, true);
+        this.canvas.removeEventListener('touchstart', this.handleTouchStart);
+        this.canvas.removeEventListener('touchmove', this.handleTouchMove);
+        this.canvas.removeEventListener('touchend', this.handleTouchEnd);
+        this.canvas.removeEventListener('touchcancel', this.handleTouchEnd);
+    }
+
+    /**
+     * Rotate the camera: yaw/pitch in '3d' mode, XW/YW in '4d' mode
+     */
+    rotate(mode, deltaA, deltaB) {
+        const camera = this.homeMaster.getCardCamera(this.cardId);
+
+        if (mode === '4d') {
+            this.homeMaster.setCardCamera(this.cardId, { xw: camera.xw + deltaA, yw: camera.yw + deltaB });
+        } else {
+            this.homeMaster.setCardCamera(this.cardId, { yaw: camera.yaw + deltaA, pitch: camera.pitch + deltaB });
+        }
+    }
+
+    /**
+     * Multiply the orbit distance (factor < 1 zooms in)
+     */
+    zoom(factor) {
+        const camera = this.homeMaster.getCardCamera(this.cardId);
+        this.homeMaster.setCardCamera(this.cardId, { distance: camera.distance * factor });
+    }
+
+    /**
+     * Begin a drag at a pointer position
+     */
+    beginDrag(mode, x, y) {
+        this.stopInertia();
+        this.drag = { mode, x, y, time: performance.now(), moved: 0 };
+        this.velocity = { a: 0, b: 0 };
+    }
+
+    /**
+     * Apply pointer movement to the active drag and track its velocity
+     */
+    moveDrag(x, y) {
+        const { drag } = this;
+        const now = performance.now();
+        const deltaA = (x - drag.x) * this.options.rotateSpeed;
+        const deltaB = (y - drag.y) * this.options.rotateSpeed;
+        const elapsed = Math.max(now - drag.time, 1);
+
+        drag.moved += Math.abs(x - drag.x) + Math.abs(y - drag.y);
+        drag.x = x;
+        drag.y = y;
+        drag.time = now;
+
+        // Smoothed so one jittery event does not decide the release velocity
+        this.velocity.a = this.velocity.a * 0.5 + (deltaA / elapsed) * 0.5;
+        this.velocity.b = this.velocity.b * 0.5 + (deltaB / elapsed) * 0.5;
+
+        this.rotate(drag.mode, deltaA, deltaB);
+    }
+
+    /**
+     * Finish a drag, handing its velocity to inertia
+     */
+    endDrag() {
+        const { drag } = this;
+        if (!drag) return;
+
+        this.drag = null;
+        this.suppressClick = drag.moved > this.options.clickTolerance;
+
+        // A pause before release means the user stopped the spin on purpose
+        if (performance.now() - drag.time > 80) return;
+
+        this.startInertia(drag.mode);
+    }
+
+    /**
+     * Keep rotating with the release velocity, decaying by friction
+     */
+    startInertia(mode) {
+        const { minVelocity } = this.options;
+        if (Math.abs(this.velocity.a) < minVelocity && Math.abs(this.velocity.b) < minVelocity) return;
+
+        this.inertiaMode = mode;
+        this.inertiaTime = performance.now();
+        this.inertiaFrame = requestAnimationFrame(this.stepInertia);
+    }
+
+    /**
+     * Advance inertia by one animation frame
+     */
+    stepInertia() {
+        const now = performance.now();
+        const elapsed = Math.min(now - this.inertiaTime, 100);
+        this.inertiaTime = now;
+
+        this.rotate(this.inertiaMode, this.velocity.a * elapsed, this.velocity.b * elapsed);
+
+        const decay = Math.pow(this.options.friction, elapsed / 16);
+        this.velocity.a *= decay;
+        this.velocity.b *= decay;
+
+        const { minVelocity } = this.options;
+        if (Math.abs(this.velocity.a) < minVelocity && Math.abs(this.velocity.b) < minVelocity) {
+            this.inertiaFrame = null;
+            return;
+        }
+        this.inertiaFrame = requestAnimationFrame(this.stepInertia);
+    }
+
+    /**
+     * Cancel inertia
+     */
+    stopInertia() {
+        if (this.inertiaFrame) {
+            cancelAnimationFrame(this.inertiaFrame);
+            this.inertiaFrame = null;
+        }
+        this.velocity = { a: 0, b: 0 };
+    }
+
+    /**
+     * Handle mouse down: start a 3D drag, or 4D with shift held
+     */
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+
+        event.preventDefault();
+        this.beginDrag(event.shiftKey ? '4d' : '3d', event.clientX, event.clientY);
+
+        // Follow the drag outside the canvas
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    /**
+     * Handle mouse move during a drag
+     */
+    handleMouseMove(event) {
+        if (!this.drag) return;
+        this.moveDrag(event.clientX, event.clientY);
+    }
+
+    /**
+     * Handle mouse up: end the drag
+     */
+    handleMouseUp() {
+        this.endMouseDrag();
+        this.endDrag();
+    }
+
+    /**
+     * Remove the document listeners of a mouse drag
+     */
+    endMouseDrag() {
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+    }
+
+    /**
+     * Handle wheel: zoom, or ZW rotation with shift held.
+     * Stops propagation so page-level wheel navigation does not fire.
+     */
+    handleWheel(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        // Some platforms report shift-wheel as horizontal scroll
+        const delta = event.deltaY || event.deltaX;
+
+        if (event.shiftKey) {
+            const camera = this.homeMaster.getCardCamera(this.cardId);
+            this.homeMaster.setCardCamera(this.cardId, { zw: camera.zw + delta * this.options.rotateSpeed * 0.1 });
+        } else {
+            this.zoom(Math.exp(delta * this.options.zoomSpeed));
+        }
+    }
+
+    /**
+     * Handle double click: reset the camera
+     */
+    handleDoubleClick(event) {
+        event.preventDefault();
+        this.stopInertia();
+        this.homeMaster.resetCardCamera(this.cardId);
+    }
+
+    /**
+     * Swallow the click that ends a drag so card click blueprints do not fire
+     */
+    handleClick(event) {
+        if (this.suppressClick) {
+            event.stopPropagation();
+            this.suppressClick = false;
+        }
+    }
+
+    /**
+     * Handle touch start: one finger drags in 3D, two fingers pinch and drag in 4D
+     */
+    handleTouchStart(event) {
+        // Not prevented, so a tap still produces a click
+        event.stopPropagation();
+        this.syncTouches(event.touches);
+    }
+
+    /**
+     * Handle touch move
+     */
+    handleTouchMove(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (!this.drag) return;
+
+        const center = this.getTouchCenter(event.touches);
+        this.moveDrag(center.x, center.y);
+
+        if (event.touches.length === 2 && this.pinchDistance) {
+            const distance = this.getTouchDistance(event.touches);
+            this.zoom(this.pinchDistance / distance);
+            this.pinchDistance = distance;
+        }
+    }
+
+    /**
+     * Handle touch end: continue with the remaining fingers, or release
+     */
+    handleTouchEnd(event) {
+        // Only a drag cancels the click the browser synthesizes after a tap
+        if (this.drag && this.drag.moved > this.options.clickTolerance) {
+            event.preventDefault();
+        }
+        event.stopPropagation();
+
+        if (event.touches.length === 0) {
+            this.pinchDistance = null;
+            this.endDrag();
+        } else {
+            this.syncTouches(event.touches);
+        }
+    }
+
+    /**
+     * Restart the drag when the number of fingers changes
+     */
+    syncTouches(touches) {
+        const center = this.getTouchCenter(touches);
+        this.beginDrag(touches.length >= 2 ? '4d' : '3d', center.x, center.y);
+        this.pinchDistance = touches.length >= 2 ? this.getTouchDistance(touches) : null;
+    }
+
+    /**
+     * Midpoint of the first two touches (or the single touch)
+     */
+    getTouchCenter(touches) {
+        if (touches.length < 2) {
+            return { x: touches[0].clientX, y: touches[0].clientY };
+        }
+        return {
+            x: (touches[0].clientX + touches[1].clientX) / 2,
+            y: (touches[0].clientY + touches[1].clientY) / 2
+        };
+    }
+
+    /**
+     * Distance between the first two touches
+     */
+    getTouchDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrbitCameraController;
+} else {
+    window.OrbitCameraController = OrbitCameraController;
+}
@@ -0,0 +1,349 @@
+/**
+ * ProjectionManager.js - Selectable 4D → 3D Projection Modes
+ *
+ * Each projection mode maps a spec such as
+ * `{ type: 'stereographic', radius: 1.5, poleSign: -1 }` to flat numeric
+ * uniforms (u_projectionWeights, u_stereoRadius, ...). Because they are plain
+ * numbers and vectors, HomeMaster interpolates them like any other parameter,
+ * so a state transition blends smoothly from one projection to the next:
+ * the vertex shader mixes the three 4D projections by u_projectionWeights
+ * and the camera matrix is the same weighted blend.
+ *
+ * Part of Phase 2: Visualizer Rendering & Geometry
+ */
+
+/**
+ * @abstract
+ * Base class for all projection modes.
+ */
+class BaseProjection {
+    constructor(name) {
+        if (this.constructor === BaseProjection) {
+            throw new Error("Abstract classes can't be instantiated.");
+        }
+        this.name = name;
+        this.near = 0.1;
+        this.far = 100;
+    }
+
+    /**
+     * Default spec parameters for this mode
+     * @returns {object}
+     */
+    getDefaults() {
+        return {};
+    }
+
+    /**
+     * @abstract
+     * Map spec parameters (merged over the defaults) to uniform values.
+     * @param {object} params - Spec parameters, e.g. { radius: 1.5 }
+     * @returns {object}
+     */
+    getUniforms(params) {
+        throw new Error("Method 'getUniforms()' must be implemented.");
+    }
+
+    /**
+     * @abstract
+     * Build the column-major 3D camera matrix from uniform values.
+     * @param {object} uniforms - Resolved uniform values
+     * @param {number} aspect - Canvas width / height
+     * @returns {Float32Array}
+     */
+    getProjectionMatrix(uniforms, aspect) {
+        throw new Error("Method 'getProjectionMatrix()' must be implemented.");
+    }
+
+    /**
+     * @abstract
+     * Project an (already rotated) 4D point to 3D, matching the vertex shader.
+     * @param {Array<number>} point - [x, y, z, w]
+     * @param {object} uniforms - Resolved uniform values
+     * @returns {Array<number>} [x, y, z]
+     */
+    project(point, uniforms) {
+        throw new Error("Method 'project()' must be implemented.");
+    }
+
+    /**
+     * Column-major perspective camera matrix
+     */
+    createPerspectiveMatrix(fov, aspect) {
+        const f = Math.tan(Math.PI * 0.5 - 0.5 * fov * Math.PI / 180);
+        const rangeInv = 1.0 / (this.near - this.far);
+
+        return new Float32Array([
+            f / aspect, 0, 0, 0,
+            0, f, 0, 0,
+            0, 0, (this.near + this.far) * rangeInv, -1,
+            0, 0, this.near * this.far * rangeInv * 2, 0
+        ]);
+    }
+}
+
+/**
+ * Perspective: divide by the distance to a viewer on the W axis
+ */
+class PerspectiveProjection extends BaseProjection {
+    constructor() {
+        super('perspective');
+    }
+
+    getDefaults() {
+        return { viewDistance: 2.0, wScale: -0.5, fov: 45 };
+    }
+
+    getUniforms(params) {
+        return {
+            u_projectionDistance: params.viewDistance,
+            u_projectionWScale: params.wScale,
+            u_projectionFov: params.fov
+        };
+    }
+
+    getProjectionMatrix(uniforms, aspect) {
+        return this.createPerspectiveMatrix(uniforms.u_projectionFov, aspect);
+    }
+
+    project(point, uniforms) {
+        const [x, y, z, w] = point;
+        const divisor = uniforms.u_projectionDistance + w * uniforms.u_projectionWScale;
+        return [x / divisor, y / divisor, z / divisor];
+    }
+}
+
+/**
+ * Stereographic: project from the pole (0, 0, 0, poleSign * radius) of a 3-sphere
+ */
+class StereographicProjection extends BaseProjection {
+    constructor() {
+        super('stereographic');
+    }
+
+    getDefaults() {
+        return { radius: 1.5, poleSign: 1, fov: 45 };
+    }
+
+    getUniforms(params) {
+        return {
+            u_stereoRadius: params.radius,
+            u_stereoPoleSign: params.poleSign < 0 ? -1 : 1,
+            u_projectionFov: params.fov
+        };
+    }
+
+    getProjectionMatrix(uniforms, aspect) {
+        return this.createPerspectiveMatrix(uniforms.u_projectionFov, aspect);
+    }
+
+    project(point, uniforms) {
+        const [x, y, z, w] = point;
+        const radius = uniforms.u_stereoRadius;
+        const scale = radius / Math.max(radius - uniforms.u_stereoPoleSign * w, 0.001);
+        return [x * scale, y * scale, z * scale];
+    }
+}
+
+/**
+ * Orthographic: drop W, and view the result through an orthographic camera
+ */
+class OrthographicProjection extends BaseProjection {
+    constructor() {
+        super('orthographic');
+    }
+
+    getDefaults() {
+        // Half-height of the view; 0.83 frames the same area as a 45° perspective at the default camera distance
+        return { size: 0.83 };
+    }
+
+    getUniforms(params) {
+        return {
+            u_orthoSize: params.size
+        };
+    }
+
+    getProjectionMatrix(uniforms, aspect) {
+        const top = uniforms.u_orthoSize;
+        const right = top * aspect;
+        const rangeInv = 1.0 / (this.near - this.far);
+
+        return new Float32Array([
+            1 / right, 0, 0, 0,
+            0, 1 / top, 0, 0,
+            0, 0, 2 * rangeInv, 0,
+            0, 0, (this.near + this.far) * rangeInv, 1
+        ]);
+    }
+
+    project(point) {
+        return [point[0], point[1], point[2]];
+    }
+}
+
+class ProjectionManager {
+    constructor() {
+        this.version = '1.0.0';
+
+        // Projection modes by name; order matches the components of u_projectionWeights
+        this.projections = new Map();
+
+        this.register(new PerspectiveProjection());
+        this.register(new StereographicProjection());
+        this.register(new OrthographicProjection());
+    }
+
+    /**
+     * Manager shared by HomeMaster and VisualizerPool
+     */
+    static getShared() {
+        if (!ProjectionManager.shared) {
+            ProjectionManager.shared = new ProjectionManager();
+        }
+        return ProjectionManager.shared;
+    }
+
+    /**
+     * Add a projection mode
+     */
+    register(projection) {
+        if (this.projections.size >= 3 && !this.projections.has(projection.name)) {
+            throw new Error(`Cannot register projection '${projection.name}': u_projectionWeights has three components`);
+        }
+        this.projections.set(projection.name, projection);
+    }
+
+    /**
+     * Get a projection mode by name
+     */
+    get(name) {
+        if (!this.projections.has(name)) {
+            throw new Error(`Unknown projection '${name}' (available: ${this.listProjections().join(', ')})`);
+        }
+        return this.projections.get(name);
+    }
+
+    /**
+     * Get all projection mode names
+     */
+    listProjections() {
+        return Array.from(this.projections.keys());
+    }
+
+    /**
+     * Resolve a projection spec to the full set of projection uniforms.
+     * Modes other than the selected one get their defaults, so every state
+     * defines every projection uniform and transitions blend all of them.
+     * @param {string|object} spec - 'orthographic' or { type, ...params }
+     * @returns {object}
+     */
+    getParameters(spec = 'perspective') {
+        const { type = 'perspective', ...params } = typeof spec === 'string' ? { type: spec } : spec;
+        const selected = this.get(type);
+        const parameters = {};
+
+        this.projections.forEach(projection => {
+            const projectionParams = projection === selected ?
+                { ...projection.getDefaults(), ...params } :
+                projection.getDefaults();
+            Object.assign(parameters, projection.getUniforms(projectionParams));
+        });
+
+        // Shared keys (fov) come from the selected mode
+        Object.assign(parameters, selected.getUniforms({ ...selected.getDefaults(), ...params }));
+        parameters.u_projectionWeights = this.listProjections().map(name => name === type ? 1.0 : 0.0);
+
+        return parameters;
+    }
+
+    /**
+     * Names of the uniforms getParameters() produces
+     */
+    getParameterNames() {
+        return Object.keys(this.getParameters());
+    }
+
+    /**
+     * Normalized weights from resolved parameters (perspective when absent)
+     */
+    getWeights(parameters) {
+        const weights = parameters.u_projectionWeights;
+        const total = Array.isArray(weights) ? weights.reduce((sum, weight) => sum + weight, 0) : 0;
+        if (total <= 0) {
+            return this.getParameters().u_projectionWeights;
+        }
+        return weights.map(weight => weight / total);
+    }
+
+    /**
+     * Weighted blend of each mode's camera matrix
+     * @param {object} parameters - Resolved parameters (missing uniforms fall back to defaults)
+     * @param {number} aspect - Canvas width / height
+     * @returns {Float32Array}
+     */
+    getProjectionMatrix(parameters, aspect) {
+        const uniforms = { ...this.getParameters(), ...parameters };
+        const weights = this.getWeights(uniforms);
+        const matrix = new Float32Array(16);
+
+        this.listProjections().forEach((name, i) => {
+            if (weights[i] === 0) return;
+            const modeMatrix = this.get(name).getProjectionMatrix(uniforms, aspect);
+            for (let k = 0; k < 16; k++) {
+                matrix[k] += modeMatrix[k] * weights[i];
+            }
+        });
+
+        return matrix;
+    }
+
+    /**
+     * Project an (already rotated) 4D point to 3D with the blended projection
+     */
+    project(point, parameters) {
+        const uniforms = { ...this.getParameters(), ...parameters };
+        const weights = this.getWeights(uniforms);
+        const result = [0, 0, 0];
+
+        this.listProjections().forEach((name, i) => {
+            if (weights[i] === 0) return;
+            this.get(name).project(point, uniforms).forEach((value, axis) => {
+                result[axis] += value * weights[i];
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Summarize resolved parameters: dominant mode, weights and uniforms
+     */
+    describe(parameters) {
+        const uniforms = { ...this.getParameters(), ...parameters };
+        const weights = this.getWeights(uniforms);
+        const names = this.listProjections();
+        const dominant = weights.indexOf(Math.max(...weights));
+
+        const summary = {};
+        this.getParameterNames().forEach(name => {
+            summary[name] = uniforms[name];
+        });
+
+        return {
+            type: names[dominant],
+            blending: weights.filter(weight => weight > 0).length > 1,
+            weights: Object.fromEntries(names.map((name, i) => [name, weights[i]])),
+            uniforms: summary
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectionManager;
+    module.exports.BaseProjection = BaseProjection;
+} else {
+    window.ProjectionManager = ProjectionManager;
+    window.BaseProjection = BaseProjection;
+}
@@ -0,0 +1,426 @@
+/**
+ * RegularPolytopeGeometry: Generates the six convex regular 4-polytopes
+ * (5-cell, 8-cell, 16-cell, 24-cell, 120-cell, 600-cell) from their vertex
+ * coordinates, and derives their edges, 2-faces and cells.
+ *
+ * An optional truncation cuts every vertex off at a fraction of each edge:
+ * 0 keeps the regular polytope, 0.5 (cuts meeting at edge midpoints) gives
+ * its rectification, anything in between a truncation.
+ *
+ * Faces are stored as ordered vertex loops, so CrossSectionSlicer can slice
+ * the wireframe without recovering its topology.
+ *
+ * Part of Phase 2: Visualizer Rendering & Geometry
+ */
+
+class RegularPolytopeGeometry extends BaseGeometry {
+    constructor(options = {}) {
+        super();
+        this.parameters = {
+            polytope: options.polytope || '8-cell',
+            size: options.size || 1.0,             // Circumradius of the regular polytope
+            truncation: options.truncation || 0.0  // Fraction of each edge cut off at both ends (0..0.5)
+        };
+
+        this.faces = [];  // Ordered vertex loops
+        this.cells = [];  // Face index lists
+
+        this.generate();
+    }
+
+    /**
+     * Schläfli symbols and vertex coordinates (any scale) of the regular polytopes
+     */
+    static get POLYTOPES() {
+        const sqrt5 = Math.sqrt(5);
+        const PHI = (1 + sqrt5) / 2; // Golden ratio
+        const phiInv = 1 / PHI;
+
+        return {
+            '5-cell': {
+                displayName: '5-Cell (Pentachoron)',
+                schlafli: [3, 3, 3],
+                vertices: () => [
+                    [1, 1, 1, -1 / sqrt5],
+                    [1, -1, -1, -1 / sqrt5],
+                    [-1, 1, -1, -1 / sqrt5],
+                    [-1, -1, 1, -1 / sqrt5],
+                    [0, 0, 0, 4 / sqrt5]
+                ]
+            },
+            '8-cell': {
+                displayName: '8-Cell (Tesseract)',
+                schlafli: [4, 3, 3],
+                vertices: () => RegularPolytopeGeometry.expand([1, 1, 1, 1], false)
+            },
+            '16-cell': {
+                displayName: '16-Cell (Hexadecachoron)',
+                schlafli: [3, 3, 4],
+                vertices: () => RegularPolytopeGeometry.expand([1, 0, 0, 0], false)
+            },
+            '24-cell': {
+                displayName: '24-Cell (Icositetrachoron)',
+                schlafli: [3, 4, 3],
+                vertices: () => RegularPolytopeGeometry.expand([1, 1, 0, 0], false)
+            },
+            '120-cell': {
+                displayName: '120-Cell (Hecatonicosachoron)',
+                schlafli: [5, 3, 3],
+                vertices: () => [
+                    ...RegularPolytopeGeometry.expand([0, 0, 2, 2], false),
+                    ...RegularPolytopeGeometry.expand([1, 1, 1, sqrt5], false),
+                    ...RegularPolytopeGeometry.expand([phiInv * phiInv, PHI, PHI, PHI], false),
+                    ...RegularPolytopeGeometry.expand([phiInv, phiInv, phiInv, PHI * PHI], false),
+                    ...RegularPolytopeGeometry.expand([0, phiInv * phiInv, 1, PHI * PHI], true),
+                    ...RegularPolytopeGeometry.expand([0, phiInv, PHI, sqrt5], true),
+                    ...RegularPolytopeGeometry.expand([phiInv, 1, PHI, 2], true)
+                ]
+            },
+            '600-cell': {
+                displayName: '600-Cell (Hexacosichoron)',
+                schlafli: [3, 3, 5],
+                vertices: () => [
+                    ...RegularPolytopeGeometry.expand([0.5, 0.5, 0.5, 0.5], false),
+                    ...RegularPolytopeGeometry.expand([1, 0, 0, 0], false),
+                    ...RegularPolytopeGeometry.expand([PHI / 2, 0.5, phiInv / 2, 0], true)
+                ]
+            }
+        };
+    }
+
+    /**
+     * All sign changes of all (or only the even) coordinate permutations of a point, without duplicates
+     */
+    static expand(point, evenOnly) {
+        const permutations = [];
+        const permute = (remaining, current, parity) => {
+            if (remaining.length === 0) {
+                if (!evenOnly || parity === 0) permutations.push(current);
+                return;
+            }
+            remaining.forEach((index, i) => {
+                // Picking the i-th remaining index adds i transpositions
+                permute(remaining.filter((_, j) => j !== i), [...current, point[index]], (parity + i) % 2);
+            });
+        };
+        permute([0, 1, 2, 3], [], 0);
+
+        const points = new Map();
+        permutations.forEach(coords => {
+            for (let signs = 0; signs < 16; signs++) {
+                const signed = coords.map((value, axis) => (signs & (1 << axis) ? -value : value));
+                points.set(signed.map(value => value.toFixed(6)).join(','), signed);
+            }
+        });
+
+        return Array.from(points.values());
+    }
+
+    generate() {
+        const definition = RegularPolytopeGeometry.POLYTOPES[this.parameters.polytope];
+        if (!definition) {
+            throw new Error(`Unknown polytope '${this.parameters.polytope}' (available: ${Object.keys(RegularPolytopeGeometry.POLYTOPES).join(', ')})`);
+        }
+
+        // Regular polytope scaled to the requested circumradius
+        const points = definition.vertices();
+        const radius = Math.hypot(...points[0]);
+        const regular = { points: points.map(p => p.map(value => value * this.parameters.size / radius)) };
+
+        regular.edges = this.findEdges(regular.points);
+        regular.faces = this.findFaces(regular.points, regular.edges, definition.schlafli[0]);
+        regular.cells = this.findCells(regular.points, regular.edges, regular.faces);
+
+        const truncation = Math.min(Math.max(this.parameters.truncation, 0), 0.5);
+        const polytope = truncation > 0 ? this.truncate(regular, truncation) : regular;
+
+        this.vertices = polytope.points.flat();
+        this.faces = polytope.faces;
+        this.cells = polytope.cells;
+
+        // Edges as line indices, from the face loops
+        const edges = new Map();
+        this.faces.forEach(face => face.forEach((a, i) => {
+            const b = face[(i + 1) % face.length];
+            edges.set(a < b ? `${a},${b}` : `${b},${a}`, [a, b]);
+        }));
+        this.indices = Array.from(edges.values()).flat();
+    }
+
+    /**
+     * Pairs of vertices at the minimum distance
+     */
+    findEdges(points) {
+        let minDistance = Infinity;
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                minDistance = Math.min(minDistance, this.distance(points[i], points[j]));
+            }
+        }
+
+        const adjacency = points.map(() => new Set());
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                if (this.distance(points[i], points[j]) < minDistance * 1.001) {
+                    adjacency[i].add(j);
+                    adjacency[j].add(i);
+                }
+            }
+        }
+
+        return adjacency;
+    }
+
+    /**
+     * 2-faces: planes through a vertex and two of its neighbors that hold
+     * exactly one p-gon of edges (this rejects the great polygons through
+     * non-adjacent neighbors)
+     */
+    findFaces(points, adjacency, sides) {
+        const faces = new Map();
+
+        points.forEach((origin, a) => {
+            const neighbors = Array.from(adjacency[a]);
+
+            // A p-gon through `a` stays within p/2 edges of it
+            const nearby = new Set([a]);
+            for (let step = 0; step < Math.floor(sides / 2); step++) {
+                Array.from(nearby).forEach(index => adjacency[index].forEach(neighbor => nearby.add(neighbor)));
+            }
+
+            for (let i = 0; i < neighbors.length; i++) {
+                for (let j = i + 1; j < neighbors.length; j++) {
+                    const basis = this.orthonormalize([
+                        this.subtract(points[neighbors[i]], origin),
+                        this.subtract(points[neighbors[j]], origin)
+                    ]);
+                    if (basis.length < 2) continue;
+
+                    const inPlane = Array.from(nearby).filter(index =>
+                        this.residual(this.subtract(points[index], origin), basis) < 1e-6
+                    );
+                    if (inPlane.length !== sides) continue;
+
+                    const loop = this.orderLoop(points, inPlane, basis);
+                    const closed = loop.every((index, k) => adjacency[index].has(loop[(k + 1) % loop.length]));
+                    if (closed) {
+                        faces.set([...loop].sort((x, y) => x - y).join(','), loop);
+                    }
+                }
+            }
+        });
+
+        return Array.from(faces.values());
+    }
+
+    /**
+     * Cells: supporting hyperplanes through a face and one more neighbor
+     * of its first vertex. Returns face index lists.
+     */
+    findCells(points, adjacency, faces) {
+        const cells = new Map();
+        const cellsPerFace = faces.map(() => 0);
+
+        faces.forEach((face, faceIndex) => {
+            const origin = points[face[0]];
+            const plane = [this.subtract(points[face[1]], origin), this.subtract(points[face[2]], origin)];
+
+            adjacency[face[0]].forEach(neighbor => {
+                // Every face lies on exactly two cells
+                if (cellsPerFace[faceIndex] >= 2 || face.includes(neighbor)) return;
+
+                const normal = this.normal4D(...plane, this.subtract(points[neighbor], origin));
+                const sides = points.map(point => this.dot(normal, this.subtract(point, origin)));
+                const supporting = sides.every(side => side > -1e-6) || sides.every(side => side < 1e-6);
+                if (!supporting) return;
+
+                const inCell = new Set();
+                sides.forEach((side, index) => {
+                    if (Math.abs(side) < 1e-6) inCell.add(index);
+                });
+
+                const key = Array.from(inCell).sort((x, y) => x - y).join(',');
+                if (!cells.has(key)) {
+                    const cellFaces = [];
+                    faces.forEach((candidate, index) => {
+                        if (candidate.every(vertex => inCell.has(vertex))) {
+                            cellFaces.push(index);
+                            cellsPerFace[index]++;
+                        }
+                    });
+                    cells.set(key, cellFaces);
+                }
+            });
+        });
+
+        return Array.from(cells.values());
+    }
+
+    /**
+     * Cut every vertex off at `t` of each edge. Each regular face becomes a
+     * truncated face, and every vertex leaves a vertex-figure cell whose faces
+     * are the cuts through the cells around it.
+     */
+    truncate(regular, t) {
+        const points = [];
+        const cutIndex = new Map();
+
+        // New vertex on edge (v, u) near v (the edge midpoint when rectifying)
+        const cut = (v, u) => {
+            const key = t < 0.5 ? `${v}>${u}` : (v < u ? `${v},${u}` : `${u},${v}`);
+            if (!cutIndex.has(key)) {
+                cutIndex.set(key, points.length);
+                points.push(regular.points[v].map((value, axis) => value + (regular.points[u][axis] - value) * t));
+            }
+            return cutIndex.get(key);
+        };
+
+        // Truncated faces: each corner becomes a short edge (collapses when rectifying)
+        const faces = regular.faces.map(face => {
+            const loop = [];
+            face.forEach((v, i) => {
+                loop.push(cut(v, face[(i + face.length - 1) % face.length]), cut(v, face[(i + 1) % face.length]));
+            });
+            return loop.filter((index, i) => index !== loop[(i + 1) % loop.length]);
+        });
+
+        // Vertex-figure faces: the cut through each cell around each vertex
+        const vertexCells = regular.points.map(() => []);
+        const cells = regular.cells.map(cellFaces => {
+            const cellVertices = new Set(cellFaces.flatMap(index => regular.faces[index]));
+            const truncatedCell = [...cellFaces];
+
+            cellVertices.forEach(v => {
+                const cutPoints = Array.from(regular.edges[v])
+                    .filter(u => cellVertices.has(u))
+                    .map(u => cut(v, u));
+                const origin = points[cutPoints[0]];
+                const basis = this.orthonormalize(cutPoints.slice(1).map(index => this.subtract(points[index], origin)));
+
+                vertexCells[v].push(faces.length);
+                truncatedCell.push(faces.length);
+                faces.push(this.orderLoop(points, cutPoints, basis));
+            });
+
+            return truncatedCell;
+        });
+
+        return { points, faces, cells: [...cells, ...vertexCells] };
+    }
+
+    /**
+     * Sort coplanar points by angle around their centroid
+     */
+    orderLoop(points, indices, basis) {
+        const centroid = [0, 0, 0, 0];
+        indices.forEach(index => points[index].forEach((value, axis) => {
+            centroid[axis] += value / indices.length;
+        }));
+
+        const angle = index => {
+            const offset = this.subtract(points[index], centroid);
+            return Math.atan2(this.dot(offset, basis[1]), this.dot(offset, basis[0]));
+        };
+
+        return [...indices].sort((x, y) => angle(x) - angle(y));
+    }
+
+    /**
+     * Counts of vertices, edges, faces and cells
+     */
+    getCounts() {
+        return {
+            vertices: this.vertices.length / 4,
+            edges: this.indices.length / 2,
+            faces: this.faces.length,
+            cells: this.cells.length
+        };
+    }
+
+    getFaces() {
+        return this.faces;
+    }
+
+    getCells() {
+        return this.cells;
+    }
+
+    update(params) {
+        let needsRegeneration = false;
+        ['polytope', 'size', 'truncation'].forEach(name => {
+            if (params[name] !== undefined && params[name] !== this.parameters[name]) {
+                this.parameters[name] = params[name];
+                needsRegeneration = true;
+            }
+        });
+
+        if (needsRegeneration) {
+            this.generate();
+        }
+    }
+
+    // 4D vector helpers
+
+    subtract(a, b) {
+        return a.map((value, axis) => value - b[axis]);
+    }
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    }
+
+    distance(a, b) {
+        return Math.sqrt(this.dot(this.subtract(a, b), this.subtract(a, b)));
+    }
+
+    /**
+     * Gram-Schmidt; drops vectors dependent on the previous ones
+     */
+    orthonormalize(vectors) {
+        const basis = [];
+        vectors.forEach(vector => {
+            let v = vector;
+            basis.forEach(b => {
+                const projection = this.dot(v, b);
+                v = v.map((value, axis) => value - projection * b[axis]);
+            });
+            const length = Math.sqrt(this.dot(v, v));
+            if (length > 1e-9) basis.push(v.map(value => value / length));
+        });
+        return basis;
+    }
+
+    /**
+     * Length of the part of v outside the span of an orthonormal basis
+     */
+    residual(v, basis) {
+        let rest = v;
+        basis.forEach(b => {
+            const projection = this.dot(rest, b);
+            rest = rest.map((value, axis) => value - projection * b[axis]);
+        });
+        return Math.sqrt(this.dot(rest, rest));
+    }
+
+    /**
+     * Unit vector orthogonal to three 4D vectors (generalized cross product)
+     */
+    normal4D(a, b, c) {
+        const det3 = (m) =>
+            m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+        const minor = (skip) => det3([a, b, c].map(row => row.filter((_, axis) => axis !== skip)));
+
+        const normal = [minor(0), -minor(1), minor(2), -minor(3)];
+        const length = Math.sqrt(this.dot(normal, normal)) || 1;
+        return normal.map(value => value / length);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegularPolytopeGeometry;
+} else {
+    window.RegularPolytopeGeometry = RegularPolytopeGeometry;
+}
@@ -0,0 +1,288 @@
+/**
+ * SessionStore.js - Session Persistence
+ *
+ * Keeps the session in localStorage so a reload can pick up where the user
+ * left off: the HomeMaster preset (state, region states, global parameters,
+ * card positions, per-card overrides and cameras) plus the user's changes to
+ * the configured keyboard bindings. The same JSON is the session file that
+ * exportSession/importSession write and read.
+ *
+ * Sessions carry a schema version; data from older versions is upgraded by
+ * SessionStore.MIGRATIONS when loaded or imported.
+ *
+ * Saves are debounced after state, parameter and binding changes, and held
+ * back while a restore is offered so the offered session is not overwritten.
+ *
+ * Configured by state-map.json globalSettings.session:
+ * { enabled, storageKey, autosave }
+ *
+ * Part of Phase 3: State Management & Navigation
+ */
+
+class SessionStore {
+    constructor(homeMaster, interactionCoordinator = null, options = {}) {
+        this.homeMaster = homeMaster;
+        this.interactionCoordinator = interactionCoordinator;
+
+        this.options = {
+            storageKey: 'vib34d-session',
+            autosave: 1000,     // Milliseconds after the last change before saving (0: only on page hide)
+            ...options
+        };
+
+        this.storage = this.getStorage();
+        this.isStarted = false;
+        this.isHeld = false;    // A restore is on offer; the saved session stays until it is decided
+        this.saveTimer = null;
+        this.unsubscribers = [];
+
+        this.metrics = {
+            saves: 0,
+            restores: 0,
+            imports: 0,
+            migrations: 0
+        };
+
+        this.handlePageHide = this.handlePageHide.bind(this);
+    }
+
+    /**
+     * localStorage, or null where it is missing or blocked (sessions then live only in files)
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save after every change from now on. With `holdSaved`, the saved session
+     * is left alone until restore() or declineRestore() decides about it.
+     */
+    start({ holdSaved = false } = {}) {
+        if (this.isStarted) return this;
+
+        this.isHeld = holdSaved;
+
+        const scheduleSave = () => this.scheduleSave();
+        this.unsubscribers = [
+            this.homeMaster.addEventListener('stateChanged', scheduleSave),
+            this.homeMaster.addEventListener('parameterUpdated', scheduleSave)
+        ];
+        if (this.interactionCoordinator) {
+            this.unsubscribers.push(this.interactionCoordinator.addEventListener('keyboardBindingsChanged', scheduleSave));
+        }
+
+        // Card overrides and cameras change without events; catch them on the way out
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.isStarted = true;
+        console.log(`💾 SessionStore started (${this.storage ? 'localStorage' : 'no storage'})`);
+        return this;
+    }
+
+    /**
+     * The current session in the current schema
+     */
+    createSession() {
+        return {
+            schemaVersion: SessionStore.SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            preset: this.homeMaster.exportPreset(),
+            keyboardBindings: this.interactionCoordinator ?
+                this.interactionCoordinator.getKeyboardBindingChanges() : {}
+        };
+    }
+
+    /**
+     * Upgrade session data to the current schema. Data without a
+     * schemaVersion is schema 1 (a bare HomeMaster preset).
+     * Throws for data that is not a session or is from a newer schema.
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Session data must be an object');
+        }
+
+        let session = data;
+        let version = typeof data.schemaVersion === 'number' ? data.schemaVersion : 1;
+        if (version > SessionStore.SCHEMA_VERSION) {
+            throw new Error(`Session schema ${version} is newer than supported (${SessionStore.SCHEMA_VERSION})`);
+        }
+
+        while (version < SessionStore.SCHEMA_VERSION) {
+            const migration = SessionStore.MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from session schema ${version}`);
+            }
+            session = migration(session);
+            console.log(`💾 Migrated session schema ${version} → ${session.schemaVersion}`);
+            version = session.schemaVersion;
+            this.metrics.migrations++;
+        }
+
+        if (!session.preset || typeof session.preset.state !== 'string') {
+            throw new Error('Session has no preset');
+        }
+        return session;
+    }
+
+    /**
+     * The saved session (migrated), or null when there is none or it cannot be read
+     */
+    load() {
+        const json = this.storage?.getItem(this.options.storageKey);
+        if (!json) return null;
+
+        try {
+            return this.migrate(JSON.parse(json));
+        } catch (error) {
+            console.warn(`⚠️ Ignoring saved session: ${error.message}`);
+            return null;
+        }
+    }
+
+    hasSavedSession() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Write the current session to storage; false when held, unavailable or full
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.isHeld || !this.storage) return false;
+
+        try {
+            this.storage.setItem(this.options.storageKey, JSON.stringify(this.createSession()));
+            this.metrics.saves++;
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Session could not be saved: ${error.message}`);
+            return false;
+        }
+    }
+
+    scheduleSave() {
+        if (this.isHeld || !this.options.autosave) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.options.autosave);
+    }
+
+    handlePageHide() {
+        this.save();
+    }
+
+    /**
+     * Apply the saved session (or the given one) and resume saving
+     */
+    restore(session = this.load()) {
+        if (!session) return false;
+
+        this.isHeld = false;
+        this.applySession(session);
+        this.metrics.restores++;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Keep the current session instead of the offered one (it replaces the saved one)
+     */
+    declineRestore() {
+        this.isHeld = false;
+        this.save();
+    }
+
+    /**
+     * Apply a session in the current schema to HomeMaster and the keyboard bindings
+     */
+    applySession(session) {
+        this.homeMaster.applyPreset(session.preset);
+        if (this.interactionCoordinator) {
+            this.interactionCoordinator.applyKeyboardBindingChanges(session.keyboardBindings || {});
+        }
+
+        console.log(`💾 Session applied: ${session.preset.state} (saved ${session.savedAt || 'unknown'})`);
+    }
+
+    /**
+     * The current session as session-file JSON
+     */
+    exportSession() {
+        return JSON.stringify(this.createSession(), null, 2);
+    }
+
+    /**
+     * Apply a session file: a File/Blob, its JSON text or the parsed object.
+     * Resolves with the applied (migrated) session; rejects for invalid data.
+     */
+    async importSession(source) {
+        let data = source;
+        if (source && typeof source.text === 'function') {
+            data = await source.text();
+        }
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+
+        const session = this.migrate(data);
+        this.isHeld = false;
+        this.applySession(session);
+        this.metrics.imports++;
+        this.save();
+        return session;
+    }
+
+    /**
+     * Remove the saved session
+     */
+    clear() {
+        this.storage?.removeItem(this.options.storageKey);
+    }
+
+    getMetrics() {
+        return {
+            ...this.metrics,
+            storageAvailable: !!this.storage,
+            isHeld: this.isHeld
+        };
+    }
+
+    /**
+     * Stop saving (without a final save)
+     */
+    stop() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.isStarted = false;
+    }
+}
+
+// Current session schema (see createSession)
+SessionStore.SCHEMA_VERSION = 2;
+
+// Upgrades from each older schema to the next
+SessionStore.MIGRATIONS = {
+    // 1: a bare HomeMaster.exportPreset() object, saved before sessions had bindings
+    1: preset => ({
+        schemaVersion: 2,
+        savedAt: null,
+        preset: preset,
+        keyboardBindings: {}
+    })
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+} else {
+    window.SessionStore = SessionStore;
+}
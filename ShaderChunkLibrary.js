@@ -0,0 +1,421 @@
+/**
+ * ShaderChunkLibrary.js - Shared GLSL Chunks for 4D Math
+ *
+ * Single home for the GLSL helpers every VIB34D shader needs: six-plane
+ * 4D rotations, 4D→3D projections, hue/HSL color math, grid and lattice
+ * distance fields, Phong lighting, RGB split, and the standard vertex and
+ * fragment stages of the geometry shaders. Shaders pull chunks in with
+ * `#include <name>`, both inline (assemble()) and from .glsl files
+ * loaded by GeometryRegistry.
+ *
+ * The chunks are defined here rather than fetched, so the built-in shaders
+ * work without the .glsl files; the shader file watcher does not see them.
+ * A chunk replaced at runtime with register() reaches the geometries on the
+ * next full GeometryRegistry.reloadShaderFiles() (agentAPI.reloadShaders()).
+ *
+ * Part of Phase 2: Visualizer Rendering & Geometry
+ */
+
+class ShaderChunkLibrary {
+    constructor() {
+        this.version = '1.0.0';
+        
+        // GLSL source by chunk name
+        this.chunks = new Map();
+        
+        this.registerBuiltInChunks();
+    }
+    
+    /**
+     * Library shared by every shader in the page
+     */
+    static getShared() {
+        if (!ShaderChunkLibrary.shared) {
+            ShaderChunkLibrary.shared = new ShaderChunkLibrary();
+        }
+        return ShaderChunkLibrary.shared;
+    }
+    
+    /**
+     * Add or replace a chunk
+     */
+    register(name, source) {
+        this.chunks.set(name, source.trim());
+    }
+    
+    /**
+     * Check whether a chunk exists
+     */
+    has(name) {
+        return this.chunks.has(name);
+    }
+    
+    /**
+     * Get a chunk's source
+     */
+    get(name) {
+        if (!this.chunks.has(name)) {
+            throw new Error(`Unknown shader chunk <${name}> (available: ${this.getNames().join(', ')})`);
+        }
+        return this.chunks.get(name);
+    }
+    
+    /**
+     * Get all chunk names
+     */
+    getNames() {
+        return Array.from(this.chunks.keys());
+    }
+    
+    /**
+     * Replace `#include <name>` lines with chunk sources.
+     * Each chunk is included once per shader; chunks may include other chunks.
+     */
+    assemble(source, included = new Set()) {
+        return source.split('\n').map((line) => {
+            const match = line.match(/^\s*#include\s+<([\w-]+)>\s*$/);
+            if (!match) return line;
+            
+            const name = match[1];
+            if (included.has(name)) return '';
+            included.add(name);
+            
+            return this.assemble(this.get(name), included);
+        }).join('\n');
+    }
+    
+    /**
+     * Register the built-in 4D math chunks
+     */
+    registerBuiltInChunks() {
+        // Rotation in each of the six planes of 4D space
+        this.register('rotation4d', `
+            mat4 rotateXY(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(
+                    c, -s, 0.0, 0.0,
+                    s, c, 0.0, 0.0,
+                    0.0, 0.0, 1.0, 0.0,
+                    0.0, 0.0, 0.0, 1.0
+                );
+            }
+            
+            mat4 rotateXZ(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(
+                    c, 0.0, -s, 0.0,
+                    0.0, 1.0, 0.0, 0.0,
+                    s, 0.0, c, 0.0,
+                    0.0, 0.0, 0.0, 1.0
+                );
+            }
+            
+            mat4 rotateYZ(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(
+                    1.0, 0.0, 0.0, 0.0,
+                    0.0, c, -s, 0.0,
+                    0.0, s, c, 0.0,
+                    0.0, 0.0, 0.0, 1.0
+                );
+            }
+            
+            mat4 rotateXW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(
+                    c, 0.0, 0.0, -s,
+                    0.0, 1.0, 0.0, 0.0,
+                    0.0, 0.0, 1.0, 0.0,
+                    s, 0.0, 0.0, c
+                );
+            }
+            
+            mat4 rotateYW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(
+                    1.0, 0.0, 0.0, 0.0,
+                    0.0, c, 0.0, -s,
+                    0.0, 0.0, 1.0, 0.0,
+                    0.0, s, 0.0, c
+                );
+            }
+            
+            mat4 rotateZW(float theta) {
+                float c = cos(theta);
+                float s = sin(theta);
+                return mat4(
+                    1.0, 0.0, 0.0, 0.0,
+                    0.0, 1.0, 0.0, 0.0,
+                    0.0, 0.0, c, -s,
+                    0.0, 0.0, s, c
+                );
+            }
+        `);
+        
+        // 4D → 3D projections
+        this.register('projection4d', `
+            // Perspective: divide by the distance to a viewer on the W axis
+            // (wScale sets how strongly W pulls points toward the viewer)
+            vec3 projectPerspective4D(vec4 p, float viewDistance, float wScale) {
+                return p.xyz / (viewDistance + p.w * wScale);
+            }
+            
+            // Stereographic: project from the pole (0, 0, 0, poleSign * radius) of a 3-sphere
+            vec3 projectStereographic4D(vec4 p, float radius, float poleSign) {
+                return p.xyz * radius / max(radius - poleSign * p.w, 0.001);
+            }
+            
+            // Orthographic: drop W
+            vec3 projectOrthographic4D(vec4 p) {
+                return p.xyz;
+            }
+            
+            // Weighted mix of the three (weights: perspective, stereographic, orthographic);
+            // ProjectionManager builds the matching camera matrix
+            vec3 projectBlended4D(vec4 p, vec3 weights, float viewDistance, float wScale, float radius, float poleSign) {
+                vec3 blended = weights.x * projectPerspective4D(p, viewDistance, wScale) +
+                    weights.y * projectStereographic4D(p, radius, poleSign) +
+                    weights.z * projectOrthographic4D(p);
+                return blended / max(weights.x + weights.y + weights.z, 0.0001);
+            }
+        `);
+        
+        // Hue rotation and HSL conversion
+        this.register('color', `
+            // Rotate hue around the grey axis (angle in radians)
+            vec3 hueRotate(vec3 color, float angle) {
+                float c = cos(angle);
+                float s = sin(angle);
+                float k = (1.0 - c) / 3.0;
+                float t = s * 0.577;
+                mat3 hueMatrix = mat3(
+                    c + k, k - t, k + t,
+                    k + t, c + k, k - t,
+                    k - t, k + t, c + k
+                );
+                return hueMatrix * color;
+            }
+            
+            vec3 rgb2hsl(vec3 color) {
+                float maxC = max(max(color.r, color.g), color.b);
+                float minC = min(min(color.r, color.g), color.b);
+                float l = (maxC + minC) * 0.5;
+                float d = maxC - minC;
+                
+                if (d < 0.00001) return vec3(0.0, 0.0, l);
+                
+                float s = l > 0.5 ? d / (2.0 - maxC - minC) : d / (maxC + minC);
+                float h;
+                if (maxC == color.r) {
+                    h = (color.g - color.b) / d + (color.g < color.b ? 6.0 : 0.0);
+                } else if (maxC == color.g) {
+                    h = (color.b - color.r) / d + 2.0;
+                } else {
+                    h = (color.r - color.g) / d + 4.0;
+                }
+                return vec3(h / 6.0, s, l);
+            }
+            
+            vec3 hsl2rgb(vec3 hsl) {
+                vec3 rgb = clamp(abs(mod(hsl.x * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+                return hsl.z + hsl.y * (rgb - 0.5) * (1.0 - abs(2.0 * hsl.z - 1.0));
+            }
+            
+            // Hue shift in HSL space (shift in turns, 1.0 = full circle)
+            vec3 hueShiftHSL(vec3 color, float shift) {
+                vec3 hsl = rgb2hsl(color);
+                hsl.x = fract(hsl.x + shift);
+                return hsl2rgb(hsl);
+            }
+        `);
+        
+        // Grid and lattice distance fields
+        this.register('lattice', `
+            // Antialiased 2D grid mask: 0 on the lines, 1 inside the cells
+            float gridPattern(vec2 p, float density, float thickness) {
+                vec2 grid = fract(p * density);
+                return smoothstep(0.0, thickness, grid.x) * smoothstep(0.0, thickness, grid.y);
+            }
+            
+            // Distance to the nearest cell wall of a unit cubic lattice
+            float latticePlaneDistance(vec3 p) {
+                vec3 grid = abs(fract(p) - 0.5);
+                return min(min(grid.x, grid.y), grid.z);
+            }
+            
+            // Signed distance to the edges of a unit cubic lattice
+            float latticeEdgeDistance(vec3 p, float thickness) {
+                vec3 cell = fract(p) - 0.5;
+                return min(min(length(cell.yz), length(cell.xz)), length(cell.xy)) - thickness;
+            }
+            
+            // Signed distance to the vertices of a unit cubic lattice
+            float latticeVertexDistance(vec3 p, float radius) {
+                return length(fract(p) - 0.5) - radius;
+            }
+        `);
+        
+        // Phong lighting in view space
+        this.register('phong', `
+            // Two-sided: projected 4D surfaces show both faces, so the normal
+            // is flipped toward the viewer. Ambient 0.2, diffuse 0.8.
+            vec3 phongLighting(vec3 baseColor, vec3 normal, vec3 viewPosition,
+                               vec3 lightDirection, float specularStrength, float shininess) {
+                vec3 viewDir = normalize(-viewPosition);
+                vec3 n = length(normal) > 0.0001 ? normalize(normal) : viewDir;
+                if (dot(n, viewDir) < 0.0) n = -n;
+                
+                vec3 lightDir = normalize(lightDirection);
+                float diffuse = max(dot(n, lightDir), 0.0);
+                float specular = pow(max(dot(viewDir, reflect(-lightDir, n)), 0.0), max(shininess, 1.0));
+                
+                return baseColor * (0.2 + 0.8 * diffuse) + vec3(specularStrength * specular);
+            }
+        `);
+        
+        // RGB split
+        this.register('glitch', `
+            // For procedural scenes that cannot be resampled per channel:
+            // green and blue are attenuated instead of offset
+            vec3 rgbSplit(vec3 color) {
+                return vec3(color.r, color.g * 0.9, color.b * 0.8);
+            }
+        `);
+        
+        // Standard geometry vertex stage: rotate in 4D, project to 3D, morph by u_dimension
+        // (the geometry .glsl files and GeometryRegistry's built-in shaders both use it)
+        this.register('standard-vertex', `
+            attribute vec4 a_position;
+            attribute float a_w; // 4th dimension coordinate
+            attribute vec2 a_uv; // Surface coordinates (zero when absent)
+            attribute vec4 a_morphTarget; // Second shape, xyzw (zero when absent)
+            attribute vec4 a_tangentU; // 4D surface tangents (zero when absent)
+            attribute vec4 a_tangentV;
+            
+            uniform mat4 u_modelViewMatrix;
+            uniform mat4 u_projectionMatrix;
+            uniform float u_time;
+            uniform float u_dimension; // 3.0 to 5.0
+            uniform mat4 u_rotation4D; // Six-plane 4D rotation (XY, XZ, YZ, XW, YW, ZW)
+            uniform vec3 u_projectionWeights; // Perspective, stereographic, orthographic
+            uniform float u_projectionDistance;
+            uniform float u_projectionWScale;
+            uniform float u_stereoRadius;
+            uniform float u_stereoPoleSign;
+            uniform float u_morphTargetBlend; // 0 = own shape, 1 = morph target
+            uniform float u_surfaceLighting; // 1 = lit surface pass
+            
+            varying vec3 v_position;
+            varying float v_depth;
+            varying float v_w;
+            varying vec2 v_uv;
+            varying vec3 v_normal; // View space
+            varying vec3 v_viewPosition;
+            
+            #include <projection4d>
+            
+            // Rotate in 4D, project to 3D and apply dimension morphing
+            vec3 projectToScene(vec4 p) {
+                vec3 projected = projectBlended4D(u_rotation4D * p, u_projectionWeights, u_projectionDistance,
+                    u_projectionWScale, u_stereoRadius, u_stereoPoleSign);
+                return mix(p.xyz, projected, (u_dimension - 3.0) / 2.0);
+            }
+            
+            void main() {
+                // Create 4D position, blended toward the geometry's morph target
+                vec4 pos4d = mix(vec4(a_position.xyz, a_w), a_morphTarget, u_morphTargetBlend);
+                float w = (u_rotation4D * pos4d).w;
+                vec3 pos3d = projectToScene(pos4d);
+                
+                // Surface normal after rotation and projection: project a short step
+                // along each 4D tangent and cross the resulting 3D directions
+                vec3 normal = vec3(0.0);
+                if (u_surfaceLighting > 0.5) {
+                    vec3 stepU = projectToScene(pos4d + a_tangentU * 0.01) - pos3d;
+                    vec3 stepV = projectToScene(pos4d + a_tangentV * 0.01) - pos3d;
+                    normal = cross(stepU, stepV);
+                }
+                
+                vec4 viewPosition = u_modelViewMatrix * vec4(pos3d, 1.0);
+                
+                v_position = pos3d;
+                v_depth = pos3d.z;
+                v_w = w;
+                v_uv = a_uv;
+                v_normal = (u_modelViewMatrix * vec4(normal, 0.0)).xyz;
+                v_viewPosition = viewPosition.xyz;
+                
+                gl_Position = u_projectionMatrix * viewPosition;
+                gl_PointSize = 2.0; // Point-cloud geometries (fractal)
+            }
+        `);
+        
+        // Standard geometry fragment stage: grid pattern colored by 4D depth, Phong-lit on surfaces
+        this.register('standard-fragment', `
+            uniform float u_time;
+            uniform float u_gridDensity;
+            uniform float u_lineThickness;
+            uniform float u_patternIntensity;
+            uniform float u_colorShift;
+            uniform vec3 u_primaryColor;
+            uniform vec3 u_secondaryColor;
+            uniform float u_surfaceLighting; // 1 = lit surface pass
+            uniform float u_wireframePass; // 1 = edges drawn over a lit surface
+            uniform float u_wireframeOpacity;
+            uniform vec3 u_lightDirection; // View space
+            uniform float u_specularStrength;
+            uniform float u_materialShininess;
+            
+            varying vec3 v_position;
+            varying float v_depth;
+            varying float v_w;
+            varying vec2 v_uv;
+            varying vec3 v_normal;
+            varying vec3 v_viewPosition;
+            
+            #include <lattice>
+            #include <phong>
+            
+            void main() {
+                // Create grid pattern (follows the surface when UVs are present)
+                float gridLines = gridPattern(v_position.xy + v_uv, u_gridDensity, u_lineThickness);
+                
+                // Color based on 4D position and time
+                float hue = v_w * 0.5 + u_time * 0.0001 + u_colorShift;
+                vec3 color = mix(u_primaryColor, u_secondaryColor, sin(hue) * 0.5 + 0.5);
+                
+                // Depth-based intensity
+                float intensity = (1.0 - abs(v_depth) * 0.5) * u_patternIntensity;
+                
+                // Combine grid and color
+                vec3 finalColor = color * intensity * (0.3 + gridLines * 0.7);
+                
+                // 4D depth effects
+                float alpha = 0.7 + v_w * 0.3;
+                
+                if (u_surfaceLighting > 0.5) {
+                    // The grid stays visible as a pattern on the shaded surface
+                    finalColor = phongLighting(color * intensity * (0.6 + gridLines * 0.4), v_normal, v_viewPosition,
+                        u_lightDirection, u_specularStrength, u_materialShininess);
+                } else if (u_wireframePass > 0.5) {
+                    finalColor = mix(color, vec3(1.0), 0.5) * intensity;
+                    alpha = u_wireframeOpacity;
+                }
+                
+                gl_FragColor = vec4(finalColor, alpha);
+            }
+        `);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShaderChunkLibrary;
+} else {
+    window.ShaderChunkLibrary = ShaderChunkLibrary;
+}
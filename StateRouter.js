@@ -0,0 +1,353 @@
+/**
+ * StateRouter.js - HomeMaster State in the URL
+ *
+ * Mirrors the current state, non-initial region states, the focused card and
+ * every global parameter that differs from what the state sets by itself into
+ * the URL, e.g. (hash mode):
+ *
+ *   #/tech/shaders?focus=detail&card=card-01&u_dimension=4.2&u_lightDirection=0,1,0
+ *
+ * - opening such a URL boots straight into it (setStateImmediate)
+ * - state changes push history entries; parameter and focus changes replace them
+ * - back/forward transition to the entry's state like navigatePrevious does,
+ *   animating its parameters along (transition edges are not checked)
+ *
+ * Configured by state-map.json globalSettings.routing:
+ * { enabled, mode: 'hash'|'history', basePath, parameters, debounce }
+ *
+ * Part of Phase 3: State Management & Navigation
+ */
+
+class StateRouter {
+    constructor(homeMaster, options = {}) {
+        this.homeMaster = homeMaster;
+
+        this.options = {
+            mode: 'hash',       // 'hash' (#/state?query) or 'history' (basePath + state?query)
+            basePath: '/',      // History mode: path the app is served from
+            parameters: true,   // Whether non-default parameter values go into the URL
+            debounce: 250,      // Milliseconds between parameter-driven URL updates
+            precision: 4,       // Decimals kept for parameter values
+            ...options
+        };
+        if (!this.options.basePath.endsWith('/')) this.options.basePath += '/';
+
+        this.isStarted = false;
+        this.applying = 0;        // Routes being applied; their HomeMaster events are not written back
+        this.writeTimer = null;
+        this.lastLocation = null; // URL last written or applied
+        this.unsubscribers = [];
+
+        this.metrics = {
+            pushes: 0,
+            replaces: 0,
+            restores: 0
+        };
+
+        this.handleLocationChange = this.handleLocationChange.bind(this);
+    }
+
+    /**
+     * Apply the URL the page was opened with, then keep URL and HomeMaster in sync
+     */
+    start() {
+        if (this.isStarted) return this;
+
+        const route = this.parseLocation();
+        if (route) {
+            this.applyRoute(route, true);
+        }
+
+        window.addEventListener('popstate', this.handleLocationChange);
+        if (this.options.mode === 'hash') {
+            window.addEventListener('hashchange', this.handleLocationChange);
+        }
+
+        this.unsubscribers = [
+            this.homeMaster.addEventListener('stateChanged', () => this.scheduleWrite(true)),
+            this.homeMaster.addEventListener('parameterUpdated', () => this.scheduleWrite(false)),
+            this.homeMaster.addEventListener('cardFocusChanged', () => this.scheduleWrite(false))
+        ];
+
+        this.isStarted = true;
+        this.writeLocation(false);
+
+        console.log(`🧭 StateRouter started (${this.options.mode} mode)`);
+        return this;
+    }
+
+    /**
+     * The current HomeMaster view as a route: { state, regions, card, parameters }
+     */
+    getRoute() {
+        const homeMaster = this.homeMaster;
+        const regions = {};
+        Object.entries(homeMaster.regionStates).forEach(([regionId, regionStateId]) => {
+            if (regionStateId !== homeMaster.regions[regionId]?.initialState) regions[regionId] = regionStateId;
+        });
+
+        const parameters = {};
+        const defaults = this.options.parameters ?
+            homeMaster.getStateDefaultParameters(homeMaster.currentState, homeMaster.regionStates) : null;
+        Object.entries(defaults || {}).forEach(([paramName, defaultValue]) => {
+            const value = homeMaster.globalParameters[paramName];
+            if (this.isRoutable(value) && !this.isSameValue(value, defaultValue)) {
+                parameters[paramName] = this.roundValue(value);
+            }
+        });
+
+        return {
+            state: homeMaster.currentState,
+            regions: regions,
+            card: homeMaster.focusedCard,
+            parameters: parameters
+        };
+    }
+
+    /**
+     * The URL of the current view (for sharing)
+     */
+    getUrl() {
+        return new URL(this.buildUrl(this.getRoute()), window.location.href).href;
+    }
+
+    /**
+     * Route → 'tech/shaders?focus=detail&card=card-01&u_dimension=4.2'
+     */
+    serializeRoute(route) {
+        const query = new URLSearchParams();
+        Object.entries(route.regions || {}).forEach(([regionId, regionStateId]) => query.set(regionId, regionStateId));
+        if (route.card) query.set('card', route.card);
+        Object.entries(route.parameters || {}).forEach(([paramName, value]) => {
+            query.set(paramName, Array.isArray(value) ? value.join(',') : String(value));
+        });
+
+        const path = route.state.split('/').map(encodeURIComponent).join('/');
+        const search = query.toString().replace(/%2C/g, ','); // Vectors stay readable
+        return search ? `${path}?${search}` : path;
+    }
+
+    /**
+     * Inverse of serializeRoute. Query keys are region ids, 'card' or
+     * parameter names; unknown keys and unparsable values are ignored.
+     */
+    parseRoute(routeString) {
+        const [path, search = ''] = routeString.replace(/^\/+/, '').split('?');
+        const state = path.split('/').filter(Boolean).map(decodeURIComponent).join('/');
+        if (!state) return null;
+
+        const route = { state: state, regions: {}, card: null, parameters: {} };
+        const homeMaster = this.homeMaster;
+
+        new URLSearchParams(search).forEach((value, key) => {
+            if (key === 'card') {
+                route.card = value || null;
+            } else if (homeMaster.regions[key]) {
+                route.regions[key] = value;
+            } else if (this.isRoutable(homeMaster.globalParameters[key])) {
+                const current = homeMaster.globalParameters[key];
+                const parsed = value.split(',').map(Number);
+                if (parsed.some(Number.isNaN)) return;
+                if (Array.isArray(current) && parsed.length === current.length) {
+                    route.parameters[key] = parsed;
+                } else if (!Array.isArray(current) && parsed.length === 1) {
+                    route.parameters[key] = parsed[0];
+                }
+            }
+        });
+
+        return route;
+    }
+
+    /**
+     * Route of the current location, or null when it names no state
+     */
+    parseLocation() {
+        const location = window.location;
+        if (this.options.mode === 'hash') {
+            return this.parseRoute(location.hash.replace(/^#/, ''));
+        }
+
+        const { basePath } = this.options;
+        if (!location.pathname.startsWith(basePath)) return null;
+        return this.parseRoute(location.pathname.slice(basePath.length) + location.search);
+    }
+
+    /**
+     * Same-document URL for a route, keeping what the other mode owns
+     */
+    buildUrl(route) {
+        const location = window.location;
+        const routeString = this.serializeRoute(route);
+
+        if (this.options.mode === 'hash') {
+            return `${location.pathname}${location.search}#/${routeString}`;
+        }
+        return `${this.options.basePath}${routeString}${location.hash}`;
+    }
+
+    /**
+     * Bring HomeMaster to a route: immediately (boot) or with a transition
+     * (back/forward). Parameters missing from the route return to the
+     * state's own values. Resolves false when the route cannot be applied.
+     */
+    async applyRoute(route, immediate = false) {
+        const homeMaster = this.homeMaster;
+        if (!homeMaster.stateDefinitions[route.state]) {
+            console.warn(`⚠️ URL names unknown state '${route.state}'`);
+            return false;
+        }
+
+        const regionStates = {};
+        Object.entries(homeMaster.regions).forEach(([regionId, region]) => {
+            const regionStateId = route.regions[regionId];
+            regionStates[regionId] = region.states[regionStateId] ? regionStateId : region.initialState;
+        });
+
+        const defaults = homeMaster.getStateDefaultParameters(route.state, regionStates);
+        const parameters = {};
+        if (this.options.parameters) {
+            Object.entries(defaults).forEach(([paramName, value]) => {
+                if (this.isRoutable(value)) parameters[paramName] = route.parameters[paramName] ?? value;
+            });
+        }
+
+        this.applying++;
+        try {
+            if (immediate) {
+                if (route.state !== homeMaster.currentState || !homeMaster.isSameRegionStates(regionStates, homeMaster.regionStates)) {
+                    homeMaster.setStateImmediate(route.state, regionStates);
+                }
+            } else {
+                const result = await homeMaster.requestTransition(route.state, regionStates, {
+                    bypassGraph: true,
+                    parameters: parameters
+                });
+                if (result !== 'completed') return false;
+            }
+
+            Object.entries(parameters).forEach(([paramName, value]) => {
+                if (!this.isSameValue(homeMaster.globalParameters[paramName], value)) {
+                    homeMaster.updateParameter(paramName, value);
+                }
+            });
+            homeMaster.setFocusedCard(route.card);
+
+        } finally {
+            this.applying--;
+        }
+
+        console.log(`🧭 Applied route: ${this.serializeRoute(route)}`);
+        return true;
+    }
+
+    /**
+     * Back/forward (or an edited hash): transition to the entry's route
+     */
+    handleLocationChange() {
+        const url = this.getLocationUrl();
+        if (url === this.lastLocation) return;
+        this.lastLocation = url;
+
+        const route = this.parseLocation();
+        if (!route) return;
+
+        this.metrics.restores++;
+        clearTimeout(this.writeTimer);
+        // Then normalize the entry (rounding, dropped keys) without adding one;
+        // an interrupted transition leaves that to the navigation that interrupted it
+        this.applyRoute(route).then(() => this.writeLocation(false));
+    }
+
+    /**
+     * Write the URL after a HomeMaster change: state changes right away as a
+     * new entry, parameter and focus changes debounced into the current one
+     */
+    scheduleWrite(push) {
+        if (this.applying > 0) return;
+
+        clearTimeout(this.writeTimer);
+        if (push) {
+            this.writeLocation(true);
+        } else {
+            this.writeTimer = setTimeout(() => this.writeLocation(false), this.options.debounce);
+        }
+    }
+
+    /**
+     * pushState/replaceState the current view unless the URL already shows it
+     */
+    writeLocation(push) {
+        this.writeTimer = null;
+        if (!this.isStarted || this.applying > 0 || this.homeMaster.isTransitioning) return;
+
+        const url = this.buildUrl(this.getRoute());
+        if (url === this.getLocationUrl()) {
+            this.lastLocation = url;
+            return;
+        }
+
+        if (push) {
+            window.history.pushState({ vib34dState: this.homeMaster.currentState }, '', url);
+            this.metrics.pushes++;
+        } else {
+            window.history.replaceState({ vib34dState: this.homeMaster.currentState }, '', url);
+            this.metrics.replaces++;
+        }
+        this.lastLocation = this.getLocationUrl();
+    }
+
+    getLocationUrl() {
+        const { pathname, search, hash } = window.location;
+        return `${pathname}${search}${hash}`;
+    }
+
+    /**
+     * Numbers and numeric vectors go into the URL; names and themes follow the state
+     */
+    isRoutable(value) {
+        return typeof value === 'number' || this.homeMaster.isNumericVector(value);
+    }
+
+    isSameValue(a, b) {
+        const tolerance = Math.pow(10, -this.options.precision);
+        if (Array.isArray(a) || Array.isArray(b)) {
+            return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+                a.every((value, i) => Math.abs(value - b[i]) < tolerance);
+        }
+        return Math.abs(a - b) < tolerance;
+    }
+
+    roundValue(value) {
+        const round = v => Number(v.toFixed(this.options.precision));
+        return Array.isArray(value) ? value.map(round) : round(value);
+    }
+
+    getMetrics() {
+        return {
+            ...this.metrics,
+            mode: this.options.mode,
+            url: this.lastLocation
+        };
+    }
+
+    /**
+     * Stop syncing (the URL keeps its last value)
+     */
+    stop() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        window.removeEventListener('popstate', this.handleLocationChange);
+        window.removeEventListener('hashchange', this.handleLocationChange);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.isStarted = false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateRouter;
+} else {
+    window.StateRouter = StateRouter;
+}
@@ -17,6 +17,8 @@ class SystemController {
         this.homeMaster = null;
         this.visualizerPool = null;
         this.interactionCoordinator = null;
+        this.stateRouter = null;
+        this.sessionStore = null;
         this.geometryRegistry = null;
         this.agentAPI = null; // Phase 5: Agent API
         
@@ -198,11 +200,36 @@ class SystemController {
             if (typeof InteractionCoordinator !== 'undefined' && this.homeMaster) {
                 console.log('🎯 Initializing InteractionCoordinator...');
                 this.interactionCoordinator = new InteractionCoordinator();
-                await this.interactionCoordinator.initialize(this.jsonConfigSystem, this.homeMaster);
+                await this.interactionCoordinator.initialize(this.jsonConfigSystem, this.homeMaster, this.visualizerPool);
             } else {
                 console.warn('⚠️ InteractionCoordinator not loaded or HomeMaster missing, skipping...');
             }
             
+            // Phase 3 - Sync HomeMaster with the URL (after InteractionCoordinator, whose
+            // state hooks should see the state a deep link boots into)
+            const globalSettings = this.jsonConfigSystem.getConfig('stateMap')?.globalSettings || {};
+            const routingConfig = globalSettings.routing || {};
+            if (typeof StateRouter !== 'undefined' && this.homeMaster && routingConfig.enabled !== false) {
+                console.log('🧭 Initializing StateRouter...');
+                this.stateRouter = new StateRouter(this.homeMaster, routingConfig).start();
+            } else {
+                console.warn('⚠️ StateRouter not loaded, disabled or HomeMaster missing, skipping...');
+            }
+            
+            // Phase 3 - Persist the session and offer the last one back
+            const sessionConfig = globalSettings.session || {};
+            if (typeof SessionStore !== 'undefined' && this.homeMaster && sessionConfig.enabled !== false) {
+                console.log('💾 Initializing SessionStore...');
+                this.sessionStore = new SessionStore(this.homeMaster, this.interactionCoordinator, sessionConfig);
+                const savedSession = this.sessionStore.load();
+                this.sessionStore.start({ holdSaved: !!savedSession });
+                if (savedSession) {
+                    this.offerSessionRestore(savedSession);
+                }
+            } else {
+                console.warn('⚠️ SessionStore not loaded, disabled or HomeMaster missing, skipping...');
+            }
+            
             // Phase 5 - Initialize AgentAPI
             if (typeof AgentAPI !== 'undefined') {
                 console.log('🤖 Initializing AgentAPI...');
@@ -393,13 +420,17 @@ class SystemController {
                 button.textContent = buttonConfig.label;
                 button.setAttribute('data-action', buttonConfig.action);
                 
-                // Add click handler for navigation
+                // Add click handler for navigation and session files
                 button.addEventListener('click', () => {
                     if (buttonConfig.action.includes('navigateTo')) {
                         const state = buttonConfig.action.match(/navigateTo\('(.+)'\)/)?.[1];
                         if (state && this.homeMaster) {
                             this.homeMaster.navigateTo(state);
                         }
+                    } else if (buttonConfig.action === 'exportSession()') {
+                        this.exportSession();
+                    } else if (buttonConfig.action === 'importSession()') {
+                        this.importSession();
                     }
                 });
                 
@@ -490,7 +521,10 @@ class SystemController {
             const selector = document.createElement('select');
             selector.className = 'geometry-selector';
             
-            const geometries = ['hypercube', 'tetrahedron', 'sphere', 'torus', 'klein', 'fractal', 'wave', 'crystal'];
+            // Registered geometries include the generated polytopes
+            const geometries = this.geometryRegistry?.isInitialized ?
+                this.geometryRegistry.getGeometryNames() :
+                ['hypercube', 'tetrahedron', 'sphere', 'torus', 'klein', 'fractal', 'wave', 'crystal'];
             geometries.forEach(geometry => {
                 const option = document.createElement('option');
                 option.value = geometry;
@@ -498,13 +532,37 @@ class SystemController {
                 selector.appendChild(option);
             });
             
-            // Add change handler
+            // Card the selector applies to ('all' or a card id)
+            const targetSelector = document.createElement('select');
+            targetSelector.className = 'geometry-target-selector';
+            
+            const allOption = document.createElement('option');
+            allOption.value = 'all';
+            allOption.textContent = 'All Cards';
+            targetSelector.appendChild(allOption);
+            
+            const cards = this.jsonConfigSystem?.getConfig('layout')?.cards || [];
+            cards.forEach(card => {
+                const option = document.createElement('option');
+                option.value = card.id;
+                option.textContent = card.title || card.id;
+                targetSelector.appendChild(option);
+            });
+            
+            // Expose the chosen card to interaction blueprints ($targetCard)
+            selector.dataset.targetCard = targetSelector.value;
+            targetSelector.addEventListener('change', (e) => {
+                selector.dataset.targetCard = e.target.value;
+            });
+            
+            // The swap happens here; behavior.json's geometryChangeResponse only animates it
             selector.addEventListener('change', (e) => {
-                console.log(`🎮 Geometry changed to: ${e.target.value}`);
-                // TODO: Update active card geometry
+                console.log(`🎮 Geometry changed to: ${e.target.value} (${targetSelector.value})`);
+                this.setCardGeometry(e.target.value, targetSelector.value);
             });
             
             selectorContainer.appendChild(selector);
+            selectorContainer.appendChild(targetSelector);
             panel.appendChild(selectorContainer);
         }
         
@@ -991,6 +1049,98 @@ class SystemController {
         }, 3000);
     }
     
+    /**
+     * Offer to restore the session saved on the last visit (saving waits for the answer)
+     */
+    offerSessionRestore(session) {
+        const savedAt = session.savedAt ? new Date(session.savedAt).toLocaleString() : 'an earlier visit';
+        
+        const offer = document.createElement('div');
+        offer.className = 'session-restore-offer';
+        offer.innerHTML = `
+            <span class="session-restore-message"></span>
+            <button class="action-btn" data-action="restore">Restore</button>
+            <button class="action-btn" data-action="dismiss">Dismiss</button>
+        `;
+        offer.querySelector('.session-restore-message').textContent =
+            `Restore your session from ${savedAt} (${session.preset.state})?`;
+        offer.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            gap: 12px;
+            align-items: center;
+            padding: 12px 20px;
+            border-radius: 8px;
+            color: white;
+            background: rgba(0, 0, 0, 0.85);
+            backdrop-filter: blur(10px);
+            z-index: 10000;
+        `;
+        
+        offer.addEventListener('click', (e) => {
+            const action = e.target.getAttribute('data-action');
+            if (!action) return;
+            
+            if (action === 'restore') {
+                this.sessionStore.restore(session);
+                this.updateCardStatesFromHomeMaster();
+                this.showNotification('Session restored', 'success');
+            } else {
+                this.sessionStore.declineRestore();
+            }
+            offer.remove();
+        });
+        
+        document.body.appendChild(offer);
+    }
+    
+    /**
+     * Download the current session as a JSON file
+     */
+    exportSession() {
+        if (!this.sessionStore) return;
+        
+        try {
+            const blob = new Blob([this.sessionStore.exportSession()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.download = `vib34d-session-${Date.now()}.json`;
+            link.href = URL.createObjectURL(blob);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            
+            this.showNotification('Session exported successfully!', 'success');
+        } catch (error) {
+            this.showNotification('Session export failed: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Pick a session file and apply it
+     */
+    importSession() {
+        if (!this.sessionStore) return;
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            try {
+                await this.sessionStore.importSession(file);
+                this.updateCardStatesFromHomeMaster();
+                this.showNotification('Session imported successfully!', 'success');
+            } catch (error) {
+                this.showNotification('Session import failed: ' + error.message, 'error');
+            }
+        });
+        input.click();
+    }
+    
     /**
      * Add elegant glow effect to card
      */
@@ -1253,6 +1403,23 @@ class SystemController {
         return await this.homeMaster.navigateTo(stateId);
     }
     
+    /**
+     * Switch the geometry shown on one card ('all' for every card)
+     */
+    async setCardGeometry(geometryName, target = 'all') {
+        if (!this.visualizerPool) {
+            console.warn('⚠️ VisualizerPool not available for geometry switch');
+            return [];
+        }
+        
+        const switched = await this.visualizerPool.switchGeometry(geometryName, target);
+        if (switched.length === 0) {
+            this.showNotification(`Geometry '${geometryName}' could not be applied`, 'error');
+        }
+        
+        return switched;
+    }
+    
     /**
      * Get current system state
      */
@@ -1297,6 +1464,13 @@ class SystemController {
             window.agentAPI = null;
             this.agentAPI.isReady = false;
         }
+        if (this.sessionStore) {
+            this.sessionStore.save();
+            this.sessionStore.stop();
+        }
+        if (this.stateRouter) {
+            this.stateRouter.stop();
+        }
         if (this.interactionCoordinator) {
             this.interactionCoordinator.shutdown();
         }
@@ -194,3 +194,10 @@ console.log("Torus Indices Count:", torus.getIndices().length);
 torus.update({ majorRadius: 1.3, rotations: { zw: Math.PI / 3 } });
 console.log("Updated Torus First Vertex:", torus.getVertices().slice(0,4));
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TorusGeometry;
+} else {
+    window.TorusGeometry = TorusGeometry;
+}
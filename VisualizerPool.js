@@ -16,6 +16,8 @@ class VisualizerPool {
         // Core dependencies
         this.geometryRegistry = null;
         this.homeMaster = null; // Phase 4: Real-time parameter source
+        this.projectionManager = ProjectionManager.getShared(); // 4D → 3D projection modes
+        this.crossSectionSlicer = new CrossSectionSlicer(); // Hyperplane slices (u_crossSection)
         
         // Active visualizer instances
         this.visualizers = new Map();
@@ -30,13 +32,55 @@ class VisualizerPool {
             totalFrames: 0,
             averageFPS: 60,
             lastFrameTime: performance.now(),
-            webglErrors: 0
+            webglErrors: 0,
+            contextLosses: 0,
+            contextRestores: 0,
+            retries: 0
         };
         
         // Render loop state
         this.isRendering = false;
         this.renderLoopId = null;
         
+        // Context mode: 'shared' renders every card from one offscreen WebGL2
+        // context, 'perCanvas' gives each card its own context (fallback)
+        this.contextMode = 'perCanvas';
+        this.sharedContext = null;
+        
+        // Programs and geometry buffers per WebGL context (reference counted)
+        this.contextCaches = new Map();
+        
+        // Component count and upload method per uniform type (see getUniformLayout)
+        this.uniformLayouts = null;
+        
+        // Context loss / failure recovery (overridable via visuals.json rendering.retry)
+        this.retryPolicy = {
+            maxAttempts: 5,
+            baseDelay: 1000,
+            maxDelay: 30000
+        };
+        this.recoveryEvents = [];
+        this.maxRecoveryEvents = 50;
+        
+        // Adaptive level of detail (overridable via visuals.json rendering.lod).
+        // Geometries step down while frames miss the target and back up to
+        // their complexity budget once there is headroom again.
+        this.lodSettings = {
+            enabled: true,
+            targetFPS: 50,
+            checkInterval: 2000, // ms of frames averaged per decision
+            headroom: 0.9,       // step up below this share of the frame budget
+            retryDelay: 30000    // ms before retrying a level that was too slow
+        };
+        this.lodState = {
+            elapsed: 0,
+            frames: 0,
+            frameTime: 0,
+            slowLevels: new Map(), // geometry name → { level, until }
+            changes: []
+        };
+        this.maxLODChanges = 20;
+        
         console.log('🎮 VisualizerPool initialized');
     }
 
@@ -67,6 +111,21 @@ class VisualizerPool {
                 throw new Error('WebGL not supported in this browser');
             }
             
+            // Rebuild visualizers when their .glsl files are hot-reloaded
+            this.unsubscribeShaderReload = this.geometryRegistry.onShaderReload(
+                geometryNames => this.refreshGeometries(geometryNames)
+            );
+            
+            // Move visualizers onto regenerated meshes once they arrive
+            this.unsubscribeGeometryUpdate = this.geometryRegistry.onGeometryUpdate(
+                geometryName => this.refreshGeometryBuffers(geometryName)
+            );
+            
+            // Select shared or per-canvas contexts (visuals.json rendering.contextMode)
+            this.initializeContextMode();
+            Object.assign(this.retryPolicy, this.getRenderingConfig().retry || {});
+            Object.assign(this.lodSettings, this.getRenderingConfig().lod || {});
+            
             // Find all canvas elements for adaptive cards
             await this.initializeCanvasElements();
             
@@ -136,6 +195,162 @@ class VisualizerPool {
         testCanvas.remove();
     }
     
+    /**
+     * Get the rendering section of visuals.json
+     */
+    getRenderingConfig() {
+        const visualsConfig = this.geometryRegistry?.jsonConfigSystem?.getConfig('visuals');
+        return visualsConfig?.rendering || {};
+    }
+    
+    /**
+     * Pick the context mode, falling back to per-canvas contexts
+     */
+    initializeContextMode() {
+        const requestedMode = this.getRenderingConfig().contextMode || 'perCanvas';
+        this.contextMode = 'perCanvas';
+        
+        if (requestedMode === 'shared') {
+            if (this.initializeSharedContext()) {
+                this.contextMode = 'shared';
+            } else {
+                console.warn('⚠️ Shared WebGL2 context unavailable, falling back to per-canvas contexts');
+            }
+        }
+        
+        console.log(`🎮 Context mode: ${this.contextMode}`);
+    }
+    
+    /**
+     * Create the offscreen WebGL2 context that renders every card
+     */
+    initializeSharedContext() {
+        if (!this.webgl2Supported) return false;
+        
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            
+            const gl = this.createWebGLContext(canvas);
+            if (!gl || typeof WebGL2RenderingContext === 'undefined' || !(gl instanceof WebGL2RenderingContext)) {
+                return false;
+            }
+            
+            gl.enable(gl.SCISSOR_TEST);
+            this.sharedContext = { canvas, gl };
+            this.sharedContext.contextHandlers = this.attachContextLossHandlers(canvas, () => this.sharedContext && this.sharedContext.gl);
+            
+            return true;
+            
+        } catch (error) {
+            console.warn('⚠️ Failed to create shared WebGL2 context:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Pack every shared-mode visualizer into a region of the offscreen canvas.
+     * The atlas is kept within the viewport, texture and drawing-buffer limits:
+     * when the cards don't fit, every region is scaled down by the same factor
+     * (the copy to the card canvas scales it back up).
+     */
+    layoutSharedAtlas() {
+        if (!this.sharedContext) return;
+        
+        const { canvas, gl } = this.sharedContext;
+        const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS) || [4096, 4096];
+        const maxTexture = gl.getParameter(gl.MAX_TEXTURE_SIZE) || 4096;
+        let maxWidth = Math.min(this.getRenderingConfig().maxAtlasWidth || 4096, maxViewport[0], maxTexture);
+        let maxHeight = Math.min(maxViewport[1], maxTexture);
+        
+        let scale = 1;
+        let size = null;
+        for (let attempt = 0; attempt < 8; attempt++) {
+            size = this.packAtlasRegions(maxWidth, scale);
+            if (size.height > maxHeight) {
+                scale *= maxHeight / size.height;
+                continue;
+            }
+            
+            canvas.width = size.width;
+            canvas.height = size.height;
+            
+            // The browser may allocate a smaller drawing buffer than requested
+            if (gl.drawingBufferWidth >= canvas.width && gl.drawingBufferHeight >= canvas.height) break;
+            if (gl.drawingBufferWidth < canvas.width) maxWidth = gl.drawingBufferWidth;
+            if (gl.drawingBufferHeight < canvas.height) maxHeight = gl.drawingBufferHeight;
+        }
+        if (canvas.width !== size.width || canvas.height !== size.height) {
+            canvas.width = size.width;
+            canvas.height = size.height;
+        }
+        this.sharedContext.scale = scale;
+        
+        if (canvas.height > maxHeight || gl.drawingBufferWidth < canvas.width || gl.drawingBufferHeight < canvas.height) {
+            console.warn(`⚠️ Shared atlas exceeds the WebGL limits (${canvas.width}x${canvas.height})`);
+        }
+        console.log(`🎮 Shared atlas: ${canvas.width}x${canvas.height} for ${this.visualizers.size} visualizers` +
+            (scale < 1 ? ` (scaled to ${Math.round(scale * 100)}%)` : ''));
+    }
+    
+    /**
+     * Assign each visualizer its atlas region in rows up to maxWidth,
+     * at the given scale of its canvas size. Returns the atlas size.
+     */
+    packAtlasRegions(maxWidth, scale) {
+        let x = 0;
+        let y = 0;
+        let rowHeight = 0;
+        let atlasWidth = 1;
+        
+        this.visualizers.forEach((visualizer) => {
+            const width = Math.min(Math.floor(visualizer.canvas.width * scale), maxWidth);
+            const height = Math.floor(visualizer.canvas.height * scale);
+            
+            // Start a new row when this region would overflow
+            if (x > 0 && x + width > maxWidth) {
+                x = 0;
+                y += rowHeight;
+                rowHeight = 0;
+            }
+            
+            visualizer.region = { x, y, width, height };
+            x += width;
+            rowHeight = Math.max(rowHeight, height);
+            atlasWidth = Math.max(atlasWidth, x);
+        });
+        
+        return { width: atlasWidth, height: Math.max(1, y + rowHeight) };
+    }
+    
+    /**
+     * Get the program/buffer cache for a WebGL context
+     */
+    getContextCache(gl) {
+        let cache = this.contextCaches.get(gl);
+        if (!cache) {
+            cache = {
+                programs: new Map(),
+                geometryBuffers: new Map(),
+                uint32Indices: this.supportsUint32Indices(gl)
+            };
+            this.contextCaches.set(gl, cache);
+        }
+        return cache;
+    }
+    
+    /**
+     * Whether a context can draw 32-bit indices (WebGL2, or WebGL1 with
+     * OES_element_index_uint, which this enables)
+     */
+    supportsUint32Indices(gl) {
+        if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) {
+            return true;
+        }
+        return !!gl.getExtension('OES_element_index_uint');
+    }
+    
     /**
      * Initialize canvas elements for all adaptive cards
      */
@@ -179,15 +394,17 @@ class VisualizerPool {
                 throw new Error(`No valid geometry available for canvas ${canvasId}`);
             }
             
-            // Create WebGL context
-            const gl = this.createWebGLContext(canvas);
+            // Create WebGL context (or render through the shared one)
+            const gl = this.contextMode === 'shared' ? this.sharedContext.gl : this.createWebGLContext(canvas);
             if (!gl) {
                 throw new Error(`Failed to create WebGL context for ${canvasId}`);
             }
             
             // Create visualizer instance
+            const cardElement = canvas.closest('.vib34d-card');
             const visualizer = {
                 id: canvasId,
+                cardId: cardElement ? cardElement.id : null,
                 canvas: canvas,
                 gl: gl,
                 geometry: geometry,
@@ -205,17 +422,32 @@ class VisualizerPool {
                 // Buffers
                 buffers: {},
                 
+                // Shared mode: 2D context receiving the atlas region
+                context2d: null,
+                region: null,
+                
                 // Animation parameters
                 parameters: this.geometryRegistry.getDefaultParameters(geometryType),
                 
+                // Accumulated per-plane rotation (radians) from the u_rotSpeed* velocities
+                rotationPhase: { xy: 0, xz: 0, yz: 0, xw: 0, yw: 0, zw: 0 },
+                
+                // Hyperplane slice rebuilt each frame in cross-section mode
+                crossSection: null,
+                
                 // State
                 isReady: false,
                 lastRenderTime: 0,
                 frameCount: 0,
+                frameCost: 0, // ms per frame spent rendering (moving average)
                 
                 // Error handling
                 hasErrors: false,
-                lastError: null
+                lastError: null,
+                contextLost: false,
+                retryAttempts: 0,
+                nextRetryAt: null,
+                isRecovering: false
             };
             
             // Compile shaders and create program
@@ -227,10 +459,19 @@ class VisualizerPool {
             // Setup canvas and viewport
             this.setupCanvasViewport(visualizer);
             
+            // The shared context's canvas carries the loss handlers in shared mode
+            if (this.contextMode !== 'shared') {
+                visualizer.contextHandlers = this.attachContextLossHandlers(canvas, () => visualizer.gl);
+            }
+            
             // Store visualizer
             this.visualizers.set(canvasId, visualizer);
             this.metrics.activeVisualizers++;
             
+            if (this.contextMode === 'shared') {
+                this.layoutSharedAtlas();
+            }
+            
             console.log(`🎮 Created visualizer: ${canvasId} (${geometryType})`);
             
             return visualizer;
@@ -268,20 +509,252 @@ class VisualizerPool {
         }
         
         if (gl) {
-            // Enable extensions if available
-            gl.getExtension('OES_standard_derivatives');
-            gl.getExtension('EXT_shader_texture_lod');
+            this.setupContextState(gl);
+        }
+        
+        return gl;
+    }
+    
+    /**
+     * Apply extensions and default GL state (again after a context restore)
+     */
+    setupContextState(gl) {
+        // Enable extensions if available
+        gl.getExtension('OES_standard_derivatives');
+        gl.getExtension('EXT_shader_texture_lod');
+        
+        // Setup WebGL state
+        gl.enable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        
+        // Set clear color (transparent)
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+    }
+    
+    /**
+     * Listen for loss/restore of the context behind a canvas.
+     * getContext resolves the GL context at event time. Returns the handlers for removal.
+     */
+    attachContextLossHandlers(canvas, getContext) {
+        const handlers = {
+            lost: (event) => {
+                // Required for the browser to attempt a restore
+                event.preventDefault();
+                this.handleContextLost(getContext());
+            },
+            restored: () => {
+                this.handleContextRestored(getContext());
+            }
+        };
+        
+        canvas.addEventListener('webglcontextlost', handlers.lost, false);
+        canvas.addEventListener('webglcontextrestored', handlers.restored, false);
+        
+        return { canvas, ...handlers };
+    }
+    
+    /**
+     * Stop listening for context loss on a canvas
+     */
+    detachContextLossHandlers(contextHandlers) {
+        if (!contextHandlers) return;
+        
+        const { canvas, lost, restored } = contextHandlers;
+        canvas.removeEventListener('webglcontextlost', lost, false);
+        canvas.removeEventListener('webglcontextrestored', restored, false);
+    }
+    
+    /**
+     * Pause every visualizer on a lost context. Its GL objects are gone, so the cache is dropped.
+     */
+    handleContextLost(gl) {
+        if (!gl) return;
+        
+        const affected = this.getVisualizersForContext(gl);
+        affected.forEach((visualizer) => {
+            Object.assign(visualizer, {
+                contextLost: true,
+                isReady: false,
+                program: null,
+                programKey: null,
+                uniforms: {},
+                attributes: {},
+                buffers: {},
+                buffersKey: null,
+                nextRetryAt: null
+            });
+        });
+        
+        this.contextCaches.delete(gl);
+        this.metrics.contextLosses++;
+        
+        this.recordRecoveryEvent('contextLost', null, {
+            contextMode: this.contextMode,
+            visualizers: affected.map(visualizer => visualizer.id)
+        });
+        console.warn(`⚠️ WebGL context lost (${this.contextMode}), paused ${affected.length} visualizer(s)`);
+    }
+    
+    /**
+     * Rebuild program, buffers and uniforms for every visualizer on a restored context
+     */
+    async handleContextRestored(gl) {
+        if (!gl) return;
+        
+        this.setupContextState(gl);
+        if (this.sharedContext && this.sharedContext.gl === gl) {
+            gl.enable(gl.SCISSOR_TEST);
+        }
+        
+        this.metrics.contextRestores++;
+        
+        const affected = this.getVisualizersForContext(gl);
+        const rebuilt = [];
+        for (const visualizer of affected) {
+            visualizer.contextLost = false;
+            if (await this.rebuildVisualizer(visualizer)) {
+                rebuilt.push(visualizer.id);
+            }
+        }
+        
+        if (this.contextMode === 'shared') {
+            this.layoutSharedAtlas();
+        }
+        
+        this.recordRecoveryEvent('contextRestored', null, {
+            contextMode: this.contextMode,
+            visualizers: rebuilt,
+            failed: affected.length - rebuilt.length
+        });
+        console.log(`🎮 WebGL context restored, rebuilt ${rebuilt.length}/${affected.length} visualizer(s)`);
+    }
+    
+    /**
+     * Visualizers rendering through a given GL context
+     */
+    getVisualizersForContext(gl) {
+        return Array.from(this.visualizers.values()).filter(visualizer => visualizer.gl === gl);
+    }
+    
+    /**
+     * Recreate a visualizer's GPU resources from its current geometry.
+     * Failures are handed to the retry policy. Returns true on success.
+     */
+    async rebuildVisualizer(visualizer) {
+        visualizer.isRecovering = true;
+        
+        try {
+            // Release whatever survived (nothing after a context loss)
+            if (visualizer.buffersKey) this.releaseGeometryResources(visualizer);
+            if (visualizer.programKey) this.releaseProgram(visualizer);
+            
+            Object.assign(visualizer, {
+                uniforms: {},
+                attributes: {},
+                crossSection: null,
+                hasErrors: false,
+                lastError: null,
+                nextRetryAt: null
+            });
+            
+            await this.setupVisualizerProgram(visualizer);
+            this.setupGeometryBuffers(visualizer);
+            this.setupCanvasViewport(visualizer);
             
-            // Setup WebGL state
-            gl.enable(gl.DEPTH_TEST);
-            gl.enable(gl.BLEND);
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            return true;
             
-            // Set clear color (transparent)
-            gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        } catch (error) {
+            this.markVisualizerFailed(visualizer, error);
+            return false;
+            
+        } finally {
+            visualizer.isRecovering = false;
         }
+    }
+    
+    /**
+     * Flag a visualizer as failed and schedule its next retry with exponential backoff
+     */
+    markVisualizerFailed(visualizer, error) {
+        const { maxAttempts, baseDelay, maxDelay } = this.retryPolicy;
         
-        return gl;
+        visualizer.hasErrors = true;
+        visualizer.lastError = error.message;
+        visualizer.retryAttempts++;
+        
+        if (visualizer.retryAttempts > maxAttempts) {
+            visualizer.nextRetryAt = null;
+            this.recordRecoveryEvent('retryExhausted', visualizer.id, { error: error.message, attempts: maxAttempts });
+            console.error(`❌ ${visualizer.id} failed ${maxAttempts} retries, giving up:`, error.message);
+            return;
+        }
+        
+        const delay = Math.min(baseDelay * Math.pow(2, visualizer.retryAttempts - 1), maxDelay);
+        visualizer.nextRetryAt = performance.now() + delay;
+        
+        this.recordRecoveryEvent('error', visualizer.id, { error: error.message, attempt: visualizer.retryAttempts, retryIn: delay });
+        console.warn(`⚠️ ${visualizer.id} failed (attempt ${visualizer.retryAttempts}/${maxAttempts}), retrying in ${delay}ms`);
+    }
+    
+    /**
+     * Rebuild failed visualizers whose backoff has elapsed
+     */
+    processRetries(now = performance.now()) {
+        this.visualizers.forEach((visualizer) => {
+            if (!visualizer.hasErrors || visualizer.contextLost || visualizer.isRecovering) return;
+            if (visualizer.nextRetryAt === null || now < visualizer.nextRetryAt) return;
+            if (visualizer.gl.isContextLost && visualizer.gl.isContextLost()) return;
+            
+            this.metrics.retries++;
+            this.recordRecoveryEvent('retry', visualizer.id, { attempt: visualizer.retryAttempts });
+            
+            this.rebuildVisualizer(visualizer).then((success) => {
+                if (success) {
+                    this.recordRecoveryEvent('recovered', visualizer.id, { attempts: visualizer.retryAttempts });
+                    console.log(`🎮 ${visualizer.id} recovered after ${visualizer.retryAttempts} attempt(s)`);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Append to the bounded loss/restore/retry event log
+     */
+    recordRecoveryEvent(type, visualizerId = null, detail = {}) {
+        this.recoveryEvents.push({
+            type,
+            visualizerId,
+            timestamp: Date.now(),
+            ...detail
+        });
+        
+        if (this.recoveryEvents.length > this.maxRecoveryEvents) {
+            this.recoveryEvents.shift();
+        }
+    }
+    
+    /**
+     * Per-visualizer recovery status for diagnostics
+     */
+    getRecoveryStatus() {
+        const visualizers = {};
+        this.visualizers.forEach((visualizer, id) => {
+            visualizers[id] = {
+                isReady: visualizer.isReady,
+                hasErrors: visualizer.hasErrors,
+                lastError: visualizer.lastError,
+                contextLost: visualizer.contextLost,
+                retryAttempts: visualizer.retryAttempts,
+                nextRetryAt: visualizer.nextRetryAt
+            };
+        });
+        
+        return {
+            retryPolicy: { ...this.retryPolicy },
+            visualizers,
+            events: [...this.recoveryEvents]
+        };
     }
     
     /**
@@ -307,32 +780,29 @@ class VisualizerPool {
             
             console.log(`🔧 Shader sources validated - vertex: ${geometry.vertexShader.length} chars, fragment: ${geometry.fragmentShader.length} chars`);
             
-            // Compile vertex shader
-            const vertexShader = this.compileShader(gl, gl.VERTEX_SHADER, geometry.vertexShader);
-            if (!vertexShader) {
-                throw new Error('Failed to compile vertex shader');
-            }
-            
-            // Compile fragment shader
-            const fragmentShader = this.compileShader(gl, gl.FRAGMENT_SHADER, geometry.fragmentShader);
-            if (!fragmentShader) {
-                throw new Error('Failed to compile fragment shader');
-            }
-            
-            // Create and link program
-            const program = gl.createProgram();
-            gl.attachShader(program, vertexShader);
-            gl.attachShader(program, fragmentShader);
-            gl.linkProgram(program);
+            // Reuse a program already linked from the same sources in this context
+            const cache = this.getContextCache(gl);
+            const programKey = this.geometryRegistry.registerShaderSources(geometry);
+            let entry = cache.programs.get(programKey);
             
-            // Check linking success
-            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-                const error = gl.getProgramInfoLog(program);
-                gl.deleteProgram(program);
-                throw new Error(`Shader program linking failed: ${error}`);
+            if (entry) {
+                entry.refCount++;
+                console.log(`🔧 Reusing linked program ${programKey} for ${geometry.name}`);
+            } else {
+                try {
+                    entry = { program: this.createProgram(gl, geometry), refCount: 1 };
+                } catch (error) {
+                    if (error.shaderErrors) {
+                        this.geometryRegistry.recordShaderErrors(programKey, error.shaderErrors);
+                    }
+                    throw error;
+                }
+                cache.programs.set(programKey, entry);
+                this.geometryRegistry.recordShaderErrors(programKey, []);
             }
             
-            visualizer.program = program;
+            visualizer.program = entry.program;
+            visualizer.programKey = programKey;
             
             // Get uniform locations
             this.setupUniformLocations(visualizer);
@@ -353,15 +823,69 @@ class VisualizerPool {
     }
     
     /**
-     * Compile a shader
+     * Compile and link a geometry's shaders into a program.
+     * Failures throw an Error carrying structured `shaderErrors`.
+     */
+    createProgram(gl, geometry) {
+        // Compile vertex shader
+        const vertexShader = this.compileShader(gl, gl.VERTEX_SHADER, geometry.vertexShader, geometry.name);
+        
+        // Compile fragment shader
+        let fragmentShader;
+        try {
+            fragmentShader = this.compileShader(gl, gl.FRAGMENT_SHADER, geometry.fragmentShader, geometry.name);
+        } catch (error) {
+            gl.deleteShader(vertexShader);
+            throw error;
+        }
+        
+        // Create and link program
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        
+        // Shaders are no longer needed once linked
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        
+        // Check linking success
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw this.createShaderError('link', log, null, geometry.name);
+        }
+        
+        return program;
+    }
+    
+    /**
+     * Release a visualizer's reference to its program
+     */
+    releaseProgram(visualizer) {
+        const { gl, programKey } = visualizer;
+        const cache = this.getContextCache(gl);
+        const entry = cache.programs.get(programKey);
+        
+        if (entry && --entry.refCount <= 0) {
+            gl.deleteProgram(entry.program);
+            cache.programs.delete(programKey);
+        }
+        
+        visualizer.program = null;
+        visualizer.programKey = null;
+    }
+    
+    /**
+     * Compile a shader, throwing a structured error on failure
      */
-    compileShader(gl, type, source) {
-        console.log(`🔧 Compiling ${type === gl.VERTEX_SHADER ? 'vertex' : 'fragment'} shader...`);
+    compileShader(gl, type, source, geometryName = null) {
+        const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+        console.log(`🔧 Compiling ${stage} shader...`);
         console.log(`🔧 Shader source length: ${source ? source.length : 'null'}`);
         
         if (!source) {
-            console.error(`❌ Shader source is null or undefined`);
-            return null;
+            throw this.createShaderError(stage, 'Shader source is null or undefined', null, geometryName);
         }
         
         const shader = gl.createShader(type);
@@ -369,11 +893,9 @@ class VisualizerPool {
         gl.compileShader(shader);
         
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            const error = gl.getShaderInfoLog(shader);
+            const log = gl.getShaderInfoLog(shader);
             gl.deleteShader(shader);
-            console.error(`❌ Shader compilation failed (${type === gl.VERTEX_SHADER ? 'vertex' : 'fragment'}):`, error);
-            console.error(`❌ Shader source (first 500 chars):`, source.substring(0, 500));
-            return null;
+            throw this.createShaderError(stage, log, source, geometryName);
         }
         
         console.log(`✅ Shader compiled successfully`);
@@ -381,33 +903,121 @@ class VisualizerPool {
     }
     
     /**
-     * Setup uniform locations for visualizer
+     * Build an Error for a failed compile/link whose message names the first problem
+     */
+    createShaderError(stage, log, source, geometryName) {
+        const shaderErrors = this.parseShaderLog(stage, log, source, geometryName);
+        const first = shaderErrors.find(error => error.severity === 'error') || shaderErrors[0];
+        
+        const action = stage === 'link' ? 'Shader program linking failed' : `Failed to compile ${stage} shader`;
+        const location = first.line !== null ? ` at line ${first.line}${first.column !== null ? `:${first.column}` : ''}` : '';
+        
+        console.error(`❌ ${action} for '${geometryName}'${location}: ${first.message}`);
+        if (first.excerpt) {
+            console.error(`❌ Source excerpt:\n${first.excerpt}`);
+        }
+        
+        const error = new Error(`${action} for '${geometryName}'${location}: ${first.message}`);
+        error.shaderErrors = shaderErrors;
+        return error;
+    }
+    
+    /**
+     * Parse a driver info log into { stage, severity, line, column, message, excerpt, geometry }.
+     * Handles ANGLE/Mesa ("ERROR: 0:12: ...") and NVIDIA ("0(12) : error C0000: ...") formats.
+     */
+    parseShaderLog(stage, log, source, geometryName) {
+        const sourceLines = source ? source.split('\n') : [];
+        const errors = [];
+        
+        (log || '').split('\n').forEach((rawLine) => {
+            const text = rawLine.trim();
+            if (!text || /compilation errors?\.\s*No code generated/i.test(text)) return;
+            
+            let severity = 'error';
+            let line = null;
+            let column = null;
+            let message = text;
+            
+            const angle = text.match(/^(ERROR|WARNING):\s*\d+:(\d+)(?::(\d+))?:\s*(.*)$/i);
+            const nvidia = text.match(/^\d+\((\d+)(?::(\d+))?\)\s*:\s*(error|warning)\s*(?:[A-Z]\d+\s*:\s*)?(.*)$/i);
+            
+            if (angle) {
+                severity = angle[1].toLowerCase();
+                line = parseInt(angle[2], 10);
+                column = angle[3] ? parseInt(angle[3], 10) : null;
+                message = angle[4];
+            } else if (nvidia) {
+                severity = nvidia[3].toLowerCase();
+                line = parseInt(nvidia[1], 10);
+                column = nvidia[2] ? parseInt(nvidia[2], 10) : null;
+                message = nvidia[4];
+            }
+            
+            // Most drivers omit the column; locate the quoted token on the reported line instead
+            if (line !== null && column === null && sourceLines[line - 1] !== undefined) {
+                const token = message.match(/'([^']+)'/);
+                const index = token ? sourceLines[line - 1].indexOf(token[1]) : -1;
+                if (index >= 0) column = index + 1;
+            }
+            
+            errors.push({
+                stage,
+                severity,
+                line,
+                column,
+                message,
+                excerpt: line !== null ? this.getSourceExcerpt(sourceLines, line) : null,
+                geometry: geometryName
+            });
+        });
+        
+        if (errors.length === 0) {
+            errors.push({ stage, severity: 'error', line: null, column: null, message: 'Unknown error (empty info log)', excerpt: null, geometry: geometryName });
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Numbered source lines around a line, with the offending line marked
+     */
+    getSourceExcerpt(sourceLines, line, context = 2) {
+        if (line < 1 || line > sourceLines.length) return null;
+        
+        const first = Math.max(1, line - context);
+        const last = Math.min(sourceLines.length, line + context);
+        const width = String(last).length;
+        const excerpt = [];
+        
+        for (let n = first; n <= last; n++) {
+            excerpt.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${sourceLines[n - 1]}`);
+        }
+        
+        return excerpt.join('\n');
+    }
+    
+    /**
+     * Setup uniform locations for visualizer by introspecting the program's active uniforms
      */
     setupUniformLocations(visualizer) {
         const { gl, program } = visualizer;
         
-        // Standard uniforms for all geometries
-        const uniformNames = [
-            'u_modelViewMatrix',
-            'u_projectionMatrix',
-            'u_time',
-            'u_dimension',
-            'u_morphFactor',
-            'u_rotationSpeed',
-            'u_gridDensity',
-            'u_lineThickness',
-            'u_patternIntensity',
-            'u_colorShift',
-            'u_primaryColor',
-            'u_secondaryColor'
-        ];
-        
-        uniformNames.forEach(name => {
-            const location = gl.getUniformLocation(program, name);
+        visualizer.uniforms = {};
+        visualizer.unfedUniforms = null; // Resolved on the first frame
+        
+        const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniformCount; i++) {
+            const info = gl.getActiveUniform(program, i);
+            if (!info) continue;
+            
+            // Arrays are reported as "u_name[0]"
+            const name = info.name.replace(/\[0\]$/, '');
+            const location = gl.getUniformLocation(program, info.name);
             if (location !== null) {
-                visualizer.uniforms[name] = location;
+                visualizer.uniforms[name] = { location, type: info.type, size: info.size };
             }
-        });
+        }
         
         console.log(`🎮 Found ${Object.keys(visualizer.uniforms).length} uniforms for ${visualizer.id}`);
     }
@@ -419,7 +1029,7 @@ class VisualizerPool {
         const { gl, program } = visualizer;
         
         // Standard attributes
-        const attributeNames = ['a_position', 'a_w']; // a_w for 4D coordinates
+        const attributeNames = ['a_position', 'a_w', 'a_uv', 'a_morphTarget', 'a_tangentU', 'a_tangentV']; // a_w for 4D coordinates, a_uv for surfaces, a_morphTarget for morphing shapes, a_tangent* for surface lighting
         
         attributeNames.forEach(name => {
             const location = gl.getAttribLocation(program, name);
@@ -432,7 +1042,7 @@ class VisualizerPool {
     }
     
     /**
-     * Setup geometry buffers for visualizer
+     * Setup geometry buffers for visualizer (shared per context and geometry data)
      */
     setupGeometryBuffers(visualizer) {
         const { gl, geometry } = visualizer;
@@ -442,38 +1052,163 @@ class VisualizerPool {
             return;
         }
         
-        // Position buffer
-        if (geometry.vertices.positions) {
-            const positionBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, geometry.vertices.positions, gl.STATIC_DRAW);
-            visualizer.buffers.position = positionBuffer;
+        // Buffers are keyed by the vertex data object, so regenerated data gets new buffers
+        const cache = this.getContextCache(gl);
+        const buffersKey = geometry.vertices;
+        const cached = cache.geometryBuffers.get(buffersKey);
+        if (cached) {
+            cached.refCount++;
+            visualizer.buffers = cached.buffers;
+            visualizer.buffersKey = buffersKey;
+            console.log(`🎮 Reusing geometry buffers for ${visualizer.id} (${geometry.name})`);
+            return;
         }
         
-        // W coordinate buffer (for 4D geometries)
-        if (geometry.vertices.wCoords) {
-            const wBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, wBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, geometry.vertices.wCoords, gl.STATIC_DRAW);
-            visualizer.buffers.w = wBuffer;
+        // Report what this context cannot draw as configured (index range, shader errors)
+        this.geometryRegistry?.validateGeometry(geometry.name, gl);
+        
+        // 32-bit indices need WebGL2 or OES_element_index_uint; otherwise draw 16-bit chunks
+        const needsChunks = geometry.indices instanceof Uint32Array && !cache.uint32Indices;
+        const primitiveSize = geometry.primitive === 'triangles' ? 3 : 2;
+        const buffers = needsChunks ?
+            { chunks: this.createMeshChunks(gl, geometry.vertices, geometry.indices, primitiveSize) } :
+            this.createVertexBuffers(gl, geometry.vertices, geometry.indices);
+        
+        // Edges drawn over lit surfaces
+        if (geometry.wireframeIndices && needsChunks) {
+            buffers.wireframeChunks = this.createMeshChunks(gl, geometry.vertices, geometry.wireframeIndices, 2);
+        } else if (geometry.wireframeIndices) {
+            buffers.wireframeIndex = gl.createBuffer();
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.wireframeIndex);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.wireframeIndices, gl.STATIC_DRAW);
         }
         
-        // Index buffer
-        if (geometry.indices) {
-            const indexBuffer = gl.createBuffer();
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.indices, gl.STATIC_DRAW);
-            visualizer.buffers.index = indexBuffer;
-        }
+        cache.geometryBuffers.set(buffersKey, { buffers, refCount: 1 });
+        visualizer.buffers = buffers;
+        visualizer.buffersKey = buffersKey;
         
         console.log(`🎮 Geometry buffers setup for ${visualizer.id}`);
     }
     
     /**
-     * Setup canvas viewport
+     * Upload vertex attribute arrays (and indices) to new static buffers
      */
-    setupCanvasViewport(visualizer) {
-        const { canvas, gl } = visualizer;
+    createVertexBuffers(gl, vertices, indices) {
+        const buffers = {};
+        
+        // Position buffer
+        if (vertices.positions) {
+            const positionBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices.positions, gl.STATIC_DRAW);
+            buffers.position = positionBuffer;
+        }
+        
+        // W coordinate buffer (for 4D geometries)
+        if (vertices.wCoords) {
+            const wBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, wBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices.wCoords, gl.STATIC_DRAW);
+            buffers.w = wBuffer;
+        }
+        
+        // UV buffer (for parametric surfaces)
+        if (vertices.uvs) {
+            const uvBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, uvBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices.uvs, gl.STATIC_DRAW);
+            buffers.uv = uvBuffer;
+        }
+        
+        // Morph target buffer (second shape blended in by u_morphFactor)
+        if (vertices.morphTargets) {
+            const morphBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, morphBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices.morphTargets, gl.STATIC_DRAW);
+            buffers.morphTarget = morphBuffer;
+        }
+        
+        // 4D tangent buffers (surface normals for lighting)
+        if (vertices.tangentsU && vertices.tangentsV) {
+            buffers.tangentU = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.tangentU);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices.tangentsU, gl.STATIC_DRAW);
+            
+            buffers.tangentV = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.tangentV);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices.tangentsV, gl.STATIC_DRAW);
+        }
+        
+        // Index buffer
+        if (indices) {
+            const indexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+            buffers.index = indexBuffer;
+        }
+        
+        return buffers;
+    }
+    
+    /**
+     * Split a mesh with 32-bit indices into chunks of whole primitives (of
+     * primitiveSize indices) that each reference at most 65,536 vertices, with
+     * their own vertex and 16-bit index buffers
+     */
+    createMeshChunks(gl, vertices, indices, primitiveSize) {
+        const chunks = [];
+        
+        let remap = new Map(); // source index → chunk index
+        let chunkIndices = [];
+        
+        const gather = (source, size, order) => {
+            if (!source) return null;
+            const gathered = new Float32Array(order.length * size);
+            order.forEach((index, i) => gathered.set(source.subarray(index * size, index * size + size), i * size));
+            return gathered;
+        };
+        
+        const flush = () => {
+            if (chunkIndices.length === 0) return;
+            const order = Array.from(remap.keys());
+            const chunkVertices = {
+                positions: gather(vertices.positions, 3, order),
+                wCoords: gather(vertices.wCoords, 1, order),
+                uvs: gather(vertices.uvs, 2, order),
+                morphTargets: gather(vertices.morphTargets, 4, order),
+                tangentsU: gather(vertices.tangentsU, 4, order),
+                tangentsV: gather(vertices.tangentsV, 4, order)
+            };
+            chunks.push({
+                buffers: this.createVertexBuffers(gl, chunkVertices, new Uint16Array(chunkIndices)),
+                indexCount: chunkIndices.length
+            });
+            remap = new Map();
+            chunkIndices = [];
+        };
+        
+        for (let i = 0; i + primitiveSize <= indices.length; i += primitiveSize) {
+            const primitive = indices.subarray(i, i + primitiveSize);
+            const added = new Set(Array.from(primitive).filter(index => !remap.has(index))).size;
+            if (remap.size + added > GeometryRegistry.MAX_UINT16_VERTICES) {
+                flush();
+            }
+            
+            primitive.forEach(index => {
+                if (!remap.has(index)) remap.set(index, remap.size);
+                chunkIndices.push(remap.get(index));
+            });
+        }
+        flush();
+        
+        return chunks;
+    }
+    
+    /**
+     * Setup canvas viewport
+     */
+    setupCanvasViewport(visualizer) {
+        const { canvas, gl } = visualizer;
         
         // Set canvas size
         const rect = canvas.getBoundingClientRect();
@@ -482,8 +1217,13 @@ class VisualizerPool {
         canvas.width = rect.width * devicePixelRatio;
         canvas.height = rect.height * devicePixelRatio;
         
-        // Set viewport
-        gl.viewport(0, 0, canvas.width, canvas.height);
+        if (this.contextMode === 'shared') {
+            // The card canvas only receives finished frames from the shared atlas
+            visualizer.context2d = canvas.getContext('2d');
+        } else {
+            // Set viewport
+            gl.viewport(0, 0, canvas.width, canvas.height);
+        }
         
         console.log(`🎮 Canvas viewport: ${canvas.width}x${canvas.height} for ${visualizer.id}`);
     }
@@ -533,6 +1273,9 @@ class VisualizerPool {
         // Render all visualizers
         this.renderAll(timestamp, deltaTime);
         
+        // Trade geometry resolution for frame rate
+        this.updateLevelOfDetail(timestamp, deltaTime);
+        
         // Continue loop
         this.renderLoopId = requestAnimationFrame(this.renderLoop.bind(this));
     }
@@ -541,18 +1284,56 @@ class VisualizerPool {
      * Render all active visualizers
      */
     renderAll(timestamp, deltaTime) {
+        this.processRetries();
+        
+        if (this.contextMode === 'shared') {
+            this.renderShared(timestamp, deltaTime);
+            return;
+        }
+        
         this.visualizers.forEach((visualizer) => {
-            if (visualizer.isReady && !visualizer.hasErrors) {
+            if (visualizer.isReady && !visualizer.hasErrors && !visualizer.isRecovering) {
                 this.renderVisualizer(visualizer, timestamp, deltaTime);
             }
         });
     }
     
+    /**
+     * Render every visualizer into its atlas region, then copy the regions to the cards
+     */
+    renderShared(timestamp, deltaTime) {
+        const { canvas: atlas, gl } = this.sharedContext;
+        const rendered = [];
+        
+        if (gl.isContextLost()) return;
+        
+        this.visualizers.forEach((visualizer) => {
+            const { region } = visualizer;
+            if (!visualizer.isReady || visualizer.hasErrors || visualizer.isRecovering || !region || !region.width || !region.height) return;
+            
+            // Atlas regions are laid out top-down; GL's origin is bottom-left
+            const glY = atlas.height - region.y - region.height;
+            gl.viewport(region.x, glY, region.width, region.height);
+            gl.scissor(region.x, glY, region.width, region.height);
+            
+            this.renderVisualizer(visualizer, timestamp, deltaTime);
+            if (!visualizer.hasErrors) rendered.push(visualizer);
+        });
+        
+        // Copy while the drawing buffer is still valid for this frame
+        rendered.forEach(({ context2d, canvas, region }) => {
+            if (!context2d) return;
+            context2d.clearRect(0, 0, canvas.width, canvas.height);
+            context2d.drawImage(atlas, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+        });
+    }
+    
     /**
      * Render a single visualizer
      */
     renderVisualizer(visualizer, timestamp, deltaTime) {
         const { gl, program, geometry } = visualizer;
+        const startTime = performance.now();
         
         try {
             // Use shader program
@@ -562,134 +1343,275 @@ class VisualizerPool {
             gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
             
             // Update uniforms
-            this.updateUniforms(visualizer, timestamp);
+            const values = this.updateUniforms(visualizer, timestamp);
             
-            // Bind vertex data
-            this.bindVertexData(visualizer);
-            
-            // Draw geometry
-            this.drawGeometry(visualizer);
+            if (values.u_crossSection > 0.5) {
+                // Cross-section mode: draw the slice at w = u_sliceOffset instead of the whole shape
+                const crossSection = this.updateCrossSection(visualizer, values);
+                this.bindVertexData(visualizer, crossSection.buffers);
+                this.drawGeometry(visualizer, crossSection);
+            } else if (values.u_surfaceLighting > 0.5) {
+                // Surface mode: lit triangles with the mesh edges blended over them
+                this.bindVertexData(visualizer);
+                this.drawSurface(visualizer, values);
+            } else {
+                // Bind vertex data
+                this.bindVertexData(visualizer);
+                
+                // Draw geometry
+                this.drawGeometry(visualizer);
+            }
             
             // Update visualizer metrics
             visualizer.frameCount++;
             visualizer.lastRenderTime = timestamp;
+            visualizer.frameCost += (performance.now() - startTime - visualizer.frameCost) * 0.1;
+            
+            // A clean frame after a retry resets the backoff
+            visualizer.retryAttempts = 0;
             
         } catch (error) {
             console.error(`❌ Render error for ${visualizer.id}:`, error);
-            visualizer.hasErrors = true;
-            visualizer.lastError = error.message;
             this.metrics.webglErrors++;
+            this.markVisualizerFailed(visualizer, error);
         }
     }
     
     /**
-     * Update shader uniforms
+     * Update shader uniforms from the current uniform values; returns the values
      */
     updateUniforms(visualizer, timestamp) {
         const { gl, uniforms } = visualizer;
+        const values = this.getUniformValues(visualizer, timestamp);
+        const unfed = visualizer.unfedUniforms === null ? [] : null;
         
-        // Phase 4: Get real-time parameters from HomeMaster
-        const parameters = this.homeMaster ? 
-            this.homeMaster.getGlobalParameters() : 
-            visualizer.parameters; // Fallback to static parameters
-        
-        // Time uniform
-        if (uniforms.u_time) {
-            gl.uniform1f(uniforms.u_time, timestamp);
+        for (const name in uniforms) {
+            if (!this.setUniformValue(gl, uniforms[name], values[name]) && unfed) {
+                unfed.push(name);
+            }
         }
         
-        // Dimension morphing
-        if (uniforms.u_dimension) {
-            gl.uniform1f(uniforms.u_dimension, parameters.u_dimension || 3.5);
+        // Report declared-but-unfed uniforms once per program
+        if (unfed) {
+            visualizer.unfedUniforms = unfed;
+            if (unfed.length > 0) {
+                console.warn(`⚠️ ${visualizer.id} (${visualizer.geometryType}) declares uniforms that are never fed:`, unfed);
+            }
         }
         
-        // Morph factor
-        if (uniforms.u_morphFactor) {
-            gl.uniform1f(uniforms.u_morphFactor, parameters.u_morphFactor || 0.5);
-        }
+        return values;
+    }
+    
+    /**
+     * Collect the values available to shader uniforms this frame. Vectors and
+     * matrices computed here are written into the visualizer's own arrays,
+     * so they are only valid until its next frame.
+     */
+    getUniformValues(visualizer, timestamp) {
+        const { canvas } = visualizer;
+        const scratch = visualizer.uniformScratch || (visualizer.uniformScratch = {
+            resolution: new Float32Array(2),
+            rotation4D: new Float32Array(16),
+            modelView: new Float32Array(16)
+        });
         
-        // Rotation speed
-        if (uniforms.u_rotationSpeed) {
-            gl.uniform1f(uniforms.u_rotationSpeed, parameters.u_rotationSpeed || 0.6);
-        }
+        // Phase 4: Layered real-time parameters from HomeMaster on top of the geometry defaults
+        const parameters = this.homeMaster ?
+            this.homeMaster.getCardParameters(this.getParameterKey(visualizer), visualizer.parameters) :
+            visualizer.parameters;
         
-        // Grid density
-        if (uniforms.u_gridDensity) {
-            gl.uniform1f(uniforms.u_gridDensity, parameters.u_gridDensity || 8.0);
-        }
+        // Orbit camera (default: looking down -Z from distance 2)
+        const camera = this.homeMaster ?
+            this.homeMaster.getCardCamera(this.getParameterKey(visualizer)) :
+            { yaw: 0, pitch: 0, distance: 2 };
         
-        // Line thickness
-        if (uniforms.u_lineThickness) {
-            gl.uniform1f(uniforms.u_lineThickness, parameters.u_lineThickness || 0.02);
-        }
+        // In cross-section mode the slice is cut from the rotated shape on the CPU,
+        // so the shader must not rotate it again
+        const rotation4D = this.createRotation4DMatrix(this.getRotationAngles(visualizer, parameters, timestamp, camera), scratch.rotation4D);
+        const slicing = parameters.u_crossSection > 0.5;
         
-        // Pattern intensity
-        if (uniforms.u_patternIntensity) {
-            gl.uniform1f(uniforms.u_patternIntensity, parameters.u_patternIntensity || 1.0);
-        }
+        // Geometries with morph targets rest at the default u_morphFactor (0.5)
+        // and reach their morph target at its maximum (1.5)
+        const morphTargetBlend = visualizer.geometry.vertices?.morphTargets && Number.isFinite(parameters.u_morphFactor) ?
+            Math.min(Math.max(parameters.u_morphFactor - 0.5, 0), 1) : 0;
         
-        // Color shift
-        if (uniforms.u_colorShift) {
-            gl.uniform1f(uniforms.u_colorShift, parameters.u_colorShift || 0.0);
-        }
+        scratch.resolution[0] = canvas.width;
+        scratch.resolution[1] = canvas.height;
         
-        // Colors
-        if (uniforms.u_primaryColor) {
-            gl.uniform3f(uniforms.u_primaryColor, 0.0, 1.0, 1.0); // Cyan
+        return {
+            // Colors used when no theme is available
+            u_primaryColor: VisualizerPool.DEFAULT_PRIMARY_COLOR,
+            u_secondaryColor: VisualizerPool.DEFAULT_SECONDARY_COLOR,
+            
+            // Perspective projection unless a state or card selects another
+            ...this.projectionManager.getParameters(),
+            
+            ...parameters,
+            u_time: timestamp,
+            u_resolution: scratch.resolution,
+            u_rotation4D: slicing ? VisualizerPool.IDENTITY_MATRIX : rotation4D,
+            sliceRotation4D: rotation4D, // Not a uniform: read by updateCrossSection()
+            u_morphTargetBlend: morphTargetBlend,
+            u_surfaceLighting: !slicing && this.getRenderMode(visualizer.geometry) === 'surface' ? 1.0 : 0.0,
+            u_wireframePass: 0.0,
+            u_modelViewMatrix: this.createOrbitViewMatrix(camera, scratch.modelView),
+            u_projectionMatrix: this.projectionManager.getProjectionMatrix(parameters, canvas.width / canvas.height)
+        };
+    }
+    
+    /**
+     * Upload a value to a uniform according to its GLSL type.
+     * Returns false when the value is missing or does not fit the type.
+     */
+    setUniformValue(gl, uniform, value) {
+        if (value === undefined || value === null) return false;
+        
+        // Samplers and other types are not driven by parameters
+        const layout = this.getUniformLayout(gl, uniform.type);
+        if (!layout) return false;
+        
+        // Vector values may carry extra components (e.g. RGBA feeding a vec3)
+        const isList = Array.isArray(value) || ArrayBuffer.isView(value);
+        const { components } = layout;
+        const length = isList ? value.length : 1;
+        if (length < components) return false;
+        const available = Math.min(length, components * Math.max(1, uniform.size));
+        const count = available - (available % components);
+        
+        // Uploaded from an array kept on the uniform (replaced only when the count changes)
+        let data = uniform.data;
+        if (!data || data.length !== count) {
+            data = uniform.data = layout.integer ? new Int32Array(count) : new Float32Array(count);
         }
-        
-        if (uniforms.u_secondaryColor) {
-            gl.uniform3f(uniforms.u_secondaryColor, 1.0, 0.0, 1.0); // Magenta
+        for (let i = 0; i < count; i++) {
+            const component = isList ? value[i] : value;
+            const number = typeof component === 'boolean' ? (component ? 1 : 0) : Number(component);
+            if (!Number.isFinite(number)) return false;
+            data[i] = layout.integer ? Math.round(number) : number;
         }
         
-        // Model-view and projection matrices (identity for now)
-        if (uniforms.u_modelViewMatrix) {
-            const identity = new Float32Array([
-                1, 0, 0, 0,
-                0, 1, 0, 0,
-                0, 0, 1, 0,
-                0, 0, 0, 1
-            ]);
-            gl.uniformMatrix4fv(uniforms.u_modelViewMatrix, false, identity);
+        if (layout.matrix) {
+            gl[layout.method](uniform.location, false, data);
+        } else {
+            gl[layout.method](uniform.location, data);
         }
-        
-        if (uniforms.u_projectionMatrix) {
-            const perspective = this.createPerspectiveMatrix(45, visualizer.canvas.width / visualizer.canvas.height, 0.1, 100);
-            gl.uniformMatrix4fv(uniforms.u_projectionMatrix, false, perspective);
+        return true;
+    }
+    
+    /**
+     * How values of a uniform type are uploaded: { components, method, integer, matrix },
+     * or undefined for types parameters cannot drive
+     */
+    getUniformLayout(gl, type) {
+        if (!this.uniformLayouts) {
+            // The type enums are the same in every context
+            this.uniformLayouts = new Map([
+                [gl.FLOAT, { components: 1, method: 'uniform1fv' }],
+                [gl.FLOAT_VEC2, { components: 2, method: 'uniform2fv' }],
+                [gl.FLOAT_VEC3, { components: 3, method: 'uniform3fv' }],
+                [gl.FLOAT_VEC4, { components: 4, method: 'uniform4fv' }],
+                [gl.INT, { components: 1, method: 'uniform1iv', integer: true }],
+                [gl.BOOL, { components: 1, method: 'uniform1iv', integer: true }],
+                [gl.INT_VEC2, { components: 2, method: 'uniform2iv', integer: true }],
+                [gl.BOOL_VEC2, { components: 2, method: 'uniform2iv', integer: true }],
+                [gl.INT_VEC3, { components: 3, method: 'uniform3iv', integer: true }],
+                [gl.BOOL_VEC3, { components: 3, method: 'uniform3iv', integer: true }],
+                [gl.INT_VEC4, { components: 4, method: 'uniform4iv', integer: true }],
+                [gl.BOOL_VEC4, { components: 4, method: 'uniform4iv', integer: true }],
+                [gl.FLOAT_MAT2, { components: 4, method: 'uniformMatrix2fv', matrix: true }],
+                [gl.FLOAT_MAT3, { components: 9, method: 'uniformMatrix3fv', matrix: true }],
+                [gl.FLOAT_MAT4, { components: 16, method: 'uniformMatrix4fv', matrix: true }]
+            ]);
         }
+        return this.uniformLayouts.get(type);
     }
     
     /**
      * Bind vertex data for rendering
      */
-    bindVertexData(visualizer) {
-        const { gl, attributes, buffers } = visualizer;
+    bindVertexData(visualizer, buffers = visualizer.buffers) {
+        const { gl, attributes } = visualizer;
         
-        // Bind position attribute
-        if (attributes.a_position && buffers.position) {
+        // Bind position attribute (location 0 is valid, so compare explicitly)
+        if (attributes.a_position !== undefined && buffers.position) {
             gl.bindBuffer(gl.ARRAY_BUFFER, buffers.position);
             gl.enableVertexAttribArray(attributes.a_position);
             gl.vertexAttribPointer(attributes.a_position, 3, gl.FLOAT, false, 0, 0);
         }
         
         // Bind W coordinate attribute (for 4D)
-        if (attributes.a_w && buffers.w) {
+        if (attributes.a_w !== undefined && buffers.w) {
             gl.bindBuffer(gl.ARRAY_BUFFER, buffers.w);
             gl.enableVertexAttribArray(attributes.a_w);
             gl.vertexAttribPointer(attributes.a_w, 1, gl.FLOAT, false, 0, 0);
         }
+        
+        // Bind UV attribute (geometries without UVs read a constant zero)
+        if (attributes.a_uv !== undefined) {
+            if (buffers.uv) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers.uv);
+                gl.enableVertexAttribArray(attributes.a_uv);
+                gl.vertexAttribPointer(attributes.a_uv, 2, gl.FLOAT, false, 0, 0);
+            } else {
+                gl.disableVertexAttribArray(attributes.a_uv);
+                gl.vertexAttrib2f(attributes.a_uv, 0.0, 0.0);
+            }
+        }
+        
+        // Bind morph target attribute (u_morphTargetBlend is 0 without one)
+        if (attributes.a_morphTarget !== undefined) {
+            if (buffers.morphTarget) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers.morphTarget);
+                gl.enableVertexAttribArray(attributes.a_morphTarget);
+                gl.vertexAttribPointer(attributes.a_morphTarget, 4, gl.FLOAT, false, 0, 0);
+            } else {
+                gl.disableVertexAttribArray(attributes.a_morphTarget);
+                gl.vertexAttrib4f(attributes.a_morphTarget, 0.0, 0.0, 0.0, 0.0);
+            }
+        }
+        
+        // Bind 4D tangent attributes (zero without them; only lit surfaces read them)
+        ['a_tangentU', 'a_tangentV'].forEach(name => {
+            if (attributes[name] === undefined) return;
+            const buffer = name === 'a_tangentU' ? buffers.tangentU : buffers.tangentV;
+            if (buffer) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.enableVertexAttribArray(attributes[name]);
+                gl.vertexAttribPointer(attributes[name], 4, gl.FLOAT, false, 0, 0);
+            } else {
+                gl.disableVertexAttribArray(attributes[name]);
+                gl.vertexAttrib4f(attributes[name], 0.0, 0.0, 0.0, 0.0);
+            }
+        });
     }
     
     /**
-     * Draw the geometry
+     * Draw the geometry, or a cross-section of it
      */
-    drawGeometry(visualizer) {
+    drawGeometry(visualizer, crossSection = null) {
         const { gl, geometry, buffers } = visualizer;
         
-        if (buffers.index && geometry.indices) {
-            // Draw with indices (wireframe)
+        if (crossSection) {
+            if (crossSection.primitive === 'lines') {
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, crossSection.buffers.index);
+                gl.drawElements(gl.LINES, crossSection.indexCount, gl.UNSIGNED_SHORT, 0);
+            } else {
+                gl.drawArrays(gl.POINTS, 0, crossSection.vertexCount);
+            }
+        } else if (buffers.chunks) {
+            // 32-bit mesh in a context without 32-bit indices: one draw per 16-bit chunk
+            const mode = geometry.primitive === 'triangles' ? gl.TRIANGLES : gl.LINES;
+            buffers.chunks.forEach(chunk => {
+                this.bindVertexData(visualizer, chunk.buffers);
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, chunk.buffers.index);
+                gl.drawElements(mode, chunk.indexCount, gl.UNSIGNED_SHORT, 0);
+            });
+        } else if (buffers.index && geometry.indices) {
+            // Draw with indices (wireframe edges or surface triangles)
+            const mode = geometry.primitive === 'triangles' ? gl.TRIANGLES : gl.LINES;
+            const indexType = geometry.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.index);
-            gl.drawElements(gl.LINES, geometry.indices.length, gl.UNSIGNED_SHORT, 0);
+            gl.drawElements(mode, geometry.indices.length, indexType, 0);
         } else if (geometry.vertices && geometry.vertices.positions) {
             // Draw without indices (points)
             const vertexCount = geometry.vertices.positions.length / 3;
@@ -698,18 +1620,134 @@ class VisualizerPool {
     }
     
     /**
-     * Create perspective projection matrix
+     * Render mode chosen by the geometry's visuals.json type: 'surface' for
+     * surface geometries with a lit triangle mesh, else the mesh primitive
+     * ('triangles', 'lines' or 'points') drawn unlit
+     */
+    getRenderMode(geometry) {
+        if (geometry.type === 'surface' && geometry.primitive === 'triangles' && geometry.vertices?.tangentsU) {
+            return 'surface';
+        }
+        return geometry.primitive || 'lines';
+    }
+    
+    /**
+     * Draw a lit surface, then its edges at u_wireframeOpacity (0 skips them)
      */
-    createPerspectiveMatrix(fov, aspect, near, far) {
-        const f = Math.tan(Math.PI * 0.5 - 0.5 * fov * Math.PI / 180);
-        const rangeInv = 1.0 / (near - far);
+    drawSurface(visualizer, values) {
+        const { gl, uniforms, buffers } = visualizer;
+        
+        // Push the triangles back slightly so the edges win the depth test
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(1.0, 1.0);
+        this.drawGeometry(visualizer);
+        gl.disable(gl.POLYGON_OFFSET_FILL);
+        
+        if (!(values.u_wireframeOpacity > 0) || !(buffers.wireframeIndex || buffers.wireframeChunks)) return;
+        
+        if (uniforms.u_surfaceLighting) this.setUniformValue(gl, uniforms.u_surfaceLighting, 0.0);
+        if (uniforms.u_wireframePass) this.setUniformValue(gl, uniforms.u_wireframePass, 1.0);
+        
+        this.drawWireframe(visualizer);
+    }
+    
+    /**
+     * Draw the edges of a triangle mesh
+     */
+    drawWireframe(visualizer) {
+        const { gl, geometry, buffers } = visualizer;
+        
+        if (buffers.wireframeChunks) {
+            buffers.wireframeChunks.forEach(chunk => {
+                this.bindVertexData(visualizer, chunk.buffers);
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, chunk.buffers.index);
+                gl.drawElements(gl.LINES, chunk.indexCount, gl.UNSIGNED_SHORT, 0);
+            });
+            return;
+        }
+        
+        const indexType = geometry.wireframeIndices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.wireframeIndex);
+        gl.drawElements(gl.LINES, geometry.wireframeIndices.length, indexType, 0);
+    }
+    
+    /**
+     * Advance a visualizer's per-plane rotation phase and return the angle of
+     * each plane: u_rot<Plane> + phase (+ the orbit camera's 4D offset), where
+     * the phase integrates u_rotSpeed<Plane> (rad/s) scaled by u_rotationSpeed.
+     * Integrating per frame keeps the spin continuous when a state or
+     * blueprint changes the speeds.
+     */
+    getRotationAngles(visualizer, parameters, timestamp, camera = {}) {
+        const { rotationPhase } = visualizer;
+        const master = Number.isFinite(parameters.u_rotationSpeed) ? parameters.u_rotationSpeed : 1.0;
+        
+        // Clamp the step so a backgrounded tab does not jump on its first frame back
+        const elapsed = visualizer.lastRenderTime > 0 ? timestamp - visualizer.lastRenderTime : 0;
+        const deltaSeconds = Math.min(Math.max(elapsed, 0), 100) * 0.001;
+        
+        const angles = {};
+        VisualizerPool.ROTATION_PLANES.forEach(plane => {
+            const suffix = plane.toUpperCase();
+            const speed = parameters[`u_rotSpeed${suffix}`];
+            const angle = parameters[`u_rot${suffix}`];
+            
+            if (Number.isFinite(speed)) {
+                rotationPhase[plane] = (rotationPhase[plane] + speed * master * deltaSeconds) % (Math.PI * 2);
+            }
+            angles[plane] = (Number.isFinite(angle) ? angle : 0) + rotationPhase[plane] + (camera[plane] || 0);
+        });
+        
+        return angles;
+    }
+    
+    /**
+     * Create the column-major view matrix of an orbit camera:
+     * translate(0, 0, -distance) · rotateX(pitch) · rotateY(yaw)
+     * (written into `out` when given)
+     */
+    createOrbitViewMatrix(camera, out = new Float32Array(16)) {
+        const cy = Math.cos(camera.yaw);
+        const sy = Math.sin(camera.yaw);
+        const cp = Math.cos(camera.pitch);
+        const sp = Math.sin(camera.pitch);
+        
+        out[0] = cy; out[1] = sp * sy; out[2] = -cp * sy; out[3] = 0;
+        out[4] = 0; out[5] = cp; out[6] = sp; out[7] = 0;
+        out[8] = sy; out[9] = -sp * cy; out[10] = cp * cy; out[11] = 0;
+        out[12] = 0; out[13] = 0; out[14] = -camera.distance; out[15] = 1;
+        return out;
+    }
+    
+    /**
+     * Create a column-major 4D rotation matrix from per-plane angles.
+     * Planes are applied in ROTATION_PLANES order (XY first, ZW last) with the
+     * same sign convention as the rotate* functions in the rotation4d chunk.
+     * Written into `out` when given.
+     */
+    createRotation4DMatrix(angles, out = new Float32Array(16)) {
+        out.set(VisualizerPool.IDENTITY_MATRIX);
+        
+        const planes = VisualizerPool.ROTATION_PLANES;
+        for (let p = 0; p < planes.length; p++) {
+            const theta = angles[planes[p]] || 0;
+            if (theta === 0) continue;
+            
+            const i = VisualizerPool.AXIS_INDEX[planes[p][0]];
+            const j = VisualizerPool.AXIS_INDEX[planes[p][1]];
+            const c = Math.cos(theta);
+            const s = Math.sin(theta);
+            
+            // Left-multiply by the plane rotation: only rows i and j change
+            for (let col = 0; col < 4; col++) {
+                const a = out[col * 4 + i];
+                const b = out[col * 4 + j];
+                out[col * 4 + i] = c * a + s * b;
+                out[col * 4 + j] = -s * a + c * b;
+            }
+        }
         
-        return new Float32Array([
-            f / aspect, 0, 0, 0,
-            0, f, 0, 0,
-            0, 0, (near + far) * rangeInv, -1,
-            0, 0, near * far * rangeInv * 2, 0
-        ]);
+        return out;
     }
     
     /**
@@ -730,8 +1768,36 @@ class VisualizerPool {
      * Get pool metrics
      */
     getMetrics() {
+        const unfedUniforms = {};
+        this.visualizers.forEach((visualizer, id) => {
+            if (visualizer.unfedUniforms && visualizer.unfedUniforms.length > 0) {
+                unfedUniforms[id] = [...visualizer.unfedUniforms];
+            }
+        });
+        
+        let programs = 0;
+        let geometryBuffers = 0;
+        this.contextCaches.forEach(cache => {
+            programs += cache.programs.size;
+            geometryBuffers += cache.geometryBuffers.size;
+        });
+        
         return {
             ...this.metrics,
+            contextMode: this.contextMode,
+            programs,
+            geometryBuffers,
+            unfedUniforms,
+            failedVisualizers: Array.from(this.visualizers.values())
+                .filter(visualizer => visualizer.hasErrors || visualizer.contextLost)
+                .map(visualizer => visualizer.id),
+            recoveryEvents: [...this.recoveryEvents],
+            lod: {
+                ...this.lodSettings,
+                frameTime: this.lodState.frameTime,
+                geometries: this.getGeometryCosts(),
+                changes: [...this.lodState.changes]
+            },
             isRendering: this.isRendering,
             webglSupported: this.webglSupported,
             webgl2Supported: this.webgl2Supported
@@ -739,12 +1805,23 @@ class VisualizerPool {
     }
     
     /**
-     * Update parameters for a specific visualizer
+     * Key of a visualizer's per-card parameter layer in HomeMaster
+     */
+    getParameterKey(visualizer) {
+        return visualizer.cardId || visualizer.id;
+    }
+    
+    /**
+     * Update parameters for a specific visualizer (per-card override layer)
      */
     updateVisualizerParameters(visualizerId, parameters) {
         const visualizer = this.getVisualizer(visualizerId);
         if (visualizer) {
-            Object.assign(visualizer.parameters, parameters);
+            if (this.homeMaster) {
+                this.homeMaster.setCardParameters(this.getParameterKey(visualizer), parameters);
+            } else {
+                Object.assign(visualizer.parameters, parameters);
+            }
             console.log(`🎮 Updated parameters for ${visualizerId}`);
         }
     }
@@ -753,12 +1830,370 @@ class VisualizerPool {
      * Update parameters for all visualizers
      */
     updateAllParameters(parameters) {
-        this.visualizers.forEach((visualizer) => {
-            Object.assign(visualizer.parameters, parameters);
+        this.visualizers.forEach((visualizer, visualizerId) => {
+            this.updateVisualizerParameters(visualizerId, parameters);
         });
         console.log(`🎮 Updated parameters for all ${this.visualizers.size} visualizers`);
     }
     
+    /**
+     * Switch visualizers to another geometry without recreating their canvas.
+     * Target is a visualizer id, a card id, or 'all'. Returns the switched ids.
+     */
+    async switchGeometry(geometryName, target = 'all') {
+        const visualizers = this.getVisualizersForTarget(target);
+        if (visualizers.length === 0) {
+            console.warn(`⚠️ No visualizers found for target: ${target}`);
+            return [];
+        }
+        
+        const switched = [];
+        for (const visualizer of visualizers) {
+            if (await this.setVisualizerGeometry(visualizer.id, geometryName)) {
+                switched.push(visualizer.id);
+            }
+        }
+        
+        return switched;
+    }
+    
+    /**
+     * Rebuild the visualizers showing geometries whose shaders were reloaded
+     */
+    async refreshGeometries(geometryNames) {
+        const refreshed = [];
+        
+        for (const visualizer of this.visualizers.values()) {
+            if (!geometryNames.includes(visualizer.geometry.name) || visualizer.contextLost) continue;
+            
+            // A reloaded shader gets a fresh retry budget
+            visualizer.retryAttempts = 0;
+            if (await this.rebuildVisualizer(visualizer)) {
+                refreshed.push(visualizer.id);
+            }
+        }
+        
+        console.log(`🎮 Rebuilt ${refreshed.length} visualizer(s) after shader reload`);
+        return refreshed;
+    }
+    
+    /**
+     * Resolve a visualizer id, card id or 'all' to visualizer instances
+     */
+    getVisualizersForTarget(target) {
+        if (!target || target === 'all') {
+            return Array.from(this.visualizers.values());
+        }
+        
+        if (this.visualizers.has(target)) {
+            return [this.visualizers.get(target)];
+        }
+        
+        return Array.from(this.visualizers.values()).filter(visualizer => visualizer.cardId === target);
+    }
+    
+    /**
+     * Swap a live visualizer to another geometry in place.
+     * The program is reused when the shader sources match; the old buffers are disposed.
+     */
+    async setVisualizerGeometry(visualizerId, geometryName) {
+        const visualizer = this.getVisualizer(visualizerId);
+        if (!visualizer) {
+            console.warn(`⚠️ Visualizer '${visualizerId}' not found`);
+            return false;
+        }
+        
+        if (visualizer.geometry && visualizer.geometry.name === geometryName && !visualizer.hasErrors) {
+            return true;
+        }
+        
+        const geometry = this.geometryRegistry.geometries.get(geometryName);
+        if (!geometry || !geometry.isLoaded || !geometry.vertexShader || !geometry.fragmentShader ||
+            !geometry.vertices || !geometry.vertices.positions) {
+            console.warn(`⚠️ Geometry '${geometryName}' is not renderable by the pool`);
+            return false;
+        }
+        
+        // A paused visualizer picks the new geometry up when its context is restored
+        if (visualizer.contextLost) {
+            Object.assign(visualizer, {
+                geometry: geometry,
+                geometryType: geometryName,
+                parameters: this.geometryRegistry.getDefaultParameters(geometryName)
+            });
+            visualizer.canvas.dataset.geometry = geometryName;
+            console.log(`🎮 ${visualizerId}: context lost, ${geometryName} queued for restore`);
+            return true;
+        }
+        
+        // Build the replacement resources before touching the live visualizer.
+        // The context cache hands back the existing program when the sources match.
+        const staged = {
+            ...visualizer,
+            geometry: geometry,
+            program: null,
+            programKey: null,
+            uniforms: {},
+            attributes: {},
+            buffers: {},
+            buffersKey: null,
+            hasErrors: false,
+            lastError: null
+        };
+        
+        try {
+            await this.setupVisualizerProgram(staged);
+            this.setupGeometryBuffers(staged);
+        } catch (error) {
+            console.error(`❌ Failed to switch ${visualizerId} to ${geometryName}:`, error);
+            if (staged.buffersKey) this.releaseGeometryResources(staged);
+            if (staged.programKey) this.releaseProgram(staged);
+            return false;
+        }
+        
+        // Dispose the old resources and adopt the new ones
+        const reusedProgram = staged.program === visualizer.program;
+        this.releaseGeometryResources(visualizer);
+        if (visualizer.programKey) this.releaseProgram(visualizer);
+        
+        const previousGeometry = visualizer.geometryType;
+        Object.assign(visualizer, {
+            geometry: geometry,
+            geometryType: geometryName,
+            program: staged.program,
+            programKey: staged.programKey,
+            uniforms: staged.uniforms,
+            unfedUniforms: staged.unfedUniforms,
+            attributes: staged.attributes,
+            buffers: staged.buffers,
+            buffersKey: staged.buffersKey,
+            parameters: this.geometryRegistry.getDefaultParameters(geometryName),
+            isReady: true,
+            hasErrors: false,
+            lastError: null
+        });
+        visualizer.canvas.dataset.geometry = geometryName;
+        
+        console.log(`🎮 ${visualizerId}: ${previousGeometry} → ${geometryName}${reusedProgram ? ' (program reused)' : ''}`);
+        return true;
+    }
+    
+    /**
+     * Average the frame time over lodSettings.checkInterval, then step one
+     * geometry's level of detail down (frames over budget) or up (headroom)
+     */
+    updateLevelOfDetail(timestamp, deltaTime) {
+        const { enabled, targetFPS, checkInterval, headroom, retryDelay } = this.lodSettings;
+        const state = this.lodState;
+        
+        // Ignore the gaps of hidden tabs and stalled frames
+        if (!enabled || !(deltaTime > 0) || deltaTime > 1000) return;
+        
+        state.elapsed += deltaTime;
+        state.frames++;
+        if (state.elapsed < checkInterval) return;
+        
+        state.frameTime = state.elapsed / state.frames;
+        state.elapsed = 0;
+        state.frames = 0;
+        
+        const frameBudget = 1000 / targetFPS;
+        const costs = this.getGeometryCosts();
+        const { lodLevels } = this.geometryRegistry;
+        
+        if (state.frameTime > frameBudget) {
+            // Lower the most expensive geometry that can still go lower
+            const candidate = costs
+                .filter(({ level, pending }) => !pending && lodLevels.indexOf(level) > 0)
+                .sort((a, b) => b.cost - a.cost)[0];
+            if (!candidate) return;
+            
+            state.slowLevels.set(candidate.name, { level: candidate.level, until: timestamp + retryDelay });
+            this.setGeometryLOD(candidate.name, lodLevels[lodLevels.indexOf(candidate.level) - 1], state.frameTime);
+            
+        } else if (state.frameTime < frameBudget * headroom) {
+            // Raise the cheapest geometry below its budget, skipping levels that recently proved too slow
+            const candidate = costs
+                .filter(({ name, level, budget, pending }) => {
+                    const slow = state.slowLevels.get(name);
+                    const next = lodLevels[lodLevels.indexOf(level) + 1];
+                    return !pending && lodLevels.indexOf(level) < lodLevels.indexOf(budget) &&
+                        !(slow && slow.level === next && slow.until > timestamp);
+                })
+                .sort((a, b) => a.cost - b.cost)[0];
+            if (!candidate) return;
+            
+            this.setGeometryLOD(candidate.name, lodLevels[lodLevels.indexOf(candidate.level) + 1], state.frameTime);
+        }
+    }
+    
+    /**
+     * Level, budget and summed render cost (ms per frame) of every displayed
+     * geometry that has levels of detail, and whether a new level is on its way
+     */
+    getGeometryCosts() {
+        const costs = new Map();
+        const lodGeometries = this.geometryRegistry.getLODGeometryNames();
+        
+        this.visualizers.forEach(visualizer => {
+            const { geometry } = visualizer;
+            if (!geometry || !lodGeometries.includes(geometry.name) || !visualizer.isReady || visualizer.hasErrors) return;
+            
+            if (!costs.has(geometry.name)) {
+                costs.set(geometry.name, {
+                    name: geometry.name,
+                    level: geometry.lodLevel,
+                    budget: geometry.lodBudget,
+                    pending: this.geometryRegistry.isRegenerating(geometry.name),
+                    cost: 0
+                });
+            }
+            costs.get(geometry.name).cost += visualizer.frameCost;
+        });
+        
+        return Array.from(costs.values());
+    }
+    
+    /**
+     * Regenerate a geometry at another level of detail. The visualizers showing
+     * it keep the current mesh until the new one arrives (refreshGeometryBuffers).
+     */
+    async setGeometryLOD(geometryName, level, frameTime = this.lodState.frameTime) {
+        const previousLevel = this.geometryRegistry.geometries.get(geometryName)?.lodLevel;
+        if (!await this.geometryRegistry.setGeometryLOD(geometryName, level)) {
+            return false;
+        }
+        
+        this.lodState.changes.push({
+            geometry: geometryName,
+            from: previousLevel,
+            to: level,
+            frameTime: frameTime,
+            timestamp: Date.now()
+        });
+        if (this.lodState.changes.length > this.maxLODChanges) {
+            this.lodState.changes.shift();
+        }
+        
+        console.log(`🎮 ${geometryName} LOD ${previousLevel} → ${level} (frame time ${frameTime.toFixed(1)}ms)`);
+        return true;
+    }
+    
+    /**
+     * Move every visualizer showing a regenerated geometry onto buffers for its new mesh
+     */
+    refreshGeometryBuffers(geometryName) {
+        // Paused visualizers pick the new data up when their context is restored
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.geometry.name !== geometryName || visualizer.contextLost || !visualizer.buffersKey) return;
+            
+            this.releaseGeometryResources(visualizer);
+            this.setupGeometryBuffers(visualizer);
+        });
+    }
+    
+    /**
+     * Slice the visualizer's geometry by the hyperplane w = u_sliceOffset and
+     * upload the result to its own dynamic buffers (the shared geometry
+     * buffers stay untouched). The last slice is kept until the offset,
+     * rotation, morph blend or vertex data change.
+     */
+    updateCrossSection(visualizer, values) {
+        const { gl, geometry } = visualizer;
+        const offset = Number.isFinite(values.u_sliceOffset) ? values.u_sliceOffset : 0;
+        const rotation = values.sliceRotation4D;
+        const morph = values.u_morphTargetBlend || 0;
+        
+        const current = visualizer.crossSection;
+        if (current && current.vertices === geometry.vertices && current.offset === offset && current.morph === morph &&
+            current.rotation.every((value, i) => value === rotation[i])) {
+            return current;
+        }
+        
+        const slice = this.crossSectionSlicer.slice(geometry, rotation, offset, morph);
+        
+        if (!visualizer.crossSection) {
+            visualizer.crossSection = {
+                buffers: {
+                    position: gl.createBuffer(),
+                    w: gl.createBuffer(),
+                    uv: slice.uvs ? gl.createBuffer() : null,
+                    index: gl.createBuffer()
+                }
+            };
+        }
+        
+        const { buffers } = visualizer.crossSection;
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.position);
+        gl.bufferData(gl.ARRAY_BUFFER, slice.positions, gl.DYNAMIC_DRAW);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.w);
+        gl.bufferData(gl.ARRAY_BUFFER, slice.wCoords, gl.DYNAMIC_DRAW);
+        
+        if (buffers.uv && slice.uvs) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.uv);
+            gl.bufferData(gl.ARRAY_BUFFER, slice.uvs, gl.DYNAMIC_DRAW);
+        }
+        
+        if (slice.indices) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.index);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, slice.indices, gl.DYNAMIC_DRAW);
+        }
+        
+        Object.assign(visualizer.crossSection, {
+            primitive: slice.primitive,
+            vertexCount: slice.vertexCount,
+            indexCount: slice.indices ? slice.indices.length : 0,
+            vertices: geometry.vertices,
+            rotation: Float32Array.from(rotation),
+            offset,
+            morph
+        });
+        
+        return visualizer.crossSection;
+    }
+    
+    /**
+     * Delete a visualizer's cross-section buffers
+     */
+    releaseCrossSection(visualizer) {
+        const { gl, crossSection } = visualizer;
+        if (!crossSection) return;
+        
+        Object.values(crossSection.buffers).forEach(buffer => {
+            if (buffer) gl.deleteBuffer(buffer);
+        });
+        visualizer.crossSection = null;
+    }
+    
+    /**
+     * Disable vertex attributes and release the visualizer's geometry buffers
+     * (deleted once no visualizer in the context uses them)
+     */
+    releaseGeometryResources(visualizer) {
+        const { gl, attributes, buffersKey } = visualizer;
+        
+        Object.values(attributes).forEach(location => gl.disableVertexAttribArray(location));
+        
+        const cache = this.getContextCache(gl);
+        const entry = cache.geometryBuffers.get(buffersKey);
+        if (entry && --entry.refCount <= 0) {
+            const { chunks = [], wireframeChunks = [], ...buffers } = entry.buffers;
+            [buffers, ...chunks.concat(wireframeChunks).map(chunk => chunk.buffers)].forEach(bufferSet => {
+                Object.values(bufferSet).forEach(buffer => {
+                    if (buffer) gl.deleteBuffer(buffer);
+                });
+            });
+            cache.geometryBuffers.delete(buffersKey);
+        }
+        
+        visualizer.buffers = {};
+        visualizer.buffersKey = null;
+        
+        this.releaseCrossSection(visualizer);
+    }
+    
     /**
      * Shutdown the visualizer pool
      */
@@ -767,24 +2202,44 @@ class VisualizerPool {
         
         this.stopRenderLoop();
         
+        if (this.unsubscribeShaderReload) {
+            this.unsubscribeShaderReload();
+            this.unsubscribeShaderReload = null;
+        }
+        
+        if (this.unsubscribeGeometryUpdate) {
+            this.unsubscribeGeometryUpdate();
+            this.unsubscribeGeometryUpdate = null;
+        }
+        
         // Cleanup WebGL contexts
         this.visualizers.forEach((visualizer) => {
-            const { gl, program, buffers } = visualizer;
+            const { gl } = visualizer;
             
-            // Delete buffers
-            Object.values(buffers).forEach(buffer => {
-                if (buffer) gl.deleteBuffer(buffer);
-            });
+            // Deliberate context loss below must not trigger recovery
+            this.detachContextLossHandlers(visualizer.contextHandlers);
             
-            // Delete program
-            if (program) gl.deleteProgram(program);
+            // Release buffers and program
+            this.releaseGeometryResources(visualizer);
+            if (visualizer.programKey) this.releaseProgram(visualizer);
             
-            // Lose context
-            const ext = gl.getExtension('WEBGL_lose_context');
-            if (ext) ext.loseContext();
+            // Lose context (the shared context is released below)
+            if (this.contextMode !== 'shared') {
+                const ext = gl.getExtension('WEBGL_lose_context');
+                if (ext) ext.loseContext();
+            }
         });
         
+        if (this.sharedContext) {
+            this.detachContextLossHandlers(this.sharedContext.contextHandlers);
+            const ext = this.sharedContext.gl.getExtension('WEBGL_lose_context');
+            if (ext) ext.loseContext();
+            this.sharedContext = null;
+        }
+        
         this.visualizers.clear();
+        this.contextCaches.clear();
+        this.recoveryEvents = [];
         this.metrics.activeVisualizers = 0;
         this.isInitialized = false;
         
@@ -792,6 +2247,17 @@ class VisualizerPool {
     }
 }
 
+// 4D rotation planes in the order they are applied (see createRotation4DMatrix)
+VisualizerPool.ROTATION_PLANES = ['xy', 'xz', 'yz', 'xw', 'yw', 'zw'];
+VisualizerPool.AXIS_INDEX = { x: 0, y: 1, z: 2, w: 3 };
+
+// u_rotation4D while cross-sections are drawn (the slice is already rotated)
+VisualizerPool.IDENTITY_MATRIX = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+// Colors used when no theme is available (cyan, magenta)
+VisualizerPool.DEFAULT_PRIMARY_COLOR = new Float32Array([0.0, 1.0, 1.0]);
+VisualizerPool.DEFAULT_SECONDARY_COLOR = new Float32Array([1.0, 0.0, 1.0]);
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VisualizerPool;
@@ -268,3 +268,10 @@ console.log("Wave Geometry Indices Count:", wave.getIndices().length);
 // Performance could be an issue with high divisions.
 // Alternative: use points and shader to color based on 'w' value, or isosurface extraction.
 */
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaveGeometry;
+} else {
+    window.WaveGeometry = WaveGeometry;
+}
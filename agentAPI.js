@@ -86,7 +86,8 @@ class AgentAPI {
      * Navigate to a specific state
      * @param {string} stateId - Target state ID
      * @param {Object} options - Navigation options
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<string|Object>} 'completed', 'interrupted' or 'cancelled';
+     *   { error } with the reason for an unknown state or a blocked transition
      */
     async navigateTo(stateId, options = {}) {
         return this._apiCall('navigateTo', async () => {
@@ -97,10 +98,82 @@ class AgentAPI {
             const result = await this.homeMaster.navigateTo(stateId, options);
             this.metrics.navigationCalls++;
             
+            if (result === false) {
+                const failure = this.homeMaster.lastNavigationError;
+                this.lastError = failure?.toState === stateId ? failure.reason : `Navigation to '${stateId}' failed`;
+                return { error: this.lastError };
+            }
+            
             return result;
         }, [stateId, options]);
     }
 
+    /**
+     * Check whether a state can be reached from the current one
+     * @param {string} stateId - Target state ID
+     * @returns {Object} { allowed, reason } (reason is null when allowed)
+     */
+    canNavigateTo(stateId) {
+        return this._apiCall('canNavigateTo', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+            
+            return this.homeMaster.canNavigateTo(stateId);
+        }, [stateId]);
+    }
+
+    /**
+     * Get a URL that opens the current view (state, focused card, changed parameters)
+     * @returns {string} Absolute URL
+     */
+    getShareableUrl() {
+        return this._apiCall('getShareableUrl', () => {
+            if (!this.systemController?.stateRouter) {
+                throw new Error('StateRouter not available');
+            }
+            
+            return this.systemController.stateRouter.getUrl();
+        });
+    }
+
+    /**
+     * Export the current session (state, parameters, card positions, keyboard binding changes)
+     * @returns {Object} Session data in the current schema
+     */
+    exportSession() {
+        return this._apiCall('exportSession', () => {
+            if (!this.systemController?.sessionStore) {
+                throw new Error('SessionStore not available');
+            }
+            
+            return this.systemController.sessionStore.createSession();
+        });
+    }
+
+    /**
+     * Import a session (any supported schema version; older ones are migrated)
+     * @param {Object|string} session - Session data or its JSON text
+     * @returns {Promise<Object>} The applied session in the current schema, or { error }
+     */
+    async importSession(session) {
+        return this._apiCall('importSession', async () => {
+            if (!this.systemController?.sessionStore) {
+                return { error: 'SessionStore not available' };
+            }
+            
+            // Invalid data rejects after _apiCall has returned; report it the same way
+            try {
+                const applied = await this.systemController.sessionStore.importSession(session);
+                this.systemController.updateCardStatesFromHomeMaster();
+                return applied;
+            } catch (error) {
+                this.lastError = error.message;
+                return { error: error.message };
+            }
+        }, [session]);
+    }
+
     /**
      * Set a master parameter value
      * @param {string} parameterName - Parameter name (e.g., 'u_dimension')
@@ -134,6 +207,165 @@ class AgentAPI {
         });
     }
 
+    /**
+     * Set the 4D → 3D projection globally or for one card
+     * @param {string|Object} projection - 'orthographic' or { type: 'stereographic', radius: 1.5, poleSign: -1 }
+     * @param {string|null} cardId - Card to override, or null for the global projection
+     * @returns {Object} The resulting projection (dominant type, weights, uniforms)
+     */
+    setProjection(projection, cardId = null) {
+        return this._apiCall('setProjection', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+            
+            if (cardId) {
+                this.homeMaster.setCardProjection(cardId, projection);
+            } else {
+                const parameters = this.homeMaster.projectionManager.getParameters(projection);
+                Object.entries(parameters).forEach(([name, value]) => this.homeMaster.updateParameter(name, value));
+            }
+            this.metrics.parameterUpdates++;
+            
+            return this.homeMaster.getProjection(cardId);
+        }, [projection, cardId]);
+    }
+
+    /**
+     * Get the 4D → 3D projection in effect globally or for one card
+     * @param {string|null} cardId - Card to inspect, or null for the global projection
+     * @returns {Object} Dominant type, blend weights and projection uniforms
+     */
+    getProjection(cardId = null) {
+        return this._apiCall('getProjection', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+            
+            return this.homeMaster.getProjection(cardId);
+        }, [cardId]);
+    }
+
+    /**
+     * Switch between projecting the whole 4D shape and drawing its cross-section
+     * @param {boolean} enabled - Draw the slice by the hyperplane w = offset
+     * @param {number} offset - Hyperplane position along W (about -0.5..0.5 spans the geometries)
+     * @param {string|null} cardId - Card to override, or null for all cards
+     * @returns {Object} The resulting { u_crossSection, u_sliceOffset }
+     */
+    setCrossSection(enabled, offset = 0, cardId = null) {
+        return this._apiCall('setCrossSection', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+            
+            const parameters = { u_crossSection: enabled ? 1.0 : 0.0, u_sliceOffset: offset };
+            if (cardId) {
+                this.homeMaster.setCardParameters(cardId, parameters);
+            } else {
+                Object.entries(parameters).forEach(([name, value]) => this.homeMaster.updateParameter(name, value));
+            }
+            this.metrics.parameterUpdates++;
+            
+            return parameters;
+        }, [enabled, offset, cardId]);
+    }
+
+    /**
+     * Set a card's orbit camera
+     * @param {string} cardId - Card id (e.g., 'card-01')
+     * @param {Object} camera - Any of { yaw, pitch, distance, xw, yw, zw }; radians and world units
+     * @returns {Object} The resulting camera
+     */
+    setCardCamera(cardId, camera) {
+        return this._apiCall('setCardCamera', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+
+            return this.homeMaster.setCardCamera(cardId, camera);
+        }, [cardId, camera]);
+    }
+
+    /**
+     * Serialize the current view (state, parameters, card overrides and cameras)
+     * @returns {Object} Plain-JSON preset
+     */
+    exportPreset() {
+        return this._apiCall('exportPreset', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+
+            return this.homeMaster.exportPreset();
+        });
+    }
+
+    /**
+     * Restore a view saved with exportPreset()
+     * @param {Object} preset - Preset object
+     * @returns {boolean} Success status
+     */
+    applyPreset(preset) {
+        return this._apiCall('applyPreset', () => {
+            if (!this.homeMaster) {
+                throw new Error('HomeMaster not available');
+            }
+
+            return this.homeMaster.applyPreset(preset);
+        }, [preset]);
+    }
+
+    /**
+     * Switch the geometry rendered by a card's visualizer
+     * @param {string} geometryName - Geometry name (e.g., 'klein')
+     * @param {string} target - Card id, visualizer id, or 'all'
+     * @returns {Promise<string[]>} Ids of the visualizers that switched
+     */
+    async setGeometry(geometryName, target = 'all') {
+        return this._apiCall('setGeometry', async () => {
+            if (!this.visualizerPool) {
+                throw new Error('VisualizerPool not available');
+            }
+            
+            return await this.visualizerPool.switchGeometry(geometryName, target);
+        }, [geometryName, target]);
+    }
+
+    /**
+     * Get structured shader compile/link errors
+     * @param {string|null} geometryName - Geometry to inspect, or null for every geometry with errors
+     * @returns {Array|Object} Errors with stage, line, column, source excerpt and geometry
+     */
+    getShaderErrors(geometryName = null) {
+        return this._apiCall('getShaderErrors', () => {
+            const geometryRegistry = this.visualizerPool?.geometryRegistry;
+            if (!geometryRegistry) {
+                throw new Error('GeometryRegistry not available');
+            }
+            
+            return geometryRegistry.getShaderErrors(geometryName);
+        }, [geometryName]);
+    }
+
+    /**
+     * Re-fetch .glsl shader files and rebuild the visualizers using them.
+     * `#include <name>` chunks live in ShaderChunkLibrary.js, not in files: after
+     * replacing one with ShaderChunkLibrary.getShared().register(), reload all.
+     * @param {string|null} shaderPath - Changed file, as the shaders name it (e.g. 'torus.glsl'), or null for all
+     * @returns {Promise<string[]>} Names of the geometries whose shaders were reloaded
+     */
+    async reloadShaders(shaderPath = null) {
+        return this._apiCall('reloadShaders', async () => {
+            const geometryRegistry = this.visualizerPool?.geometryRegistry;
+            if (!geometryRegistry) {
+                throw new Error('GeometryRegistry not available');
+            }
+            
+            return await geometryRegistry.reloadShaderFiles(shaderPath);
+        }, [shaderPath]);
+    }
+
     /**
      * Get current system state information
      * @returns {Object} State information
@@ -269,8 +501,13 @@ class AgentAPI {
                 webglStatus: {
                     supported: this.visualizerPool?.webglSupported || false,
                     webgl2: this.visualizerPool?.webgl2Supported || false,
-                    activeVisualizers: this.visualizerPool?.visualizers?.size || 0
+                    activeVisualizers: this.visualizerPool?.visualizers?.size || 0,
+                    contextMode: this.visualizerPool?.contextMode || null,
+                    contextLosses: this.visualizerPool?.metrics?.contextLosses || 0,
+                    contextRestores: this.visualizerPool?.metrics?.contextRestores || 0,
+                    recovery: this.visualizerPool?.getRecoveryStatus() || null
                 },
+                shaderErrors: this.visualizerPool?.geometryRegistry?.getShaderErrors() || {},
                 performance: this.getPerformanceMetrics()
             };
         });
@@ -17,6 +17,9 @@ if (typeof window === 'undefined') {
 // Load JsonConfigSystem
 const JsonConfigSystem = require('./JsonConfigSystem.js');
 
+// Load the shared GLSL chunks used by the registry's shaders
+global.ShaderChunkLibrary = require('./ShaderChunkLibrary.js');
+
 // Load GeometryRegistry
 const GeometryRegistry = require('./GeometryRegistry.js');
 
@@ -0,0 +1,12 @@
+// klein.glsl - Klein Bottle
+// Lines before the first #pragma are shared by both stages.
+// The stages are the standard ones from ShaderChunkLibrary; replace an
+// #include with this geometry's own GLSL to give it a shader of its own.
+
+precision highp float;
+
+#pragma vertex
+#include <standard-vertex>
+
+#pragma fragment
+#include <standard-fragment>
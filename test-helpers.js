@@ -0,0 +1,93 @@
+/**
+ * VIB34D HomeMaster Test Helpers
+ *
+ * Setup shared by the node test scripts that drive HomeMaster
+ * (test-state-hooks.js, test-transition-guards.js, test-session-store.js); not
+ * a test script itself:
+ * - the browser globals HomeMaster uses, with a manual animation clock
+ * - HomeMaster initialized from the repo's JSON configs
+ * - settling transitions, reporting checks, running a script's tests
+ */
+
+const fs = require('fs');
+
+// Browser globals HomeMaster and InteractionCoordinator use, with a manual clock
+let clock = 0;
+const frames = new Map();
+let nextFrame = 1;
+global.performance = { now: () => clock };
+global.requestAnimationFrame = (callback) => { frames.set(nextFrame, callback); return nextFrame++; };
+global.cancelAnimationFrame = (id) => frames.delete(id);
+global.document = { addEventListener() {}, removeEventListener() {} };
+global.ProjectionManager = require('./ProjectionManager.js');
+
+const HomeMaster = require('./HomeMaster.js');
+
+const configs = {
+    stateMap: JSON.parse(fs.readFileSync('./state-map.json', 'utf8')),
+    layout: JSON.parse(fs.readFileSync('./layout-content.json', 'utf8')),
+    visuals: JSON.parse(fs.readFileSync('./visuals.json', 'utf8'))
+};
+
+/**
+ * HomeMaster initialized from the configs
+ */
+async function createHomeMaster() {
+    const homeMaster = new HomeMaster();
+    await homeMaster.initialize({ getConfig: (name) => configs[name] });
+    return homeMaster;
+}
+
+/**
+ * Move the clock forward without running frames
+ */
+function advanceClock(milliseconds) {
+    clock += milliseconds;
+}
+
+/**
+ * Whether an animation frame is waiting to run
+ */
+function hasPendingFrames() {
+    return frames.size > 0;
+}
+
+/**
+ * Run animation frames until no transition is left, then let promises settle
+ */
+async function settle(homeMaster) {
+    for (let i = 0; i < 1000 && (homeMaster.isTransitioning || frames.size > 0); i++) {
+        clock += 16;
+        const callbacks = Array.from(frames.values());
+        frames.clear();
+        callbacks.forEach(callback => callback());
+        await Promise.resolve();
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function check(label, ok, detail = '') {
+    console.log(`   ${ok ? '✅' : '❌'} ${label}${ok || !detail ? '' : ` (${detail})`}`);
+    return ok;
+}
+
+/**
+ * Run a script's runAllTests with the modules' progress logging kept out of
+ * the report, and set the exit code from the result
+ */
+function runQuietly(runAllTests) {
+    const log = console.log;
+    console.log = (...args) => { if (/^(🧪|=|\n|   |🏁)/.test(String(args[0]))) log(...args); };
+    console.warn = () => {};
+    return Promise.resolve(runAllTests()).then(passed => { process.exitCode = passed ? 0 : 1; });
+}
+
+module.exports = {
+    configs,
+    createHomeMaster,
+    advanceClock,
+    hasPendingFrames,
+    settle,
+    check,
+    runQuietly
+};
@@ -0,0 +1,158 @@
+/**
+ * VIB34D Regular Polytope Test Script
+ *
+ * Tests RegularPolytopeGeometry against the known element counts:
+ * - vertices, edges, faces and cells of the six convex regular 4-polytopes
+ * - the same counts for their truncations and rectifications
+ * - Euler characteristic V - E + F - C = 0 and closed face loops
+ *
+ * Run with: node test-polytopes.js
+ */
+
+global.BaseGeometry = require('./BaseGeometry.js');
+const RegularPolytopeGeometry = require('./RegularPolytopeGeometry.js');
+
+console.log('🧪 VIB34D Regular Polytope Tests');
+console.log('================================');
+
+// [vertices, edges, faces, cells]
+const EXPECTED = {
+    '5-cell': { regular: [5, 10, 10, 5], truncated: [20, 40, 30, 10], rectified: [10, 30, 30, 10] },
+    '8-cell': { regular: [16, 32, 24, 8], truncated: [64, 128, 88, 24], rectified: [32, 96, 88, 24] },
+    '16-cell': { regular: [8, 24, 32, 16], truncated: [48, 120, 96, 24], rectified: [24, 96, 96, 24] },
+    '24-cell': { regular: [24, 96, 96, 24], truncated: [192, 384, 240, 48], rectified: [96, 288, 240, 48] },
+    '120-cell': { regular: [600, 1200, 720, 120], truncated: [2400, 4800, 3120, 720], rectified: [1200, 3600, 3120, 720] },
+    '600-cell': { regular: [120, 720, 1200, 600], truncated: [1440, 4320, 3600, 720], rectified: [720, 3600, 3600, 720] }
+};
+
+const TRUNCATIONS = { regular: 0, truncated: 0.3, rectified: 0.5 };
+
+/**
+ * Test 1: Element counts
+ */
+function testCounts() {
+    console.log('\n📐 Test 1: Vertex, edge, face and cell counts');
+    let passed = true;
+
+    Object.entries(EXPECTED).forEach(([polytope, variants]) => {
+        Object.entries(variants).forEach(([variant, expected]) => {
+            const geometry = new RegularPolytopeGeometry({ polytope, truncation: TRUNCATIONS[variant] });
+            const counts = geometry.getCounts();
+            const actual = [counts.vertices, counts.edges, counts.faces, counts.cells];
+            const ok = actual.every((count, i) => count === expected[i]);
+
+            console.log(`   ${ok ? '✅' : '❌'} ${variant} ${polytope}: V=${actual[0]} E=${actual[1]} F=${actual[2]} C=${actual[3]}` +
+                (ok ? '' : ` (expected V=${expected[0]} E=${expected[1]} F=${expected[2]} C=${expected[3]})`));
+            passed = passed && ok;
+        });
+    });
+
+    return passed;
+}
+
+/**
+ * Test 2: Topology sanity (Euler characteristic, closed faces, closed cells)
+ */
+function testTopology() {
+    console.log('\n🔗 Test 2: Euler characteristic and closed faces');
+    let passed = true;
+
+    Object.keys(EXPECTED).forEach(polytope => {
+        Object.values(TRUNCATIONS).forEach(truncation => {
+            const geometry = new RegularPolytopeGeometry({ polytope, truncation });
+            const { vertices, edges, faces, cells } = geometry.getCounts();
+            const problems = [];
+
+            if (vertices - edges + faces - cells !== 0) {
+                problems.push(`V - E + F - C = ${vertices - edges + faces - cells}`);
+            }
+
+            // Every consecutive pair of a face loop must be an edge
+            const edgeSet = new Set();
+            for (let i = 0; i < geometry.indices.length; i += 2) {
+                const [a, b] = [geometry.indices[i], geometry.indices[i + 1]].sort((x, y) => x - y);
+                edgeSet.add(`${a},${b}`);
+            }
+            geometry.getFaces().forEach(face => face.forEach((a, i) => {
+                const key = [a, face[(i + 1) % face.length]].sort((x, y) => x - y).join(',');
+                if (!edgeSet.has(key)) problems.push(`face edge ${key} is not an edge`);
+            }));
+
+            // Every face must bound exactly two cells
+            const cellUses = geometry.getFaces().map(() => 0);
+            geometry.getCells().forEach(cell => cell.forEach(index => cellUses[index]++));
+            if (cellUses.some(uses => uses !== 2)) {
+                problems.push('a face does not bound exactly two cells');
+            }
+
+            if (problems.length > 0) {
+                console.log(`   ❌ ${polytope} (truncation ${truncation}): ${problems.slice(0, 3).join('; ')}`);
+                passed = false;
+            }
+        });
+    });
+
+    if (passed) {
+        console.log('   ✅ All polytopes satisfy V - E + F - C = 0 with closed faces and cells');
+    }
+    return passed;
+}
+
+/**
+ * Test 3: Geometry shape (circumradius and uniform edge lengths)
+ */
+function testShape() {
+    console.log('\n📏 Test 3: Circumradius and edge lengths');
+    let passed = true;
+
+    Object.keys(EXPECTED).forEach(polytope => {
+        const geometry = new RegularPolytopeGeometry({ polytope, size: 2.0 });
+        const v = geometry.getVertices();
+        const point = index => v.slice(index * 4, index * 4 + 4);
+
+        const vertexCount = geometry.getCounts().vertices;
+        let radiusOk = true;
+        for (let i = 0; i < vertexCount; i++) {
+            radiusOk = radiusOk && Math.abs(Math.hypot(...point(i)) - 2.0) < 1e-9;
+        }
+
+        const lengths = [];
+        for (let i = 0; i < geometry.indices.length; i += 2) {
+            lengths.push(geometry.distance(point(geometry.indices[i]), point(geometry.indices[i + 1])));
+        }
+        const edgeOk = Math.max(...lengths) - Math.min(...lengths) < 1e-9;
+
+        const ok = radiusOk && edgeOk;
+        console.log(`   ${ok ? '✅' : '❌'} ${polytope}: circumradius ${radiusOk ? '2.0' : 'mismatch'}, edge length ${lengths[0].toFixed(4)}${edgeOk ? '' : ' (not uniform)'}`);
+        passed = passed && ok;
+    });
+
+    return passed;
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+    const tests = [testCounts, testTopology, testShape];
+    let passedTests = 0;
+
+    tests.forEach(test => {
+        try {
+            if (test()) passedTests++;
+        } catch (error) {
+            console.log(`   💥 Test crashed: ${error.message}`);
+        }
+    });
+
+    console.log('\n================================');
+    console.log(`🏁 Test Results: ${passedTests}/${tests.length} tests passed`);
+    return passedTests === tests.length;
+}
+
+// Run the tests
+if (require.main === module) {
+    process.exitCode = runAllTests() ? 0 : 1;
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,191 @@
+/**
+ * VIB34D Session Store Test Script
+ *
+ * Tests how SessionStore reads sessions from localStorage and session files:
+ * - schema 1 data (a bare preset) is migrated to the current schema
+ * - sessions from a newer schema, bad JSON and sessions without a preset are
+ *   refused: load() returns null, importSession() rejects
+ * - importing a session file applies it, skipping parameters of the wrong type
+ *
+ * Run with: node test-session-store.js
+ */
+
+const { createHomeMaster, check, runQuietly } = require('./test-helpers.js');
+const SessionStore = require('./SessionStore.js');
+
+// localStorage SessionStore picks up, kept in a Map
+const storedItems = new Map();
+global.localStorage = {
+    getItem: (key) => storedItems.has(key) ? storedItems.get(key) : null,
+    setItem: (key, value) => storedItems.set(key, String(value)),
+    removeItem: (key) => storedItems.delete(key)
+};
+
+console.log('🧪 VIB34D Session Store Tests');
+console.log('=============================');
+
+/**
+ * SessionStore over a fresh HomeMaster, with storage emptied
+ */
+async function createSessionStore() {
+    storedItems.clear();
+    const homeMaster = await createHomeMaster();
+    return { homeMaster, sessionStore: new SessionStore(homeMaster) };
+}
+
+/**
+ * The error message a call throws or rejects with, or null
+ */
+async function errorOf(call) {
+    try {
+        await call();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Test 1: Schema 1 data is migrated
+ */
+async function testMigration() {
+    console.log('\n📦 Test 1: Schema 1 migrates to the current schema');
+    const { homeMaster, sessionStore } = await createSessionStore();
+    const preset = homeMaster.exportPreset();
+
+    const migrated = sessionStore.migrate(preset);
+    storedItems.set(sessionStore.options.storageKey, JSON.stringify(preset));
+    const loaded = sessionStore.load();
+    const current = sessionStore.createSession();
+
+    return [
+        check('current schema', migrated.schemaVersion === SessionStore.SCHEMA_VERSION, migrated.schemaVersion),
+        check('preset kept', migrated.preset === preset),
+        check('no binding changes', Object.keys(migrated.keyboardBindings).length === 0),
+        check('load migrates too', loaded?.preset.state === preset.state, loaded?.preset.state),
+        check('two migrations counted', sessionStore.metrics.migrations === 2, sessionStore.metrics.migrations),
+        check('current sessions pass unchanged', sessionStore.migrate(current) === current)
+    ].every(Boolean);
+}
+
+/**
+ * Test 2: Sessions from a newer schema are refused
+ */
+async function testNewerSchema() {
+    console.log('\n⛔ Test 2: Newer schemas are refused');
+    const { homeMaster, sessionStore } = await createSessionStore();
+    const session = { ...sessionStore.createSession(), schemaVersion: SessionStore.SCHEMA_VERSION + 1 };
+    session.preset.state = 'media';
+
+    const migrateError = await errorOf(() => sessionStore.migrate(session));
+    storedItems.set(sessionStore.options.storageKey, JSON.stringify(session));
+    const loaded = sessionStore.load();
+    const importError = await errorOf(() => sessionStore.importSession(JSON.stringify(session)));
+
+    return [
+        check('migrate throws', /newer than supported/.test(migrateError), migrateError),
+        check('load returns null', loaded === null, loaded),
+        check('importSession rejects', /newer than supported/.test(importError), importError),
+        check('state unchanged', homeMaster.currentState === 'home', homeMaster.currentState)
+    ].every(Boolean);
+}
+
+/**
+ * Test 3: Bad JSON is refused
+ */
+async function testBadJson() {
+    console.log('\n🧩 Test 3: Bad JSON is refused');
+    const { homeMaster, sessionStore } = await createSessionStore();
+
+    storedItems.set(sessionStore.options.storageKey, '{"schemaVersion": 2, "preset": {');
+    const loaded = sessionStore.load();
+    const importError = await errorOf(() => sessionStore.importSession('{"schemaVersion": 2, "preset": {'));
+    const arrayError = await errorOf(() => sessionStore.importSession('[]'));
+
+    return [
+        check('load returns null', loaded === null, loaded),
+        check('hasSavedSession is false', !sessionStore.hasSavedSession()),
+        check('importSession rejects', importError !== null),
+        check('non-objects rejected', /must be an object/.test(arrayError), arrayError),
+        check('nothing imported', sessionStore.metrics.imports === 0 && homeMaster.currentState === 'home',
+            `${sessionStore.metrics.imports} imports, ${homeMaster.currentState}`)
+    ].every(Boolean);
+}
+
+/**
+ * Test 4: Sessions without a preset are refused
+ */
+async function testMissingPreset() {
+    console.log('\n🕳️ Test 4: Sessions without a preset are refused');
+    const { sessionStore } = await createSessionStore();
+    const session = { schemaVersion: SessionStore.SCHEMA_VERSION, savedAt: null, keyboardBindings: {} };
+
+    const migrateError = await errorOf(() => sessionStore.migrate(session));
+    const stateError = await errorOf(() => sessionStore.migrate({ ...session, preset: { state: 4 } }));
+    storedItems.set(sessionStore.options.storageKey, JSON.stringify(session));
+    const loaded = sessionStore.load();
+    const importError = await errorOf(() => sessionStore.importSession(session));
+
+    return [
+        check('migrate throws', /no preset/.test(migrateError), migrateError),
+        check('preset needs a state', /no preset/.test(stateError), stateError),
+        check('load returns null', loaded === null, loaded),
+        check('importSession rejects', /no preset/.test(importError), importError)
+    ].every(Boolean);
+}
+
+/**
+ * Test 5: An imported session file is applied
+ */
+async function testImport() {
+    console.log('\n📥 Test 5: Importing a session file');
+    const source = await createSessionStore();
+    source.homeMaster.setStateImmediate('media');
+    source.homeMaster.updateParameter('u_gridDensity', 13);
+    const session = JSON.parse(source.sessionStore.exportSession());
+    session.preset.parameters.u_morphFactor = 'NaN';
+    session.preset.parameters.u_lightDirection = [0, 1];
+    const expected = source.homeMaster.globalParameters;
+
+    const { homeMaster, sessionStore } = await createSessionStore();
+    const imported = await sessionStore.importSession({ text: async () => JSON.stringify(session) });
+    const saved = JSON.parse(storedItems.get(sessionStore.options.storageKey) || 'null');
+
+    return [
+        check('resolves with the session', imported.preset.state === 'media', imported.preset?.state),
+        check('state applied', homeMaster.currentState === 'media', homeMaster.currentState),
+        check('parameter applied', homeMaster.globalParameters.u_gridDensity === 13, homeMaster.globalParameters.u_gridDensity),
+        check('wrong type skipped', homeMaster.globalParameters.u_morphFactor === expected.u_morphFactor,
+            homeMaster.globalParameters.u_morphFactor),
+        check('wrong length skipped', homeMaster.globalParameters.u_lightDirection.join() === expected.u_lightDirection.join(),
+            homeMaster.globalParameters.u_lightDirection),
+        check('saved after import', saved?.preset.state === 'media', saved?.preset?.state)
+    ].every(Boolean);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    const tests = [testMigration, testNewerSchema, testBadJson, testMissingPreset, testImport];
+    let passedTests = 0;
+
+    for (const test of tests) {
+        try {
+            if (await test()) passedTests++;
+        } catch (error) {
+            console.log(`   💥 Test crashed: ${error.message}`);
+        }
+    }
+
+    console.log('\n=============================');
+    console.log(`🏁 Test Results: ${passedTests}/${tests.length} tests passed`);
+    return passedTests === tests.length;
+}
+
+// Run the tests
+if (require.main === module) {
+    runQuietly(runAllTests);
+}
+
+module.exports = { runAllTests };
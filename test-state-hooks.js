@@ -0,0 +1,160 @@
+/**
+ * VIB34D State Hook Navigation Test Script
+ *
+ * Tests HomeMaster navigation through states with onEntry/onExit hooks
+ * (state-map.json, run by InteractionCoordinator as navigation commands):
+ * - region changes a hook asks for join the navigation, which completes
+ *   in one transition with a single stateWillChange
+ * - exit hooks run innermost first, before entry hooks
+ * - page navigation asked for by a hook follows once the navigation completes
+ * - setStateImmediate applies the hooks' region changes right away
+ *
+ * Run with: node test-state-hooks.js
+ */
+
+const { createHomeMaster: createBaseHomeMaster, hasPendingFrames, settle, check, runQuietly } = require('./test-helpers.js');
+const InteractionCoordinator = require('./InteractionCoordinator.js');
+
+console.log('🧪 VIB34D State Hook Navigation Tests');
+console.log('=====================================');
+
+/**
+ * HomeMaster with its hooks run the way InteractionCoordinator runs them,
+ * plus a log of the events the tests look at
+ */
+async function createHomeMaster() {
+    const homeMaster = await createBaseHomeMaster();
+
+    const coordinator = new InteractionCoordinator();
+    coordinator.homeMaster = homeMaster;
+    const runHookCommands = (event) => event.detail.commands.forEach(command => coordinator.executeNavigationCommand(command));
+    homeMaster.addEventListener('stateEntered', runHookCommands);
+    homeMaster.addEventListener('stateExited', runHookCommands);
+
+    const log = [];
+    homeMaster.addEventListener('stateWillChange', (event) => log.push(`willChange ${event.detail.toState}`));
+    homeMaster.addEventListener('stateExited', (event) => log.push(`exit ${event.detail.region ? `${event.detail.region}:` : ''}${event.detail.stateId}`));
+    homeMaster.addEventListener('stateEntered', (event) => log.push(`entry ${event.detail.region ? `${event.detail.region}:` : ''}${event.detail.stateId}`));
+    homeMaster.addEventListener('stateChanged', (event) => log.push(`changed ${event.detail.newState}`));
+
+    return { homeMaster, log };
+}
+
+async function navigate(homeMaster, navigation) {
+    const result = navigation();
+    await settle(homeMaster);
+    return result;
+}
+
+/**
+ * Test 1: An entry hook's region change joins the navigation
+ */
+async function testEntryHook() {
+    console.log('\n🚪 Test 1: onEntry region change joins the navigation');
+    const { homeMaster, log } = await createHomeMaster();
+    await navigate(homeMaster, () => homeMaster.navigateTo('tech'));
+    await navigate(homeMaster, () => homeMaster.navigateTo('tech/shaders'));
+    homeMaster.setFocusedCard('card-01'); // Guard of tech/shaders->tech/topology
+
+    log.length = 0;
+    const changes = homeMaster.metrics.stateChanges;
+    const result = await navigate(homeMaster, () => homeMaster.navigateTo('tech/topology'));
+
+    return [
+        check('navigateTo resolves completed', result === 'completed', result),
+        check('one stateWillChange', log.filter(entry => entry.startsWith('willChange')).length === 1, log.join(', ')),
+        check('one transition', homeMaster.metrics.stateChanges === changes + 1, `${homeMaster.metrics.stateChanges - changes}`),
+        check('focus region is detail', homeMaster.regionStates.focus === 'detail', homeMaster.regionStates.focus),
+        check('detail overrides reached', homeMaster.globalParameters.u_gridDensity === 18, homeMaster.globalParameters.u_gridDensity),
+        check('hook order', log.join(', ') === 'willChange tech/topology, exit tech/shaders, entry tech/topology, ' +
+            'exit focus:overview, entry focus:detail, changed tech/topology', log.join(', '))
+    ].every(Boolean);
+}
+
+/**
+ * Test 2: An exit hook's region change joins the navigation
+ */
+async function testExitHook() {
+    console.log('\n🚪 Test 2: onExit region change joins the navigation');
+    const { homeMaster, log } = await createHomeMaster();
+    await navigate(homeMaster, () => homeMaster.navigateTo('tech'));
+    await navigate(homeMaster, () => homeMaster.navigateTo('tech/topology'));
+
+    log.length = 0;
+    const result = await navigate(homeMaster, () => homeMaster.navigateUp());
+
+    return [
+        check('navigateUp resolves completed', result === 'completed', result),
+        check('one stateWillChange', log.filter(entry => entry.startsWith('willChange')).length === 1, log.join(', ')),
+        check('arrives at tech', homeMaster.currentState === 'tech', homeMaster.currentState),
+        check('focus region is overview', homeMaster.regionStates.focus === 'overview', homeMaster.regionStates.focus),
+        check('exits innermost first', log.join(', ') === 'willChange tech, exit tech/topology, ' +
+            'exit focus:detail, entry focus:overview, changed tech', log.join(', '))
+    ].every(Boolean);
+}
+
+/**
+ * Test 3: Page navigation from a hook follows the navigation
+ */
+async function testHookNavigation() {
+    console.log('\n🧭 Test 3: Page navigation from a hook is queued');
+    const { homeMaster, log } = await createHomeMaster();
+    const unsubscribe = homeMaster.onStateEntry('media', () => homeMaster.navigateTo('innovation'));
+
+    const result = await navigate(homeMaster, () => homeMaster.navigateTo('media'));
+    await settle(homeMaster);
+    unsubscribe();
+
+    return [
+        check('navigateTo resolves completed', result === 'completed', result),
+        check('reaches media, then innovation', log.filter(entry => entry.startsWith('changed')).join(', ') ===
+            'changed media, changed innovation', log.join(', ')),
+        check('ends in innovation', homeMaster.currentState === 'innovation', homeMaster.currentState)
+    ].every(Boolean);
+}
+
+/**
+ * Test 4: setStateImmediate with hooks
+ */
+async function testImmediate() {
+    console.log('\n⚡ Test 4: setStateImmediate applies hook region changes');
+    const { homeMaster, log } = await createHomeMaster();
+
+    homeMaster.setStateImmediate('tech/topology');
+    const afterEntry = { ...homeMaster.regionStates };
+    homeMaster.setStateImmediate('home');
+
+    return [
+        check('no transition started', !homeMaster.isTransitioning && !hasPendingFrames()),
+        check('entry sets focus detail', afterEntry.focus === 'detail', afterEntry.focus),
+        check('exit sets focus overview', homeMaster.regionStates.focus === 'overview', homeMaster.regionStates.focus),
+        check('one stateChanged each', log.filter(entry => entry.startsWith('changed')).length === 2, log.join(', '))
+    ].every(Boolean);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    const tests = [testEntryHook, testExitHook, testHookNavigation, testImmediate];
+    let passedTests = 0;
+
+    for (const test of tests) {
+        try {
+            if (await test()) passedTests++;
+        } catch (error) {
+            console.log(`   💥 Test crashed: ${error.message}`);
+        }
+    }
+
+    console.log('\n=====================================');
+    console.log(`🏁 Test Results: ${passedTests}/${tests.length} tests passed`);
+    return passedTests === tests.length;
+}
+
+// Run the tests
+if (require.main === module) {
+    runQuietly(runAllTests);
+}
+
+module.exports = { runAllTests };
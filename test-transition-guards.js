@@ -0,0 +1,154 @@
+/**
+ * VIB34D Transition Guard Test Script
+ *
+ * Tests how HomeMaster checks transition edges and guards (state-map.json
+ * transitions.edges / stateSpecific guards) for navigation that arrives
+ * while a transition runs:
+ * - retargeting checks the edge from the committed state and from the
+ *   running transition's target; either one can block
+ * - returning to the committed state is always allowed
+ * - queued navigation is checked from the state it leaves, the target
+ *
+ * Run with: node test-transition-guards.js
+ */
+
+const { createHomeMaster: createBaseHomeMaster, advanceClock, settle, check, runQuietly } = require('./test-helpers.js');
+
+console.log('🧪 VIB34D Transition Guard Tests');
+console.log('================================');
+
+/**
+ * HomeMaster settled in a start state, plus a log of blocked navigations
+ */
+async function createHomeMaster(startState, interruption = 'retarget') {
+    const homeMaster = await createBaseHomeMaster();
+    homeMaster.transitionInterruption = interruption;
+    homeMaster.setStateImmediate(startState);
+
+    const blocked = [];
+    homeMaster.addEventListener('navigationBlocked', (event) => blocked.push(`${event.detail.fromState} → ${event.detail.toState}`));
+
+    return { homeMaster, blocked };
+}
+
+/**
+ * Start a navigation, make a second one while it runs, then settle both
+ */
+async function navigateDuring(homeMaster, first, second) {
+    const firstResult = homeMaster.navigateTo(first);
+    advanceClock(16);
+    const secondResult = homeMaster.navigateTo(second);
+    await settle(homeMaster);
+    return [await firstResult, await secondResult];
+}
+
+/**
+ * Test 1: The running transition's target can block a retarget
+ */
+async function testTargetGuard() {
+    console.log('\n🛡️ Test 1: Retargeting checks the guard from the transition target');
+    const { homeMaster, blocked } = await createHomeMaster('home');
+
+    // home → tech/topology is an edge, but tech/shaders → tech/topology needs a focused card
+    const [, retarget] = await navigateDuring(homeMaster, 'tech/shaders', 'tech/topology');
+    const stayed = homeMaster.currentState;
+
+    homeMaster.setStateImmediate('home');
+    homeMaster.setFocusedCard('card-01');
+    const [, allowed] = await navigateDuring(homeMaster, 'tech/shaders', 'tech/topology');
+
+    return [
+        check('blocked without a focused card', retarget === false, retarget),
+        check('reason names the target edge', /'tech\/shaders->tech\/topology'/.test(homeMaster.lastNavigationError?.reason),
+            homeMaster.lastNavigationError?.reason),
+        check('one navigationBlocked', blocked.length === 1, blocked.join(', ')),
+        check('first transition completes', stayed === 'tech/shaders', stayed),
+        check('allowed with a focused card', allowed === 'completed', allowed),
+        check('arrives at tech/topology', homeMaster.currentState === 'tech/topology', homeMaster.currentState)
+    ].every(Boolean);
+}
+
+/**
+ * Test 2: The committed state can block a retarget
+ */
+async function testOriginEdge() {
+    console.log('\n🛡️ Test 2: Retargeting checks the edge from the committed state');
+    const { homeMaster, blocked } = await createHomeMaster('tech/shaders');
+
+    // Here tech → media is an edge, tech/shaders → media is not
+    const { transitionConfig } = homeMaster;
+    homeMaster.transitionConfig = { ...transitionConfig, edges: { ...transitionConfig.edges, 'tech/shaders': ['tech'] } };
+    const [, retarget] = await navigateDuring(homeMaster, 'tech', 'media');
+
+    return [
+        check('blocked', retarget === false, retarget),
+        check('reason names the committed state', /'tech\/shaders' to 'media'/.test(homeMaster.lastNavigationError?.reason),
+            homeMaster.lastNavigationError?.reason),
+        check('one navigationBlocked', blocked.length === 1, blocked.join(', ')),
+        check('first transition completes', homeMaster.currentState === 'tech', homeMaster.currentState)
+    ].every(Boolean);
+}
+
+/**
+ * Test 3: Returning to the committed state is always allowed
+ */
+async function testReturn() {
+    console.log('\n↩️ Test 3: Retargeting back to the committed state');
+    const { homeMaster, blocked } = await createHomeMaster('tech/shaders');
+
+    // Here home has no edge back to tech/shaders
+    const { transitionConfig } = homeMaster;
+    homeMaster.transitionConfig = { ...transitionConfig, edges: { ...transitionConfig.edges, home: ['tech'] } };
+    const [first, back] = await navigateDuring(homeMaster, 'home', 'tech/shaders');
+
+    return [
+        check('allowed', back === 'completed', back),
+        check('first navigation interrupted', first === 'interrupted', first),
+        check('nothing blocked', blocked.length === 0, blocked.join(', ')),
+        check('back in tech/shaders', homeMaster.currentState === 'tech/shaders', homeMaster.currentState)
+    ].every(Boolean);
+}
+
+/**
+ * Test 4: Queued navigation is checked from the target
+ */
+async function testQueue() {
+    console.log('\n⏳ Test 4: Queued navigation checks from the transition target');
+    const { homeMaster, blocked } = await createHomeMaster('home', 'queue');
+
+    const [first, queued] = await navigateDuring(homeMaster, 'tech/shaders', 'tech/topology');
+
+    return [
+        check('first navigation completes', first === 'completed', first),
+        check('queued navigation blocked', queued === false, queued),
+        check('blocked from the target', blocked[0] === 'tech/shaders → tech/topology', blocked.join(', ')),
+        check('stays in tech/shaders', homeMaster.currentState === 'tech/shaders', homeMaster.currentState)
+    ].every(Boolean);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    const tests = [testTargetGuard, testOriginEdge, testReturn, testQueue];
+    let passedTests = 0;
+
+    for (const test of tests) {
+        try {
+            if (await test()) passedTests++;
+        } catch (error) {
+            console.log(`   💥 Test crashed: ${error.message}`);
+        }
+    }
+
+    console.log('\n================================');
+    console.log(`🏁 Test Results: ${passedTests}/${tests.length} tests passed`);
+    return passedTests === tests.length;
+}
+
+// Run the tests
+if (require.main === module) {
+    runQuietly(runAllTests);
+}
+
+module.exports = { runAllTests };